@@ -2,5 +2,21 @@
 
 const MongoDBOps = require('./lib/mongodb-ops.js');
 const MongoDBToolSet = require('./lib/mongodb-tool-set.js');
+const ConnectionRegistry = require('./lib/connection-registry.js');
+const ChangeStreamWatcher = require('./lib/change-stream-watcher.js');
+const BulkWriter = require('./lib/bulk-writer.js');
+const RetryPolicy = require('./lib/retry-policy.js');
+const QueryBuilder = require('./lib/query-builder.js');
+const QueryMonitor = require('./lib/query-monitor.js');
+const QueryCache = require('./lib/query-cache.js');
+const LRUCache = require('./lib/lru-cache.js');
+const DataTransfer = require('./lib/data-transfer.js');
+const MigrationRunner = require('./lib/migration-runner.js');
+const FieldEncryption = require('./lib/field-encryption.js');
+const SearchBackend = require('./lib/search-backend.js');
+const { MongoDBOpsError, DuplicateKeyError, ValidationError, BulkWriteError, ConnectionError, TimeoutError, VersionConflictError } = require('./lib/errors.js');
 
-module.exports = { MongoDBOps, MongoDBToolSet };
\ No newline at end of file
+module.exports = {
+  MongoDBOps, MongoDBToolSet, ConnectionRegistry, ChangeStreamWatcher, BulkWriter, RetryPolicy, QueryBuilder, QueryMonitor, QueryCache, LRUCache, DataTransfer, MigrationRunner, FieldEncryption, SearchBackend,
+  MongoDBOpsError, DuplicateKeyError, ValidationError, BulkWriteError, ConnectionError, TimeoutError, VersionConflictError
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { BSON } = require('mongodb');
+const { BulkWriteError } = require('./errors');
+
+class BulkWriter extends EventEmitter {
+  /**
+   * @class
+   * @classdesc Bulk writer which splits a large input into chunks by count and by estimated BSON size. Ordered writers write
+   * the chunks one by one and stop at the first failure. Unordered writers write several chunks at once and write all of them.
+   * Emits `progress` event `{ processed, total, result }` after each chunk and `checkpoint` event `{ position }` when all the
+   * documents before the position are written. An error thrown by a listener is ignored. Use MongoDBOps.bulkWriter or MongoDBToolSet bulkWriter to create it
+   * 
+   * @param {function} bulkWrite Async function `(docs) => {}` which writes a chunk and resolves with BulkWriteResult
+   * @param {object} [options]
+   * @param {boolean} [options.ordered=false] Set true to write the chunks in order and stop at the first failure
+   * @param {number} [options.batchSize=1000] Maximum no. of documents per chunk
+   * @param {number} [options.maxBatchBytes=8388608] Maximum estimated BSON size of a chunk, a larger document is written as its own chunk
+   * @param {number} [options.concurrency=4] No. of chunks written at once by unordered writer
+   */
+  constructor(bulkWrite, { ordered = false, batchSize = 1000, maxBatchBytes = 8 * 1024 * 1024, concurrency = 4 }={}) {
+    super();
+    if (typeof bulkWrite !== "function") { throw new Error("invalid-bulk-write-function"); }
+    if (!(batchSize >= 1) || !(maxBatchBytes >= 1) || !(concurrency >= 1)) { throw new Error("invalid-bulk-writer-options"); }
+
+    this.bulkWrite = bulkWrite;
+    this.ordered = ordered;
+    this.batchSize = batchSize;
+    this.maxBatchBytes = maxBatchBytes;
+    this.concurrency = ordered ? 1 : concurrency;
+  }
+
+  /**
+   * Instance method - Write the documents in chunks. The input is not changed
+   * 
+   * @param {Array|Iterable|AsyncIterable} docs Documents or operations of the bulk write type, e.g. a cursor or a stream of parsed rows
+   * @param {object} [obj]
+   * @param {object} [obj.checkpoint] Checkpoint `{ position }` of a failed write to resume from. The documents before the position are skipped,
+   * the documents after it may be written again so the writes should be idempotent, e.g. upserts
+   * @returns {promise} Promise with result `{ insertedCount, matchedCount, modifiedCount, deletedCount, upsertedCount, insertedIds, upsertedIds }`
+   * where the ids are keyed by the position in the input. Rejected with BulkWriteError `{ writeErrors, chunkErrors, result, checkpoint }` if any document
+   * failed, writeErrors index is the position in the input and chunkErrors `[{ start, end, error }]` are the chunks which failed as a whole
+   */
+  async write(docs, { checkpoint }={}) {
+    if (!docs || (typeof docs[Symbol.iterator] !== "function" && typeof docs[Symbol.asyncIterator] !== "function")) { throw new Error("invalid-bulk-docs"); }
+
+    const start = checkpoint ? checkpoint.position : 0;
+    const state = {
+      total: Array.isArray(docs) ? docs.length : undefined,
+      processed: start,
+      position: start,
+      ranges: [],
+      isPositionFixed: false,
+      result: { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} },
+      writeErrors: [],
+      chunkErrors: [],
+      isStopped: false
+    };
+
+    const running = new Set();
+    for await (const chunk of getChunks(docs, start, this.batchSize, this.maxBatchBytes)) {
+      if (state.isStopped) { break; }
+
+      // The checkpoint is kept by the ranges of the chunks, so the documents of a chunk are not kept after it is written
+      const range = { start: chunk.start, end: chunk.end, isDone: false };
+      if (!state.isPositionFixed) { state.ranges.push(range); }
+      const task = this.writeChunk(chunk, range, state).finally(()=> running.delete(task));
+      running.add(task);
+      if (running.size >= this.concurrency) { await Promise.race(running); }
+    }
+    await Promise.all(running);
+
+    if (state.writeErrors.length || state.chunkErrors.length) {
+      const err = new BulkWriteError("bulk-write-failed", state.writeErrors.sort((a, b)=> a.index - b.index), state.result);
+      err.chunkErrors = state.chunkErrors.sort((a, b)=> a.start - b.start);
+      err.checkpoint = { position: state.position };
+      throw err;
+    }
+
+    return Promise.resolve(state.result);
+  }
+
+  /**
+   * Instance method - Write a chunk and record its result
+   * 
+   * @param {object} chunk Chunk `{ start, end, docs }`
+   * @param {object} range Range of the chunk for the checkpoint `{ start, end, isDone, isLast }`
+   * @param {object} state State of the write
+   * @returns {promise}
+   */
+  async writeChunk(chunk, range, state) {
+    let result;
+    try { result = await this.bulkWrite(chunk.docs); }
+    catch (err) {
+      if (!(err instanceof BulkWriteError) || !err.result) {
+        state.chunkErrors.push({ start: chunk.start, end: chunk.end, error: err });
+        // The checkpoint cannot pass a chunk which failed as a whole, so the ranges of the next chunks are not kept
+        state.isPositionFixed = true;
+        if (this.ordered) { state.isStopped = true; }
+        return Promise.resolve();
+      }
+
+      result = err.result;
+      state.writeErrors.push(...err.writeErrors.map(item=> ({ ...item, index: chunk.start + item.index })));
+      // The resume position is the first failed document, which the checkpoint cannot pass. Ordered bulkWrite stops at it,
+      // unordered bulkWrite writes the documents after it
+      range.end = chunk.start + Math.min(...err.writeErrors.map(item=> item.index));
+      range.isLast = true;
+      state.isPositionFixed = true;
+      if (this.ordered) { state.isStopped = true; }
+    }
+    finally { chunk.docs = null; }
+
+    addResult(state.result, result, chunk.start);
+    range.isDone = true;
+    state.processed += (this.ordered ? range.end : chunk.end) - chunk.start;
+
+    const position = state.position;
+    while (state.ranges.length && state.ranges[0].isDone) {
+      const { end, isLast } = state.ranges.shift();
+      state.position = end;
+      if (isLast) { state.ranges = []; }
+    }
+
+    emitEvent(this, "progress", { processed: state.processed, total: state.total, result: state.result });
+    if (state.position !== position) { emitEvent(this, "checkpoint", { position: state.position }); }
+    return Promise.resolve();
+  }
+}
+
+module.exports = BulkWriter;
+
+/**
+ * Split the documents into chunks by count and by estimated BSON size
+ * 
+ * @param {Array|Iterable|AsyncIterable} docs Documents
+ * @param {number} start Position of the first document to write
+ * @param {number} batchSize Maximum no. of documents per chunk
+ * @param {number} maxBatchBytes Maximum estimated BSON size of a chunk
+ * @returns {AsyncGenerator} Async iterator of chunks `{ start, end, docs }`
+ */
+const getChunks = async function* (docs, start, batchSize, maxBatchBytes) {
+  let position = 0, chunk = { start, end: start, docs: [] }, bytes = 0;
+
+  for await (const doc of docs) {
+    if (position++ < start) { continue; }
+
+    const size = BSON.calculateObjectSize(doc);
+    if (chunk.docs.length && (chunk.docs.length >= batchSize || bytes + size > maxBatchBytes)) {
+      yield chunk;
+      chunk = { start: chunk.end, end: chunk.end, docs: [] };
+      bytes = 0;
+    }
+
+    chunk.docs.push(doc);
+    chunk.end++;
+    bytes += size;
+  }
+
+  if (chunk.docs.length) { yield chunk; }
+}
+
+/**
+ * Add the result of a chunk to the total result
+ * 
+ * @param {object} total Total result
+ * @param {object} result BulkWriteResult of the chunk
+ * @param {number} offset Position of the chunk
+ */
+const addResult = (total, result, offset)=> {
+  for (const field of ["insertedCount", "matchedCount", "modifiedCount", "deletedCount", "upsertedCount"]) { total[field] += result[field] || 0; }
+  for (const field of ["insertedIds", "upsertedIds"]) {
+    for (const [index, id] of Object.entries(result[field] || {})) { total[field][offset + Number(index)] = id; }
+  }
+}
+
+/**
+ * Emit an event of a bulk writer. An error thrown by a listener is ignored, so it does not fail the write
+ * 
+ * @param {BulkWriter} writer Bulk writer
+ * @param {string} event Event name
+ * @param {object} value Event value
+ */
+const emitEvent = (writer, event, value)=> {
+  try { writer.emit(event, value); }
+  catch (err) { return; }
+}
\ No newline at end of file
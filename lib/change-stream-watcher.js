@@ -0,0 +1,185 @@
+'use strict';
+
+const ConnectionRegistry = require('./connection-registry');
+
+class ChangeStreamWatcher {
+  /**
+   * @class
+   * @classdesc Change stream subscription which calls the handler for each change in order. The resume token is saved after
+   * each handled change, and the stream is reopened from the last saved token after disconnects or handler errors, so each
+   * change is handled at least once. Before the first change is handled, the stream is reopened from the operation time of the
+   * first open, unless resumeAfter, startAfter or startAtOperationTime is set
+   * {@link https://www.mongodb.com/docs/manual/changeStreams/}
+   * 
+   * @param {string} connString Database connection string or registered connection name
+   * @param {string} [collectionName] Collection name, the whole database is watched if it is not provided
+   * @param {Array} [pipeline] Aggregate pipeline to filter or transform the changes `E.g., [{ $match: { operationType: "insert" }}]`
+   * @param {function} handler Async function `(change) => {}`
+   * @param {object} [options] Change stream options - fullDocument, fullDocumentBeforeChange, batchSize, maxAwaitTimeMS, etc.
+   * @param {string} [options.dbName] Database name, the database of the connection string is used if it is not provided
+   * @param {string} [options.resumeTokenCollection] Collection to save the resume token, the token is kept in memory only if it is not provided.
+   * The changes of the collection are left out of a database stream, and it cannot be the watched collection
+   * @param {string} [options.resumeTokenId] _id of the resume token document, should be unique per watcher. Default is the collection name
+   * @param {number} [options.retryDelayMS=1000] Initial delay before reopening the stream, doubled on each consecutive failure
+   * @param {number} [options.maxRetryDelayMS=30000] Maximum delay before reopening the stream
+   * @param {function} [options.onError] Function `(err) => {}` called on each failure. The watcher stops on invalidate or when the resume token is lost.
+   * An error thrown or rejected by onError is ignored
+   */
+  constructor(connString, collectionName, pipeline, handler, options = {}) {
+    if (typeof handler !== "function") { throw new Error("invalid-watch-handler"); }
+
+    const { dbName, resumeTokenCollection, resumeTokenId, retryDelayMS = 1000, maxRetryDelayMS = 30000, onError, ...watchOptions } = options;
+    if (resumeTokenCollection && resumeTokenCollection === collectionName) { throw new Error("invalid-resume-token-collection"); }
+
+    this.connString = connString;
+    this.collectionName = collectionName;
+    // Saving the token is a change of the database stream, which would be handled and saved again
+    this.pipeline = !collectionName && resumeTokenCollection ? [{ $match: { "ns.coll": { $ne: resumeTokenCollection }}}, ...(pipeline || [])] : (pipeline || []);
+    this.handler = handler;
+    this.dbName = dbName;
+    this.resumeTokenCollection = resumeTokenCollection;
+    this.resumeTokenId = resumeTokenId || collectionName || "_database";
+    this.retryDelayMS = retryDelayMS;
+    this.maxRetryDelayMS = maxRetryDelayMS;
+    this.onError = onError;
+    this.watchOptions = watchOptions;
+
+    this.isClosed = false;
+    this.resumeToken = undefined;
+    this.startAtOperationTime = undefined;
+    this.done = this.run();
+  }
+
+  /**
+   * Instance method - Stop watching and close the change stream
+   * 
+   * @returns {promise} Promise resolved when the handler of the current change, if any, has completed
+   */
+  async close() {
+    this.isClosed = true;
+    if (this.wakeUp) { this.wakeUp(); }
+    if (this.stream) { await this.stream.close().catch(()=> {}); }
+
+    return Promise.resolve(await this.done);
+  }
+
+  /**
+   * Instance method - Watch the changes until the watcher is closed
+   * 
+   * @returns {promise}
+   */
+  async run() {
+    let failures = 0;
+
+    while (!this.isClosed) {
+      try {
+        const db = (await ConnectionRegistry.getClient(this.connString)).db(this.dbName);
+        if (this.resumeToken === undefined) { this.resumeToken = await this.loadResumeToken(db); }
+        if (!this.resumeToken && this.startAtOperationTime === undefined) { this.startAtOperationTime = await this.getStartTime(db); }
+        if (this.isClosed) { break; }
+
+        const source = this.collectionName ? db.collection(this.collectionName) : db;
+        const position = this.resumeToken ? { resumeAfter: this.resumeToken } : this.startAtOperationTime ? { startAtOperationTime: this.startAtOperationTime } : {};
+        this.stream = source.watch(this.pipeline, { ...this.watchOptions, ...position });
+
+        for await (const change of this.stream) {
+          if (change.operationType === "invalidate") { throw Object.assign(new Error("change-stream-invalidated"), { isFatal: true }); }
+
+          await this.handler(change);
+          this.resumeToken = change._id;
+          await this.saveResumeToken(db);
+          failures = 0;
+        }
+      }
+      catch (err) {
+        if (this.isClosed) { break; }
+        if (this.onError) { reportError(this.onError, err); }
+        if (err.isFatal || err.codeName === "ChangeStreamHistoryLost") {
+          this.isClosed = true;
+          break;
+        }
+
+        await this.sleep(Math.min(this.retryDelayMS * 2 ** failures++, this.maxRetryDelayMS));
+      }
+      finally {
+        if (this.stream) { await this.stream.close().catch(()=> {}); }
+        this.stream = undefined;
+      }
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Instance method - Load the saved resume token
+   * 
+   * @param {object} db Db instance
+   * @returns {promise} Promise with resume token, or null if there is none
+   */
+  async loadResumeToken(db) {
+    if (!this.resumeTokenCollection) { return Promise.resolve(null); }
+
+    const doc = await db.collection(this.resumeTokenCollection).findOne({ _id: this.resumeTokenId });
+    return Promise.resolve(doc ? doc.token : null);
+  }
+
+  /**
+   * Instance method - Get the operation time to open the first stream at, so a change whose handler fails before any token is
+   * saved is not lost when the stream is reopened
+   * 
+   * @param {object} db Db instance
+   * @returns {promise} Promise with the operation time, or null if the position is set by the watch options or the server has no operation time
+   */
+  async getStartTime(db) {
+    if (["resumeAfter", "startAfter", "startAtOperationTime"].some(key=> this.watchOptions[key] !== undefined)) { return Promise.resolve(null); }
+
+    const { operationTime } = await db.command({ ping: 1 });
+    return Promise.resolve(operationTime || null);
+  }
+
+  /**
+   * Instance method - Save the resume token of the last handled change
+   * 
+   * @param {object} db Db instance
+   * @returns {promise}
+   */
+  async saveResumeToken(db) {
+    if (!this.resumeTokenCollection) { return Promise.resolve(); }
+
+    await db.collection(this.resumeTokenCollection).updateOne(
+      { _id: this.resumeTokenId },
+      { $set: { token: this.resumeToken, updatedAt: new Date() }},
+      { upsert: true }
+    );
+    return Promise.resolve();
+  }
+
+  /**
+   * Instance method - Wait before reopening the stream. It is woken up by close
+   * 
+   * @param {number} ms Milliseconds
+   * @returns {promise}
+   */
+  sleep(ms) {
+    return new Promise(resolve=> {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = ()=> {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
+
+module.exports = ChangeStreamWatcher;
+
+/**
+ * Call the error handler of a watcher. An error thrown or rejected by the handler is ignored, so it does not stop the watcher
+ * 
+ * @param {function} onError Function `(err) => {}`
+ * @param {Error} err Error
+ */
+const reportError = (onError, err)=> {
+  try { Promise.resolve(onError(err)).catch(()=> {}); }
+  catch (handlerErr) { return; }
+}
\ No newline at end of file
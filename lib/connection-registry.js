@@ -0,0 +1,206 @@
+'use strict';
+
+const MongoClient = require('mongodb').MongoClient;
+const QueryMonitor = require('./query-monitor');
+
+const connections = new Map();
+let shutdownHook;
+
+/**
+ * @class
+ * @classdesc Registry of named MongoDB connections with static methods only. Each connection has its own MongoClient and pool,
+ * and is connected lazily on first use. A connection string which is not registered is registered under its own name on first use
+ */
+class ConnectionRegistry {
+  /**
+   * Static method - Register a named connection
+   * 
+   * @param {string} name Connection name
+   * @param {string} connString Database connection string
+   * @param {object} [options] MongoClient options - maxPoolSize, tls, connectTimeoutMS, serverSelectionTimeoutMS, appName, etc. {@link https://www.mongodb.com/docs/drivers/node/current/fundamentals/connection/connection-options/}
+   */
+  static register(name, connString, options) {
+    if (!name) { throw new Error("missing-connection-name"); }
+    if (!connString) { throw new Error("missing-connection-string"); }
+
+    const entry = connections.get(name);
+    if (entry && (entry.client || entry.connecting)) { throw new Error("connection-already-registered"); }
+
+    connections.set(name, { name, connString, options: options || {} });
+  }
+
+  /**
+   * Static method - Check if a connection is registered
+   * 
+   * @param {string} name Connection name
+   * @returns {boolean}
+   */
+  static has(name) { return connections.has(name); }
+
+  /**
+   * Static method - Get the names of the registered connections. Connection string credentials are masked
+   * 
+   * @returns {Array} Connection names
+   */
+  static list() { return [...connections.keys()].map(maskCredentials); }
+
+  /**
+   * Static method - Get connected MongoClient. Concurrent calls share the same pending connect, and a client closed
+   * outside the registry is replaced by a new one on next call
+   * 
+   * @param {string} name Connection name or connection string
+   * @returns {promise} Promise with MongoClient
+   */
+  static async getClient(name) {
+    if (!name) { throw new Error("missing-connection-string"); }
+
+    let entry = connections.get(name);
+    if (!entry) {
+      if (!isConnString(name)) { throw new Error("unknown-connection"); }
+      ConnectionRegistry.register(name, name);
+      entry = connections.get(name);
+    }
+
+    if (entry.client) { return Promise.resolve(entry.client); }
+
+    if (!entry.connecting) {
+      entry.connecting = (async ()=> {
+        const client = new MongoClient(entry.connString, QueryMonitor.isEnabled() ? { monitorCommands: true, ...entry.options } : entry.options);
+        QueryMonitor.attach(client, maskCredentials(entry.name));
+        client.once("topologyClosed", ()=> { if (entry.client === client) { entry.client = undefined; } });
+        await client.connect();
+        entry.client = client;
+        return client;
+      })().finally(()=> { entry.connecting = undefined; });
+    }
+
+    return Promise.resolve(await entry.connecting);
+  }
+
+  /**
+   * Static method - Ping a connection
+   * 
+   * @param {string} name Connection name or connection string
+   * @returns {promise} Promise with object `{ ok, latencyMS }`, or `{ ok: false, error }` on failure
+   */
+  static async ping(name) {
+    const start = Date.now();
+    try {
+      await (await ConnectionRegistry.getClient(name)).db("admin").command({ ping: 1 });
+      return Promise.resolve({ ok: true, latencyMS: Date.now() - start });
+    }
+    catch (err) { return Promise.resolve({ ok: false, error: err.message || err }); }
+  }
+
+  /**
+   * Static method - Ping all the registered connections
+   * 
+   * @returns {promise} Promise with object `{ ok, connections: { [name]: { ok, latencyMS, error } } }`
+   */
+  static async healthCheck() {
+    const names = [...connections.keys()];
+    const results = await Promise.all(names.map(name=> ConnectionRegistry.ping(name)));
+
+    const result = { ok: results.every(item=> item.ok), connections: {} };
+    names.forEach((name, i)=> { result.connections[maskCredentials(name)] = results[i]; });
+
+    return Promise.resolve(result);
+  }
+
+  /**
+   * Static method - Close a connection. The connection stays registered and reconnects on next use
+   * 
+   * @param {string} name Connection name or connection string
+   * @returns {promise}
+   */
+  static async close(name) {
+    const entry = connections.get(name);
+    if (!entry) { return Promise.resolve(); }
+
+    if (entry.connecting) { await entry.connecting.catch(()=> {}); }
+
+    const client = entry.client;
+    entry.client = undefined;
+    if (client) { await client.close(); }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Static method - Close all the connections
+   * 
+   * @returns {promise}
+   */
+  static async closeAll() {
+    await Promise.all([...connections.keys()].map(name=> ConnectionRegistry.close(name)));
+    return Promise.resolve();
+  }
+
+  /**
+   * Static method - Close a connection and remove it from the registry
+   * 
+   * @param {string} name Connection name or connection string
+   * @returns {promise}
+   */
+  static async unregister(name) {
+    await ConnectionRegistry.close(name);
+    connections.delete(name);
+    return Promise.resolve();
+  }
+
+  /**
+   * Static method - Close all the connections when the process receives a termination signal
+   * 
+   * @param {object} [obj]
+   * @param {Array} [obj.signals=["SIGTERM", "SIGINT"]] Signals to handle
+   * @param {boolean} [obj.exit=true] Set false to keep the process running after the connections are closed, e.g. when another handler exits
+   * @param {number} [obj.timeoutMS=10000] Exit with code 1 if the connections are not closed in time. Only applies when exit is true
+   * @param {function} [obj.onShutdown] Async function `(signal) => {}` called before the connections are closed, e.g. to stop the http server
+   */
+  static enableGracefulShutdown({ signals = ["SIGTERM", "SIGINT"], exit = true, timeoutMS = 10000, onShutdown }={}) {
+    ConnectionRegistry.disableGracefulShutdown();
+
+    const handler = async (signal)=> {
+      if (exit) { setTimeout(()=> process.exit(1), timeoutMS).unref(); }
+
+      try {
+        if (onShutdown) { await onShutdown(signal); }
+        await ConnectionRegistry.closeAll();
+      }
+      catch (err) { process.exitCode = 1; }
+
+      if (exit) { process.exit(); }
+    };
+
+    for (const signal of signals) { process.once(signal, handler); }
+    shutdownHook = { signals, handler };
+  }
+
+  /**
+   * Static method - Remove the signal handlers added by enableGracefulShutdown
+   */
+  static disableGracefulShutdown() {
+    if (!shutdownHook) { return; }
+
+    for (const signal of shutdownHook.signals) { process.removeListener(signal, shutdownHook.handler); }
+    shutdownHook = undefined;
+  }
+}
+
+module.exports = ConnectionRegistry;
+
+/**
+ * Check if the value is a MongoDB connection string
+ * 
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isConnString = value=> /^mongodb(\+srv)?:\/\//.test(value);
+
+/**
+ * Mask the credentials of a connection string
+ * 
+ * @param {string} name Connection name or connection string
+ * @returns {string}
+ */
+const maskCredentials = name=> isConnString(name) ? name.replace(/\/\/[^@/]*@/, "//***@") : name;
\ No newline at end of file
@@ -0,0 +1,400 @@
+'use strict';
+
+const { StringDecoder } = require('string_decoder');
+const { ObjectId, Decimal128, Long, BSON } = require('mongodb');
+const EJSON = BSON.EJSON;
+
+const FORMATS = ["ndjson", "ejson", "csv"];
+
+/**
+ * @class
+ * @classdesc Export formatting and import parsing of NDJSON, Extended JSON and CSV with static methods only. NDJSON is one relaxed
+ * Extended JSON document per line, Extended JSON is an array of canonical Extended JSON documents, one per line, so ObjectId, Date,
+ * Decimal128 and the number types are kept. Use MongoDBToolSet export and import
+ * {@link https://www.mongodb.com/docs/manual/reference/mongodb-extended-json/}
+ */
+class DataTransfer {
+  /**
+   * Static method - Get the projection of export fields
+   * 
+   * @param {Array|object} [fields] Field paths, or object `{ [column]: path }` for CSV column names
+   * @returns {object} Projection, undefined if there are no fields
+   */
+  static getProjection(fields) {
+    const paths = getPaths(fields);
+    if (!paths) { return undefined; }
+
+    const projection = {};
+    for (const path of paths) { projection[path] = 1; }
+    return projection;
+  }
+
+  /**
+   * Static method - Format documents as text chunks
+   * 
+   * @param {Iterable|AsyncIterable} docs Documents, e.g. a cursor iterator
+   * @param {object} [obj]
+   * @param {string} [obj.format="ndjson"] Format - ndjson, ejson or csv
+   * @param {Array|object} [obj.fields] CSV columns - field paths, or object `{ [column]: path }`. Default is the top-level fields of the first document
+   * @returns {AsyncGenerator} Async iterator of text chunks
+   */
+  static async *format(docs, { format = "ndjson", fields }={}) {
+    if (!FORMATS.includes(format)) { throw new Error("invalid-transfer-format"); }
+
+    if (format === "ndjson") {
+      for await (const doc of docs) { yield EJSON.stringify(doc, { relaxed: true }) + "\n"; }
+      return;
+    }
+
+    if (format === "ejson") {
+      let isFirst = true;
+      yield "[";
+      for await (const doc of docs) {
+        yield (isFirst ? "\n" : ",\n") + EJSON.stringify(doc, { relaxed: false });
+        isFirst = false;
+      }
+      yield "\n]\n";
+      return;
+    }
+
+    let columns;
+    for await (const doc of docs) {
+      if (!columns) {
+        columns = fields ? (Array.isArray(fields) ? fields.map(path=> [path, path]) : Object.entries(fields)) : Object.keys(doc).map(path=> [path, path]);
+        yield columns.map(([column])=> formatCsvValue(column)).join(",") + "\n";
+      }
+      yield columns.map(([, path])=> formatCsvValue(getField(doc, path))).join(",") + "\n";
+    }
+    if (!columns && fields) { yield getColumns(fields).map(formatCsvValue).join(",") + "\n"; }
+  }
+
+  /**
+   * Static method - Parse the text of an import into documents. A record which cannot be parsed is yielded with its error,
+   * and parsing goes on with the next record
+   * 
+   * @param {string|Buffer|Readable|AsyncIterable} source Text, or stream / iterable of text or Buffer chunks, e.g. `fs.createReadStream(path)`
+   * @param {object} [obj]
+   * @param {string} [obj.format="ndjson"] Format - ndjson, ejson or csv. Extended JSON is parsed document by document of its top-level array,
+   * the others line by line
+   * @param {boolean} [obj.header=true] CSV - set false if the first row is data, columns are then the `columns` option
+   * @param {Array} [obj.columns] CSV - column names when there is no header row
+   * @param {object} [obj.fields] CSV - object `{ [column]: path }` to map the columns to document fields, other columns are skipped.
+   * Default is each column to the field of its name, dot notation for embedded fields
+   * @param {object} [obj.types] CSV - object `{ [path]: type }` to convert the values - string, number, int, long, decimal, boolean, date, objectId or json
+   * @param {boolean} [obj.ignoreBlanks=false] CSV - set true to skip empty values instead of importing empty strings
+   * @returns {AsyncGenerator} Async iterator of `{ line, doc }` or `{ line, error }`. line is the document no. for Extended JSON
+   */
+  static async *parse(source, { format = "ndjson", header = true, columns, fields, types = {}, ignoreBlanks = false }={}) {
+    if (!FORMATS.includes(format)) { throw new Error("invalid-transfer-format"); }
+
+    if (format === "ndjson") {
+      for await (const { line, text } of getLines(getText(source))) {
+        if (!text.trim()) { continue; }
+
+        try { yield { line, doc: EJSON.parse(text, { relaxed: false }) }; }
+        catch (err) { yield { line, error: err }; }
+      }
+      return;
+    }
+
+    if (format === "ejson") {
+      let line = 0;
+      for await (const { text, error } of getJsonElements(getText(source))) {
+        line++;
+        if (error) {
+          yield { line, error };
+          return;
+        }
+
+        let doc;
+        try { doc = EJSON.parse(text, { relaxed: false }); }
+        catch (err) {
+          yield { line, error: err };
+          continue;
+        }
+        yield doc && typeof doc === "object" && !Array.isArray(doc) ? { line, doc } : { line, error: new Error("invalid-import-document") };
+      }
+      return;
+    }
+
+    let names = header ? undefined : columns;
+    if (!header && !Array.isArray(columns)) { throw new Error("missing-csv-columns"); }
+
+    for await (const { line, values } of getCsvRecords(getText(source))) {
+      if (!names) {
+        names = values.map(value=> value.trim());
+        continue;
+      }
+
+      try {
+        const doc = {};
+        names.forEach((name, i)=> {
+          const path = fields ? fields[name] : name;
+          if (!path || values[i] === undefined || (ignoreBlanks && values[i] === "")) { return; }
+          setField(doc, path, convertValue(values[i], types[path], path));
+        });
+        yield { line, doc };
+      }
+      catch (err) { yield { line, error: err }; }
+    }
+  }
+}
+
+module.exports = DataTransfer;
+
+/**
+ * Get the field paths of export fields
+ * 
+ * @param {Array|object} [fields] Field paths, or object `{ [column]: path }`
+ * @returns {Array} Field paths, undefined if there are no fields
+ */
+const getPaths = fields=> {
+  if (!fields) { return undefined; }
+  return Array.isArray(fields) ? fields : Object.values(fields);
+}
+
+/**
+ * Get the CSV columns of export fields
+ * 
+ * @param {Array|object} fields Field paths, or object `{ [column]: path }`
+ * @returns {Array} Column names
+ */
+const getColumns = fields=> Array.isArray(fields) ? fields : Object.keys(fields);
+
+/**
+ * Get the value of a field by dot notation path
+ * 
+ * @param {object} doc Document
+ * @param {string} path Field path
+ * @returns {*}
+ */
+const getField = (doc, path)=> path.split(".").reduce((value, key)=> value === null || value === undefined ? undefined : value[key], doc);
+
+/**
+ * Set the value of a field by dot notation path, embedded documents are created as needed
+ * 
+ * @param {object} doc Document
+ * @param {string} path Field path
+ * @param {*} value Value
+ */
+const setField = (doc, path, value)=> {
+  const keys = path.split(".");
+  const field = keys.pop();
+  let parent = doc;
+  for (const key of keys) {
+    if (!parent[key] || typeof parent[key] !== "object") { parent[key] = {}; }
+    parent = parent[key];
+  }
+  parent[field] = value;
+}
+
+/**
+ * Format a value as a CSV field. BSON values are written as strings, embedded documents and arrays as relaxed Extended JSON
+ * 
+ * @param {*} value Value
+ * @returns {string}
+ */
+const formatCsvValue = value=> {
+  let text;
+  if (value === null || value === undefined) { text = ""; }
+  else if (value instanceof Date) { text = isNaN(value) ? "" : value.toISOString(); }
+  else if (value instanceof ObjectId) { text = value.toHexString(); }
+  else if (typeof value === "object" && value._bsontype && typeof value.toString === "function" && !["Binary", "Code", "Timestamp", "BSONRegExp"].includes(value._bsontype)) { text = value.toString(); }
+  else if (typeof value === "object") { text = EJSON.stringify(value, { relaxed: true }); }
+  else { text = String(value); }
+
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Convert a CSV value to its type
+ * 
+ * @param {string} value Value
+ * @param {string} [type] Type - string, number, int, long, decimal, boolean, date, objectId or json
+ * @param {string} path Field path for the error message
+ * @returns {*}
+ */
+const convertValue = (value, type, path)=> {
+  const fail = ()=> { throw new Error(`invalid-${type}-value: ${path}`); };
+  const text = value.trim();
+
+  switch(type) {
+    case undefined:
+    case "string": return value;
+    case "number": return text !== "" && Number.isFinite(+text) ? +text : fail();
+    case "int": return /^[-+]?\d+$/.test(text) && Number.isSafeInteger(+text) ? +text : fail();
+    case "long": return /^[-+]?\d+$/.test(text) ? Long.fromString(text) : fail();
+    case "decimal": try { return Decimal128.fromString(text); } catch (err) { return fail(); }
+    case "boolean": {
+      const lower = text.toLowerCase();
+      if (["true", "1", "yes"].includes(lower)) { return true; }
+      if (["false", "0", "no"].includes(lower)) { return false; }
+      return fail();
+    }
+    case "date": {
+      const date = /^[-+]?\d+$/.test(text) ? new Date(+text) : new Date(text);
+      return text !== "" && !isNaN(date) ? date : fail();
+    }
+    case "objectId": return ObjectId.isValid(text) && text.length === 24 ? new ObjectId(text) : fail();
+    case "json": try { return EJSON.parse(text, { relaxed: false }); } catch (err) { return fail(); }
+    default: throw new Error(`invalid-import-type: ${type}`);
+  }
+}
+
+/**
+ * Decode the source into text chunks. Multi-byte characters split across Buffer chunks and a leading BOM are handled
+ * 
+ * @param {string|Buffer|Readable|AsyncIterable} source Source
+ * @returns {AsyncGenerator} Async iterator of strings
+ */
+const getText = async function* (source) {
+  if (source === null || source === undefined) { throw new Error("missing-import-source"); }
+
+  const chunks = typeof source === "string" || Buffer.isBuffer(source) ? [source] : source;
+  if (typeof chunks[Symbol.asyncIterator] !== "function" && typeof chunks[Symbol.iterator] !== "function") { throw new Error("invalid-import-source"); }
+
+  const decoder = new StringDecoder("utf8");
+  let isFirst = true;
+  for await (const chunk of chunks) {
+    let text = typeof chunk === "string" ? chunk : decoder.write(chunk);
+    if (isFirst && text) {
+      text = text.replace(/^\uFEFF/, "");
+      isFirst = false;
+    }
+    if (text) { yield text; }
+  }
+  const rest = decoder.end();
+  if (rest) { yield rest; }
+}
+
+/**
+ * Split text chunks into lines
+ * 
+ * @param {AsyncIterable} chunks Text chunks
+ * @returns {AsyncGenerator} Async iterator of `{ line, text }`
+ */
+const getLines = async function* (chunks) {
+  let rest = "", line = 0;
+  for await (const chunk of chunks) {
+    const parts = (rest + chunk).split("\n");
+    rest = parts.pop();
+    for (const text of parts) { yield { line: ++line, text: text.replace(/\r$/, "") }; }
+  }
+  if (rest) { yield { line: ++line, text: rest.replace(/\r$/, "") }; }
+}
+
+/**
+ * Split the text of a top-level JSON array into the texts of its elements, so a large array is not held in memory. A top-level
+ * value which is not an array is one element. The elements are parsed by the caller, a broken array ends with an error item
+ * 
+ * @param {AsyncIterable} chunks Text chunks
+ * @returns {AsyncGenerator} Async iterator of `{ text }` or `{ error }`
+ */
+const getJsonElements = async function* (chunks) {
+  let isArray, isEnd = false, isString = false, isEscape = false, depth = 0, count = 0, text = "";
+
+  for await (const chunk of chunks) {
+    const elements = [];
+    for (const char of chunk) {
+      if (isArray === undefined) {
+        if (/\s/.test(char)) { continue; }
+        isArray = char === "[";
+        if (isArray) {
+          depth = 1;
+          continue;
+        }
+      }
+      if (isEnd) {
+        if (/\s/.test(char)) { continue; }
+        yield* elements;
+        yield { error: new Error("invalid-ejson-array") };
+        return;
+      }
+
+      if (isString) {
+        if (isEscape) { isEscape = false; }
+        else if (char === "\\") { isEscape = true; }
+        else if (char === "\"") { isString = false; }
+      }
+      else if (char === "\"") { isString = true; }
+      else if (char === "[" || char === "{") { depth++; }
+      else if (char === "]" || char === "}") { depth--; }
+
+      if (isArray && !isString && (depth === 0 || (depth === 1 && char === ","))) {
+        // A blank element is an error, except the one of an empty array
+        if (char === "," || count || text.trim()) {
+          elements.push({ text });
+          count++;
+        }
+        text = "";
+        isEnd = depth === 0;
+        continue;
+      }
+      text += char;
+    }
+    yield* elements;
+  }
+
+  if (text.trim()) { yield { text }; }
+  if (isArray && !isEnd) { yield { error: new Error("invalid-ejson-array") }; }
+}
+
+/**
+ * Parse CSV records of RFC 4180. Quoted values can have commas, quotes as `""` and line breaks. Empty lines are skipped
+ * 
+ * @param {AsyncIterable} chunks Text chunks
+ * @returns {AsyncGenerator} Async iterator of `{ line, values }` where line is the line the record starts on
+ */
+const getCsvRecords = async function* (chunks) {
+  let values = [], value = "", isQuoted = false, isQuoteEnd = false, line = 1, recordLine = 1;
+
+  const endValue = ()=> {
+    values.push(value);
+    value = "";
+  };
+  const endRecord = ()=> {
+    const record = values.length > 1 || values[0] !== "" ? { line: recordLine, values } : undefined;
+    values = [];
+    return record;
+  };
+
+  for await (const chunk of chunks) {
+    const records = [];
+    for (const char of chunk) {
+      if (isQuoteEnd) {
+        isQuoteEnd = false;
+        if (char === "\"") {
+          value += char;
+          continue;
+        }
+        isQuoted = false;
+      }
+
+      if (isQuoted) {
+        if (char === "\"") { isQuoteEnd = true; }
+        else {
+          if (char === "\n") { line++; }
+          value += char;
+        }
+        continue;
+      }
+
+      if (char === "\"" && value === "") { isQuoted = true; }
+      else if (char === ",") { endValue(); }
+      else if (char === "\n") {
+        endValue();
+        const record = endRecord();
+        if (record) { records.push(record); }
+        recordLine = ++line;
+      }
+      else if (char !== "\r") { value += char; }
+    }
+    yield* records;
+  }
+
+  if (value !== "" || values.length) {
+    endValue();
+    const record = endRecord();
+    if (record) { yield record; }
+  }
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+'use strict';
+
+const {
+  MongoError, MongoBulkWriteError, MongoNetworkError, MongoNetworkTimeoutError, MongoOperationTimeoutError,
+  MongoServerSelectionError, MongoTopologyClosedError, MongoNotConnectedError
+} = require('mongodb');
+
+class MongoDBOpsError extends Error {
+  /**
+   * @class
+   * @classdesc Base class of the errors of MongoDBOps. The driver error is kept as `cause` with its code, codeName and error labels
+   * 
+   * @param {string} message Error message
+   * @param {Error} [cause] Driver error
+   */
+  constructor(message, cause) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    if (cause) {
+      this.code = cause.code;
+      this.codeName = cause.codeName;
+      this.errorLabels = cause.errorLabels || [];
+    }
+  }
+
+  /**
+   * Instance method - Check if the driver error has an error label, e.g. TransientTransactionError
+   * 
+   * @param {string} label Error label
+   * @returns {boolean}
+   */
+  hasErrorLabel(label) { return (this.errorLabels || []).includes(label); }
+}
+
+class DuplicateKeyError extends MongoDBOpsError {
+  /**
+   * @class
+   * @classdesc Write violated a unique index
+   * 
+   * @param {string} message Error message
+   * @param {Error} [cause] Driver error
+   */
+  constructor(message, cause) {
+    super(message, cause);
+    const match = /index: (\S+)/.exec(message);
+    this.indexName = match ? match[1] : undefined;
+    this.keyPattern = cause && cause.keyPattern;
+    this.keyValue = cause && cause.keyValue;
+  }
+}
+
+class ValidationError extends MongoDBOpsError {
+  /**
+   * @class
+   * @classdesc Document failed the client-side schema validation or the collection validator
+   * 
+   * @param {string} message Error message
+   * @param {Array} [errors] Field errors of client-side validation `[{ path, keyword, message, index }]`
+   * @param {Error} [cause] Driver error, its `errInfo` has the details of the collection validator
+   */
+  constructor(message, errors, cause) {
+    super(message, cause);
+    this.errors = errors || [];
+    this.errInfo = cause && cause.errInfo;
+  }
+}
+
+class BulkWriteError extends MongoDBOpsError {
+  /**
+   * @class
+   * @classdesc Some operations of a bulk write failed. Ordered bulk write stops at the first failed operation
+   * 
+   * @param {string} message Error message
+   * @param {Array} writeErrors Failed operations `[{ index, code, message, op }]`
+   * @param {object} [result] BulkWriteResult of the operations which succeeded
+   * @param {Error} [cause] Driver error
+   */
+  constructor(message, writeErrors, result, cause) {
+    super(message, cause);
+    this.writeErrors = writeErrors;
+    this.result = result;
+    this.writeConcernError = cause && cause.writeConcernError;
+  }
+}
+
+class ConnectionError extends MongoDBOpsError {
+  /**
+   * @class
+   * @classdesc Server could not be selected or the connection was lost
+   * 
+   * @param {string} message Error message
+   * @param {Error} [cause] Driver error
+   */
+  constructor(message, cause) { super(message, cause); }
+}
+
+class TimeoutError extends MongoDBOpsError {
+  /**
+   * @class
+   * @classdesc Operation exceeded maxTimeMS, timeoutMS or the socket timeout
+   * 
+   * @param {string} message Error message
+   * @param {Error} [cause] Driver error
+   */
+  constructor(message, cause) { super(message, cause); }
+}
+
+class VersionConflictError extends MongoDBOpsError {
+  /**
+   * @class
+   * @classdesc Document was not at the expected version for optimistic locking
+   * 
+   * @param {string} message Error message
+   * @param {Array} conflicts Items which lost the race `[{ index, filter, expectedVersion }]`
+   * @param {Array} [results] Update results of the items written
+   */
+  constructor(message, conflicts, results) {
+    super(message);
+    this.conflicts = conflicts;
+    this.results = results || [];
+  }
+}
+
+/**
+ * Convert a driver error to the error class of its kind. Errors which are not from the driver are returned as they are
+ * 
+ * @param {Error} err Error
+ * @returns {Error}
+ */
+const wrapError = err=> {
+  if (err instanceof MongoDBOpsError || !(err instanceof MongoError)) { return err; }
+
+  if (err instanceof MongoBulkWriteError) {
+    const writeErrors = [].concat(err.writeErrors || []).map(item=> ({ index: item.index, code: item.code, message: item.errmsg, op: item.getOperation() }));
+    return new BulkWriteError(err.message, writeErrors, err.result, err);
+  }
+  if (err.code === 11000 || err.code === 11001) { return new DuplicateKeyError(err.message, err); }
+  if (err.code === 121) { return new ValidationError(err.message, [], err); }
+  // MongoOperationTimeoutError of timeoutMS is in the driver since 6.11
+  const isOperationTimeout = typeof MongoOperationTimeoutError === "function" && err instanceof MongoOperationTimeoutError;
+  if (err.code === 50 || isOperationTimeout || err instanceof MongoNetworkTimeoutError) { return new TimeoutError(err.message, err); }
+  if ([MongoNetworkError, MongoServerSelectionError, MongoTopologyClosedError, MongoNotConnectedError].some(type=> err instanceof type)) { return new ConnectionError(err.message, err); }
+
+  return new MongoDBOpsError(err.message, err);
+}
+
+module.exports = { MongoDBOpsError, DuplicateKeyError, ValidationError, BulkWriteError, ConnectionError, TimeoutError, VersionConflictError, wrapError };
\ No newline at end of file
@@ -0,0 +1,348 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Binary, BSON } = require('mongodb');
+
+const FORMAT_VERSION = 1;
+const ENCRYPTED_SUBTYPE = 0x80;
+const MODES = ["random", "deterministic"];
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+class FieldEncryption {
+  /**
+   * @class
+   * @classdesc Application-level field encryption with AES-256-GCM. An encrypted value is stored as Binary of user-defined subtype 0x80
+   * with the key ID and the field path, so documents written with different keys can be read while a key is rotated, and a value copied
+   * to another field fails to decrypt. Random mode uses a random IV. Deterministic mode derives the IV from the field and the value, so the same value has the same ciphertext per key and equality
+   * filters work, at the cost of revealing which documents share a value. Use MongoDBToolSet setEncryption
+   * 
+   * @param {object} obj
+   * @param {object} obj.fields Encrypted fields `{ [path]: mode }` where mode is random or deterministic, dot notation for embedded fields.
+   * Array of paths for random mode
+   * @param {object} obj.keys Keys `{ [keyId]: key }` where key is a 32-byte Buffer or its base64 string
+   * @param {string} [obj.keyId] ID of the key to encrypt with, required if there are several keys. The other keys are used to decrypt only
+   */
+  constructor({ fields, keys, keyId }={}) {
+    const fieldModes = Array.isArray(fields) ? Object.fromEntries(fields.map(path=> [path, "random"])) : { ...fields };
+    const paths = Object.keys(fieldModes);
+    if (!paths.length || paths.some(path=> !MODES.includes(fieldModes[path]))) { throw new Error("invalid-encrypted-fields"); }
+    if (paths.some(path=> paths.some(other=> other.startsWith(`${path}.`)))) { throw new Error("invalid-encrypted-fields"); }
+
+    const keyIds = Object.keys(keys || {});
+    if (!keyIds.length) { throw new Error("missing-encryption-key"); }
+    if (keyId === undefined && keyIds.length > 1) { throw new Error("missing-encryption-key-id"); }
+
+    this.fields = fieldModes;
+    this.keyId = keyId === undefined ? keyIds[0] : keyId;
+    this.keys = new Map(keyIds.map(id=> [id, deriveKeys(id, keys[id])]));
+    if (!this.keys.has(this.keyId)) { throw new Error("missing-encryption-key"); }
+  }
+
+  /**
+   * Instance method - Check if a value is an encrypted value
+   * 
+   * @param {*} value Value
+   * @returns {boolean}
+   */
+  isEncrypted(value) { return !!value && value._bsontype === "Binary" && value.sub_type === ENCRYPTED_SUBTYPE; }
+
+  /**
+   * Instance method - Get the key ID of an encrypted value
+   * 
+   * @param {Binary} value Encrypted value
+   * @returns {string}
+   */
+  getKeyId(value) { return parsePayload(value.buffer).keyId; }
+
+  /**
+   * Instance method - Encrypt the value of a field. null and undefined are not encrypted
+   * 
+   * @param {string} path Field path
+   * @param {*} value Value
+   * @param {string} [keyId] Key ID, default is the key to encrypt with
+   * @returns {Binary} Encrypted value
+   */
+  encryptValue(path, value, keyId = this.keyId) {
+    if (value === null || value === undefined || this.isEncrypted(value)) { return value; }
+
+    const keys = this.keys.get(keyId);
+    if (!keys) { throw new Error("unknown-encryption-key"); }
+
+    const mode = this.fields[path];
+    const plaintext = BSON.serialize({ v: value });
+    const iv = mode === "deterministic"
+      ? crypto.createHmac("sha256", keys.ivKey).update(`${path}\0`).update(plaintext).digest().subarray(0, IV_BYTES)
+      : crypto.randomBytes(IV_BYTES);
+
+    const cipher = crypto.createCipheriv("aes-256-gcm", keys.encKey, iv);
+    cipher.setAAD(Buffer.from(path));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const keyIdBytes = Buffer.from(keyId), pathBytes = Buffer.from(path);
+    const pathLength = Buffer.alloc(2);
+    pathLength.writeUInt16BE(pathBytes.length);
+
+    return new Binary(Buffer.concat([Buffer.from([FORMAT_VERSION, MODES.indexOf(mode), keyIdBytes.length]), keyIdBytes, pathLength, pathBytes, iv, cipher.getAuthTag(), ciphertext]), ENCRYPTED_SUBTYPE);
+  }
+
+  /**
+   * Instance method - Decrypt the encrypted values in a value, documents and arrays included. Other values are returned as they are
+   * 
+   * @param {*} value Value, e.g. a document or an array of documents
+   * @returns {*} New value with the encrypted values decrypted
+   */
+  decrypt(value) {
+    if (this.isEncrypted(value)) { return decryptValue(this, value); }
+    if (Array.isArray(value)) { return value.map(item=> this.decrypt(item)); }
+    if (value && typeof value === "object" && value.constructor === Object) {
+      const doc = {};
+      for (const [key, item] of Object.entries(value)) { doc[key] = this.decrypt(item); }
+      return doc;
+    }
+    return value;
+  }
+
+  /**
+   * Instance method - Encrypt the encrypted fields of an insert or replacement document. The embedded documents of arrays on the path
+   * of an encrypted field are encrypted each
+   * 
+   * @param {object|Array} doc Data document, or array of embedded documents
+   * @param {string} [prefix] Path of the document, for an embedded document
+   * @returns {object|Array} New document
+   */
+  encryptDoc(doc, prefix) {
+    return mapFields(this, doc, prefix, (path, value)=> this.encryptValue(path, value));
+  }
+
+  /**
+   * Instance method - Re-encrypt the encrypted fields of a document which are encrypted with another key than keyId, and encrypt
+   * the fields which are not encrypted yet
+   * 
+   * @param {object} doc Data document
+   * @returns {object} New document, the document itself if no field is changed. The fields on the path of a changed field are copied
+   */
+  reencryptDoc(doc) {
+    return mapFields(this, doc, undefined, (path, value)=> this.isEncrypted(value) && this.getKeyId(value) === this.keyId ? value : this.encryptValue(path, this.decrypt(value)));
+  }
+
+  /**
+   * Instance method - Encrypt the encrypted fields of an update. `$set` and `$setOnInsert` values are encrypted, and `$unset` is allowed.
+   * Other operators on an encrypted field, updates of a field inside an encrypted field and pipeline stages which set an encrypted field
+   * are rejected with `unsupported-encrypted-update`. Array indexes and positional operators `$`, `$[]` and `$[<identifier>]` in a field
+   * are matched to the encrypted fields of the array elements
+   * 
+   * @param {object|Array} update Update document or pipeline
+   * @returns {object|Array} New update
+   */
+  encryptUpdate(update) {
+    if (Array.isArray(update)) {
+      for (const stage of update) {
+        const [operator] = Object.keys(stage || {});
+        if (["$replaceWith", "$replaceRoot"].includes(operator)) { throw new Error("unsupported-encrypted-update"); }
+        if (["$set", "$addFields"].includes(operator) && Object.keys(stage[operator] || {}).some(field=> this.getRelation(field))) { throw new Error("unsupported-encrypted-update"); }
+      }
+      return update;
+    }
+
+    const encrypted = { ...update };
+    for (const [operator, fields] of Object.entries(update || {})) {
+      if (!fields || typeof fields !== "object" || operator === "$unset") { continue; }
+
+      for (const [field, value] of Object.entries(fields)) {
+        const relation = this.getRelation(field) || (operator === "$rename" && this.getRelation(String(value)));
+        if (!relation) { continue; }
+        if (!["$set", "$setOnInsert"].includes(operator) || relation === "inside") { throw new Error("unsupported-encrypted-update"); }
+
+        const path = getFieldPath(field);
+        encrypted[operator] = { ...encrypted[operator], [field]: relation === "field" ? this.encryptValue(path, value) : this.encryptDoc(value, path) };
+      }
+    }
+    return encrypted;
+  }
+
+  /**
+   * Instance method - Encrypt the values of the encrypted fields in a query filter, in `$and`, `$or` and `$nor` included. Deterministic
+   * fields support equality, `$eq`, `$ne`, `$in`, `$nin` and `$exists`, and are matched by the ciphertexts of all the keys so documents
+   * not yet rotated are found. Random fields support `$exists` and null equality only. Other conditions on an encrypted field are rejected
+   * with `unsupported-encrypted-filter`. `$expr` and `$elemMatch` are not encrypted
+   * 
+   * @param {object} [filter] Query filter
+   * @returns {object} New query filter
+   */
+  encryptFilter(filter) {
+    if (!filter || typeof filter !== "object") { return filter; }
+
+    const encrypted = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (["$and", "$or", "$nor"].includes(key) && Array.isArray(value)) { encrypted[key] = value.map(item=> this.encryptFilter(item)); }
+      else if (this.getRelation(key) === "field") { encrypted[key] = encryptCondition(this, getFieldPath(key), value); }
+      else if (this.getRelation(key)) { throw new Error("unsupported-encrypted-filter"); }
+      else { encrypted[key] = value; }
+    }
+    return encrypted;
+  }
+
+  /**
+   * Instance method - Get the relation of a field path to the encrypted fields. Array indexes and positional operators in the field are skipped,
+   * e.g. `addresses.0.phone` and `addresses.$[].phone` are the field `addresses.phone`
+   * 
+   * @param {string} field Field path
+   * @returns {string} field if it is an encrypted field, parent if it contains one, inside if it is inside one, undefined otherwise
+   */
+  getRelation(field) {
+    const fieldPath = getFieldPath(field);
+    if (this.fields[fieldPath]) { return "field"; }
+    for (const path of Object.keys(this.fields)) {
+      if (!fieldPath || path.startsWith(`${fieldPath}.`)) { return "parent"; }
+      if (fieldPath.startsWith(`${path}.`)) { return "inside"; }
+    }
+    return undefined;
+  }
+}
+
+module.exports = FieldEncryption;
+
+/**
+ * Derive the AES key and the IV key of deterministic mode from a key by HKDF
+ * 
+ * @param {string} keyId Key ID
+ * @param {Buffer|string} key 32-byte key or its base64 string
+ * @returns {object} `{ encKey, ivKey }`
+ */
+const deriveKeys = (keyId, key)=> {
+  const secret = typeof key === "string" ? Buffer.from(key, "base64") : key;
+  if (!Buffer.isBuffer(secret) || secret.length !== 32) { throw new Error(`invalid-encryption-key: ${keyId}`); }
+  if (!keyId || Buffer.byteLength(keyId) > 255) { throw new Error("invalid-encryption-key-id"); }
+
+  const derive = info=> Buffer.from(crypto.hkdfSync("sha256", secret, Buffer.alloc(0), info, 32));
+  return { encKey: derive("mongodb-ops field encryption"), ivKey: derive("mongodb-ops deterministic iv") };
+}
+
+/**
+ * Parse the payload of an encrypted value
+ * 
+ * @param {Buffer} buffer Payload `[version, mode, keyId length, keyId, path length (2 bytes), path, iv, tag, ciphertext]`
+ * @returns {object} `{ keyId, path, iv, tag, ciphertext }`
+ */
+const parsePayload = buffer=> {
+  const bytes = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  if (bytes[0] !== FORMAT_VERSION || bytes.length < 3) { throw new Error("invalid-encrypted-value"); }
+
+  const keyIdEnd = 3 + bytes[2];
+  const pathEnd = keyIdEnd + 2 + bytes.readUInt16BE(keyIdEnd);
+  return {
+    keyId: bytes.subarray(3, keyIdEnd).toString(),
+    path: bytes.subarray(keyIdEnd + 2, pathEnd).toString(),
+    iv: bytes.subarray(pathEnd, pathEnd + IV_BYTES),
+    tag: bytes.subarray(pathEnd + IV_BYTES, pathEnd + IV_BYTES + TAG_BYTES),
+    ciphertext: bytes.subarray(pathEnd + IV_BYTES + TAG_BYTES)
+  };
+}
+
+/**
+ * Decrypt an encrypted value
+ * 
+ * @param {FieldEncryption} encryption Field encryption
+ * @param {Binary} value Encrypted value
+ * @returns {*}
+ */
+const decryptValue = (encryption, value)=> {
+  const { keyId, path, iv, tag, ciphertext } = parsePayload(value.buffer);
+  const keys = encryption.keys.get(keyId);
+  if (!keys) { throw new Error(`unknown-encryption-key: ${keyId}`); }
+
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", keys.encKey, iv);
+    decipher.setAAD(Buffer.from(path));
+    decipher.setAuthTag(tag);
+    return BSON.deserialize(Buffer.concat([decipher.update(ciphertext), decipher.final()])).v;
+  }
+  catch (err) { throw new Error("decryption-failed"); }
+}
+
+/**
+ * Get the path of a field without array indexes and positional operators
+ * 
+ * @param {string} field Field path `E.g., addresses.0.phone or addresses.$[item].phone`
+ * @returns {string} Field path `E.g., addresses.phone`
+ */
+const getFieldPath = field=> String(field).split(".").filter(key=> !/^(\d+|\$|\$\[\w*\])$/.test(key)).join(".");
+
+/**
+ * Map the values of the encrypted fields of a document
+ * 
+ * @param {FieldEncryption} encryption Field encryption
+ * @param {object|Array} doc Data document, or array of embedded documents
+ * @param {string} [prefix] Path of the document, for an embedded document
+ * @param {function} fn Function `(path, value) => value` called for each value which is not null or undefined
+ * @returns {object|Array} New document, the document itself if no value is changed
+ */
+const mapFields = (encryption, doc, prefix, fn)=> {
+  if (!doc || typeof doc !== "object") { return doc; }
+
+  let mapped = doc;
+  for (const path of Object.keys(encryption.fields)) {
+    if (prefix && !path.startsWith(`${prefix}.`)) { continue; }
+    mapped = mapPath(mapped, (prefix ? path.slice(prefix.length + 1) : path).split("."), value=> fn(path, value));
+  }
+  return mapped;
+}
+
+/**
+ * Map the value at path keys in a copy of a document, into each element of the arrays on the path. The embedded documents and arrays
+ * on the path are copied if the value is changed
+ * 
+ * @param {*} value Document, array or value
+ * @param {Array} keys Path keys
+ * @param {function} fn Function `(value) => value`
+ * @returns {*} New value, the value itself if it is not changed
+ */
+const mapPath = (value, keys, fn)=> {
+  if (!keys.length) { return value === undefined || value === null ? value : fn(value); }
+  if (Array.isArray(value)) {
+    const items = value.map(item=> mapPath(item, keys, fn));
+    return items.every((item, i)=> item === value[i]) ? value : items;
+  }
+  if (!value || typeof value !== "object" || value._bsontype || value instanceof Date || !(keys[0] in value)) { return value; }
+
+  const [key, ...rest] = keys;
+  const item = mapPath(value[key], rest, fn);
+  return item === value[key] ? value : { ...value, [key]: item };
+}
+
+/**
+ * Encrypt the condition of an encrypted field in a query filter
+ * 
+ * @param {FieldEncryption} encryption Field encryption
+ * @param {string} path Field path
+ * @param {*} condition Value or operator expression
+ * @returns {*}
+ */
+const encryptCondition = (encryption, path, condition)=> {
+  const isOperators = condition && typeof condition === "object" && condition.constructor === Object && Object.keys(condition).some(key=> key.startsWith("$"));
+  const isDeterministic = encryption.fields[path] === "deterministic";
+  const getValues = value=> {
+    if (value === null) { return [null]; }
+    if (!isDeterministic || value instanceof RegExp) { throw new Error("unsupported-encrypted-filter"); }
+    return [...encryption.keys.keys()].map(keyId=> encryption.encryptValue(path, value, keyId));
+  };
+
+  if (!isOperators) { return condition === null ? null : { $in: getValues(condition) }; }
+
+  const encrypted = {};
+  const add = (operator, value)=> {
+    if (encrypted[operator]) { throw new Error("unsupported-encrypted-filter"); }
+    encrypted[operator] = value;
+  };
+  for (const [operator, value] of Object.entries(condition)) {
+    switch (operator) {
+      case "$exists": add(operator, value); break;
+      case "$eq": add("$in", getValues(value)); break;
+      case "$ne": add("$nin", getValues(value)); break;
+      case "$in":
+      case "$nin": add(operator, [].concat(value).flatMap(getValues)); break;
+      default: throw new Error("unsupported-encrypted-filter");
+    }
+  }
+  return encrypted;
+}
\ No newline at end of file
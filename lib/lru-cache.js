@@ -0,0 +1,98 @@
+'use strict';
+
+class LRUCache {
+  /**
+   * @class
+   * @classdesc In-process cache adapter which evicts the least recently used entry when it is full. A cache adapter has
+   * async methods `get(key)`, `set(key, value, ttlMS, namespace)` and `invalidate(namespace)`, values are strings
+   * 
+   * @param {object} [obj]
+   * @param {number} [obj.maxEntries=1000] Maximum no. of entries
+   */
+  constructor({ maxEntries = 1000 }={}) {
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) { throw new Error("invalid-cache-max-entries"); }
+
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.namespaces = new Map();
+  }
+
+  /**
+   * Instance method - Get a value. An expired entry is removed
+   * 
+   * @param {string} key Cache key
+   * @returns {promise} Promise with value, or undefined if it is not cached
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) { return Promise.resolve(undefined); }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return Promise.resolve(undefined);
+    }
+
+    // Map keeps insertion order, so re-inserting moves the entry to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return Promise.resolve(entry.value);
+  }
+
+  /**
+   * Instance method - Set a value
+   * 
+   * @param {string} key Cache key
+   * @param {string} value Value
+   * @param {number} ttlMS Time to live in milliseconds
+   * @param {string} namespace Namespace of the key, e.g. collection name
+   * @returns {promise}
+   */
+  async set(key, value, ttlMS, namespace) {
+    this.remove(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMS, namespace });
+    if (!this.namespaces.has(namespace)) { this.namespaces.set(namespace, new Set()); }
+    this.namespaces.get(namespace).add(key);
+
+    while (this.entries.size > this.maxEntries) { this.remove(this.entries.keys().next().value); }
+    return Promise.resolve();
+  }
+
+  /**
+   * Instance method - Remove all the entries of a namespace
+   * 
+   * @param {string} namespace Namespace
+   * @returns {promise}
+   */
+  async invalidate(namespace) {
+    for (const key of this.namespaces.get(namespace) || []) { this.entries.delete(key); }
+    this.namespaces.delete(namespace);
+    return Promise.resolve();
+  }
+
+  /**
+   * Instance method - Remove all the entries
+   * 
+   * @returns {promise}
+   */
+  async clear() {
+    this.entries.clear();
+    this.namespaces.clear();
+    return Promise.resolve();
+  }
+
+  /**
+   * Instance method - Remove an entry
+   * 
+   * @param {string} key Cache key
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) { return; }
+
+    this.entries.delete(key);
+    const keys = this.namespaces.get(entry.namespace);
+    keys.delete(key);
+    if (!keys.size) { this.namespaces.delete(entry.namespace); }
+  }
+}
+
+module.exports = LRUCache;
\ No newline at end of file
@@ -0,0 +1,237 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const MongoDBOps = require('./mongodb-ops');
+const { DuplicateKeyError } = require('./errors');
+
+const LOCK_ID = "_lock";
+const MIGRATION_EXTENSIONS = [".js", ".cjs"];
+
+class MigrationRunner {
+  /**
+   * @class
+   * @classdesc Versioned data migrations. Migrations are applied in name order, so names should start with a sortable version
+   * `E.g., 20240105-add-order-status`. The applied migrations are recorded in the migrations collection, and a lock document
+   * in the same collection keeps two runs, e.g. of two deploys, from migrating at the same time
+   * 
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [obj]
+   * @param {string} [obj.directory] Directory of migration files. Each .js file exports `{ up, down, transaction }` and its name without extension is the migration name
+   * @param {Array} [obj.migrations] Migrations `[{ name, up, down, transaction }]` in addition to the files. up and down are async functions
+   * `({ connString, session, options }) => {}` where options has dbName and the session to be passed to MongoDBOps
+   * @param {string} [obj.collectionName="_migrations"] Collection of the applied migrations and the lock
+   * @param {boolean} [obj.transaction=false] Set true to run each migration and its record in a transaction. A migration can set its own `transaction`
+   * @param {number} [obj.lockTTLMS=600000] Expiry of the lock, renewed before each migration, so the lock of a crashed run is taken over after it
+   * @param {object} [options] Operation options - dbName, writeConcern, etc. readConcern and writeConcern are the transaction options in transaction mode
+   */
+  constructor(connString, { directory, migrations = [], collectionName = "_migrations", transaction = false, lockTTLMS = 10 * 60 * 1000 }={}, options) {
+    if (!directory && !migrations.length) { throw new Error("missing-migrations"); }
+    if (!(lockTTLMS > 0)) { throw new Error("invalid-lock-ttl"); }
+
+    this.connString = connString;
+    this.directory = directory;
+    this.migrations = migrations;
+    this.collectionName = collectionName;
+    this.transaction = transaction;
+    this.lockTTLMS = lockTTLMS;
+    this.options = { ...options };
+  }
+
+  /**
+   * Instance method - Get the migrations in name order with their state
+   * 
+   * @returns {promise} Promise with array `[{ name, isApplied, appliedAt, durationMS, isMissing }]`. isMissing is true for an applied
+   * migration which is no longer in the directory or the migrations
+   */
+  async status() {
+    const [migrations, applied] = await Promise.all([this.getMigrations(), this.getApplied()]);
+    const records = new Map(applied.map(doc=> [doc._id, doc]));
+
+    const list = migrations.map(({ name })=> {
+      const record = records.get(name);
+      return record ? { name, isApplied: true, appliedAt: record.appliedAt, durationMS: record.durationMS } : { name, isApplied: false };
+    });
+    for (const record of applied) {
+      if (!migrations.some(({ name })=> name === record._id)) { list.push({ name: record._id, isApplied: true, appliedAt: record.appliedAt, durationMS: record.durationMS, isMissing: true }); }
+    }
+
+    return Promise.resolve(list.sort((a, b)=> a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  /**
+   * Instance method - Apply the pending migrations in name order under the lock. It stops at the first failure, the migrations before it stay applied
+   * 
+   * @param {object} [obj]
+   * @param {string} [obj.to] Name of the last migration to apply, all pending migrations are applied if it is not provided
+   * @returns {promise} Promise with the names of the applied migrations. Rejected with `migration-locked` if another run holds the lock
+   */
+  async up({ to }={}) {
+    return Promise.resolve(await withLock(this, async renewLock=> {
+      const [migrations, applied] = await Promise.all([this.getMigrations(), this.getApplied()]);
+      const last = to === undefined ? migrations.length - 1 : getIndex(migrations, to);
+      const names = new Set(applied.map(doc=> doc._id));
+
+      const done = [];
+      for (const migration of migrations.slice(0, last + 1)) {
+        if (names.has(migration.name)) { continue; }
+
+        await renewLock();
+        await runMigration(this, migration, "up");
+        done.push(migration.name);
+      }
+      return done;
+    }));
+  }
+
+  /**
+   * Instance method - Revert the applied migrations in reverse name order under the lock. It stops at the first failure
+   * 
+   * @param {object} [obj]
+   * @param {string} [obj.to] Name of the migration to revert to, the migrations after it are reverted and it stays applied.
+   * Only the last applied migration is reverted if it is not provided
+   * @param {boolean} [obj.all=false] Set true to revert all applied migrations
+   * @returns {promise} Promise with the names of the reverted migrations. Rejected with `migration-locked` if another run holds the lock
+   */
+  async down({ to, all = false }={}) {
+    return Promise.resolve(await withLock(this, async renewLock=> {
+      const [migrations, applied] = await Promise.all([this.getMigrations(), this.getApplied()]);
+      if (!all && to !== undefined) { getIndex(migrations, to); }
+
+      const names = applied.map(doc=> doc._id).sort().reverse();
+      const reverts = all ? names : to === undefined ? names.slice(0, 1) : names.filter(name=> name > to);
+
+      const done = [];
+      for (const name of reverts) {
+        const migration = migrations.find(item=> item.name === name);
+        if (!migration) { throw new Error(`missing-migration: ${name}`); }
+
+        await renewLock();
+        await runMigration(this, migration, "down");
+        done.push(name);
+      }
+      return done;
+    }));
+  }
+
+  /**
+   * Instance method - Load the migrations of the directory and the migrations option in name order
+   * 
+   * @returns {promise} Promise with array `[{ name, up, down, transaction }]`
+   */
+  async getMigrations() {
+    const migrations = [...this.migrations];
+    if (this.directory) {
+      const directory = path.resolve(this.directory);
+      const files = (await fs.promises.readdir(directory)).filter(file=> MIGRATION_EXTENSIONS.includes(path.extname(file)));
+      for (const file of files) { migrations.push({ ...require(path.join(directory, file)), name: path.basename(file, path.extname(file)) }); }
+    }
+
+    const names = new Set();
+    for (const migration of migrations) {
+      if (!migration.name || typeof migration.up !== "function") { throw new Error(`invalid-migration: ${migration.name}`); }
+      if (names.has(migration.name)) { throw new Error(`duplicate-migration: ${migration.name}`); }
+      names.add(migration.name);
+    }
+
+    return Promise.resolve(migrations.sort((a, b)=> a.name < b.name ? -1 : 1));
+  }
+
+  /**
+   * Instance method - Get the records of the applied migrations
+   * 
+   * @returns {promise} Promise with array `[{ _id, appliedAt, durationMS }]` where _id is the migration name
+   */
+  async getApplied() {
+    return Promise.resolve(await MongoDBOps.getData(this.collectionName, { _id: { $ne: LOCK_ID }}, false, undefined, { _id: 1 }, undefined, false, this.connString, undefined, this.options));
+  }
+}
+
+module.exports = MigrationRunner;
+
+/**
+ * Get the index of a migration by name
+ * 
+ * @param {Array} migrations Migrations in name order
+ * @param {string} name Migration name
+ * @returns {number}
+ */
+const getIndex = (migrations, name)=> {
+  const index = migrations.findIndex(migration=> migration.name === name);
+  if (index < 0) { throw new Error(`unknown-migration: ${name}`); }
+  return index;
+}
+
+/**
+ * Run the callback while holding the migration lock. The lock document is taken by upsert, which fails on the unique _id while
+ * another owner holds an unexpired lock
+ * 
+ * @param {MigrationRunner} runner Migration runner
+ * @param {function} callback Async function `(renewLock) => {}`
+ * @returns {promise} Promise with the value resolved by the callback
+ */
+const withLock = async (runner, callback)=> {
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+  const lock = async isRenewal=> {
+    const now = new Date();
+    try {
+      await MongoDBOps.writeData("updateOne", runner.collectionName, { $set: { owner, lockedAt: now, expiresAt: new Date(now.getTime() + runner.lockTTLMS) }},
+        { _id: LOCK_ID, $or: [{ owner }, { expiresAt: { $lte: now }}] }, runner.connString, { ...runner.options, upsert: true });
+    }
+    catch (err) {
+      if (err instanceof DuplicateKeyError) { throw new Error(isRenewal ? "migration-lock-lost" : "migration-locked"); }
+      throw err;
+    }
+  };
+
+  const unlock = ()=> MongoDBOps.writeData("deleteOne", runner.collectionName, undefined, { _id: LOCK_ID, owner }, runner.connString, runner.options);
+
+  await lock(false);
+  let result;
+  try { result = await callback(()=> lock(true)); }
+  catch (err) {
+    // The error of the run is kept if the lock cannot be released, the lock then expires after lockTTLMS
+    await unlock().catch(()=> {});
+    throw err;
+  }
+  await unlock();
+  return Promise.resolve(result);
+}
+
+/**
+ * Run the up or down function of a migration and record it, in a transaction if the migration or the runner sets it. The readConcern
+ * and writeConcern of the runner are then the transaction options, as the operations in a transaction cannot set them
+ * 
+ * @param {MigrationRunner} runner Migration runner
+ * @param {object} migration Migration `{ name, up, down, transaction }`
+ * @param {string} direction up or down
+ */
+const runMigration = async (runner, migration, direction)=> {
+  if (typeof migration[direction] !== "function") { throw new Error(`missing-migration-${direction}: ${migration.name}`); }
+
+  const isTransaction = migration.transaction === undefined ? runner.transaction : migration.transaction;
+  const { readConcern, writeConcern, ...operationOptions } = runner.options;
+
+  const run = async session=> {
+    const startedAt = Date.now();
+    const options = session ? { ...operationOptions, session } : { ...runner.options };
+    await migration[direction]({ connString: runner.connString, session, options });
+
+    if (direction === "up") {
+      await MongoDBOps.writeData("insertOne", runner.collectionName, { _id: migration.name, appliedAt: new Date(), durationMS: Date.now() - startedAt }, undefined, runner.connString, options);
+    }
+    else { await MongoDBOps.writeData("deleteOne", runner.collectionName, undefined, { _id: migration.name }, runner.connString, options); }
+  };
+
+  if (!isTransaction) {
+    await run();
+    return;
+  }
+
+  const transactionOptions = {};
+  if (readConcern) { transactionOptions.readConcern = readConcern; }
+  if (writeConcern) { transactionOptions.writeConcern = writeConcern; }
+  await MongoDBOps.withTransaction(run, runner.connString, transactionOptions);
+}
\ No newline at end of file
@@ -1,18 +1,50 @@
 'use strict';
 
-const MongoClient = require('mongodb').MongoClient;
 const ObjectID = require('mongodb').ObjectId;
+const EJSON = require('mongodb').BSON.EJSON;
+const { Readable } = require('stream');
+const ConnectionRegistry = require('./connection-registry');
+const ChangeStreamWatcher = require('./change-stream-watcher');
+const BulkWriter = require('./bulk-writer');
+const RetryPolicy = require('./retry-policy');
+const QueryMonitor = require('./query-monitor');
+const QueryCache = require('./query-cache');
+const SearchBackend = require('./search-backend');
+const { MongoDBOpsError, wrapError } = require('./errors');
 
 class MongoDBOps {
   /**
    * @class
-   * @classdesc MongoDB operations - Note: writeConcern is not supported in this class
+   * @classdesc MongoDB operations
    * 
-   * @param {string} connString Database connection string
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] Default operation options of instance methods, per-call options take precedence
+   * @param {object} [options.writeConcern] Write concern, e.g. `{ w: "majority" }` {@link https://www.mongodb.com/docs/manual/reference/write-concern/}
+   * @param {object} [options.readConcern] Read concern, e.g. `{ level: "majority" }` {@link https://www.mongodb.com/docs/manual/reference/read-concern/}
+   * @param {string} [options.readPreference] Read preference, e.g. `secondaryPreferred` {@link https://www.mongodb.com/docs/manual/core/read-preference/}
+   * @param {number} [options.maxTimeMS] Time limit in milliseconds for processing each operation
+   * @param {string} [options.dbName] Database name, the database of the connection string is used if it is not provided
+   * @param {string|object} [options.searchBackend] Backend of search, the default backend is used if it is not provided. See setSearchBackend
    */
-  constructor(connString) {
+  constructor(connString, options) {
     if (!connString) { throw new Error("missing-connection-string"); }
     this.connString = connString;
+    this.options = options || {};
+  }
+
+  /**
+   * Instance method - Merge per-call operation options over the instance default options. Default readConcern, writeConcern
+   * and readPreference are left out when the per-call session is in a transaction as the transaction options apply instead
+   * 
+   * @param {object} [options] Per-call operation options
+   * @returns {object} Operation options
+   */
+  getOptions(options = {}) {
+    const defaults = { ...this.options };
+    if (options.session && options.session.inTransaction()) {
+      for (const key of ["readConcern", "writeConcern", "readPreference"]) { delete defaults[key]; }
+    }
+    return { ...defaults, ...options };
   }
 
   /**
@@ -32,51 +64,210 @@ class MongoDBOps {
   getObjectId(id) { return new ObjectID(id); }
 
   /**
-   * Static method - Get DB client - It supports multiple db client with different connection string. Active db client will be reused for better performance
+   * Static method - Register a named connection with its own MongoClient options. The name can then be used in place of the connection string
    * 
+   * @param {string} name Connection name
    * @param {string} connString Database connection string
-   * @returns {promise} Promise with db client
+   * @param {object} [options] MongoClient options - maxPoolSize, tls, connectTimeoutMS, serverSelectionTimeoutMS, appName, etc. {@link https://www.mongodb.com/docs/drivers/node/current/fundamentals/connection/connection-options/}
    */
-  static async getDbClient(connString) {
-    if (!connString) { throw new Error("missing-connection-string"); }
+  static registerConnection(name, connString, options) { ConnectionRegistry.register(name, connString, options); }
 
-    if (!Array.isArray(MongoDBOps.dbClientList)) { MongoDBOps.dbClientList = []; }
+  /**
+   * Static method - Set the default retry policy of reads, idempotent writes and bulk writer chunks. Use `retry` operation option
+   * to override it per call, `retry: false` to turn it off, and `idempotent: true` to retry a write which is not known as idempotent.
+   * Writes in a transaction are not retried as the transaction is retried as a whole. See RetryPolicy
+   * 
+   * @param {object} policy Retry policy - maxAttempts, initialDelayMS, maxDelayMS, factor, jitter, isRetryable, onRetry
+   */
+  static setRetryPolicy(policy) { RetryPolicy.setDefault(policy); }
 
-    for (let item of MongoDBOps.dbClientList) {
-      if (item.s.url === connString) {
-        if (item.topology.s.state !== "connected") {
-          item = await MongoClient.connect(connString);
-        }
+  /**
+   * Static method - Set the default backend of search, e.g. `text` on instances without Atlas Search. Use `searchBackend` operation option
+   * to override it per call or per instance. See SearchBackend
+   * 
+   * @param {string|object} backend Backend type - atlas, text or regex, or object `{ type, ... }` with the options of the type
+   */
+  static setSearchBackend(backend) { SearchBackend.setDefault(backend); }
 
-        return Promise.resolve(item);
-      }
-    }
+  /**
+   * Static method - Enable the slow-operation log and the per-collection latency metrics from command monitoring. Call it before
+   * the first operation, connections made before it are not monitored. See QueryMonitor
+   * 
+   * @param {object} [obj] Monitor options - slowMS, onSlow, buckets
+   */
+  static enableQueryMonitor(obj) { QueryMonitor.enable(obj); }
 
-    const newDbClient = await MongoClient.connect(connString);
-    MongoDBOps.dbClientList.push(newDbClient);
+  /**
+   * Static method - Get the latency metrics in Prometheus text format, e.g. for a `/metrics` endpoint
+   * 
+   * @returns {string}
+   */
+  static getMetrics() { return QueryMonitor.getMetrics(); }
 
-    return Promise.resolve(newDbClient);
+  /**
+   * Static method - Get DB client from the connection registry. Active db client will be reused for better performance
+   * 
+   * @param {string} connString Database connection string or registered connection name
+   * @returns {promise} Promise with db client
+   */
+  static async getDbClient(connString) {
+    if (!connString) { throw new Error("missing-connection-string"); }
+    return Promise.resolve(await ConnectionRegistry.getClient(connString));
   }
 
+  /**
+   * Static method - Ping database
+   * 
+   * @param {string} connString Database connection string or registered connection name
+   * @returns {promise} Promise with object `{ ok, latencyMS }`, or `{ ok: false, error }` on failure
+   */
+  static async ping(connString) { return Promise.resolve(await ConnectionRegistry.ping(connString)); }
+
+  /**
+   * Instance method - Ping database
+   * 
+   * @returns {promise} Promise with object `{ ok, latencyMS }`, or `{ ok: false, error }` on failure
+   */
+  async ping() { return Promise.resolve(await MongoDBOps.ping(this.connString)); }
+
   /**
    * Static method - Close database connection
+   * 
+   * @param {string} [connString] Database connection string or registered connection name. All the connections are closed if it is not provided
    * @returns {promise}
    */
-  static async closeDBConn() {
-    if (Array.isArray(MongoDBOps.dbClientList)) {
-      for (const item of MongoDBOps.dbClientList) {
-        await item.close();
-      }
-    }
+  static async closeDBConn(connString) {
+    if (connString) { await ConnectionRegistry.close(connString); }
+    else { await ConnectionRegistry.closeAll(); }
+
     return Promise.resolve();
   }
 
   /**
    * Instance method - Close database connection
+   * 
+   * @param {boolean} [isAll=true] Set false to close the connection of this instance only
    * @returns {promise}
    */
-  async closeDBConn() {
-    return Promise.resolve(await MongoDBOps.closeDBConn());
+  async closeDBConn(isAll = true) {
+    return Promise.resolve(await MongoDBOps.closeDBConn(isAll ? undefined : this.connString));
+  }
+
+  /**
+   * Static method - List databases
+   * {@link https://www.mongodb.com/docs/manual/reference/command/listDatabases/}
+   * 
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] listDatabases options - nameOnly, filter, authorizedDatabases
+   * @returns {promise} Promise with object array `[{ name, sizeOnDisk, empty }]`
+   */
+  static async listDatabases(connString, options) {
+    const result = await (await MongoDBOps.getDbClient(connString)).db().admin().listDatabases(options);
+    return Promise.resolve(result.databases);
+  }
+
+  /**
+   * Instance method - List databases
+   * {@link https://www.mongodb.com/docs/manual/reference/command/listDatabases/}
+   * 
+   * @param {object} [options] listDatabases options - nameOnly, filter, authorizedDatabases
+   * @returns {promise} Promise with object array `[{ name, sizeOnDisk, empty }]`
+   */
+  async listDatabases(options) { return Promise.resolve(await MongoDBOps.listDatabases(this.connString, options)); }
+
+  /**
+   * Static method - List collections of a database
+   * {@link https://www.mongodb.com/docs/manual/reference/command/listCollections/}
+   * 
+   * @param {object} [filter] Query filter on collection info `E.g., { name: /^orders/ }`
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] listCollections options - dbName, nameOnly, session, etc.
+   * @returns {promise} Promise with object array `[{ name, type, options, info }]`
+   */
+  static async listCollections(filter, connString, options) {
+    const [db, dbOptions] = await getDb(connString, options);
+    return Promise.resolve(await db.listCollections(filter || {}, dbOptions).toArray());
+  }
+
+  /**
+   * Instance method - List collections of a database
+   * {@link https://www.mongodb.com/docs/manual/reference/command/listCollections/}
+   * 
+   * @param {object} [filter] Query filter on collection info `E.g., { name: /^orders/ }`
+   * @param {object} [options] listCollections options - dbName, nameOnly, session, etc.
+   * @returns {promise} Promise with object array `[{ name, type, options, info }]`
+   */
+  async listCollections(filter, options) { return Promise.resolve(await MongoDBOps.listCollections(filter, this.connString, this.getOptions(options))); }
+
+  /**
+   * Static method - Run a database command
+   * {@link https://www.mongodb.com/docs/manual/reference/command/}
+   * 
+   * @param {object} command Command document `E.g., { collMod: "orders", validationLevel: "moderate" }`
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] Command options - dbName, session, readPreference, etc.
+   * @returns {promise} Promise with command result
+   */
+  static async runCommand(command, connString, options) {
+    const [db, dbOptions] = await getDb(connString, options);
+    return Promise.resolve(await db.command(command, dbOptions));
+  }
+
+  /**
+   * Instance method - Run a database command
+   * {@link https://www.mongodb.com/docs/manual/reference/command/}
+   * 
+   * @param {object} command Command document `E.g., { collMod: "orders", validationLevel: "moderate" }`
+   * @param {object} [options] Command options - dbName, session, readPreference, etc.
+   * @returns {promise} Promise with command result
+   */
+  async runCommand(command, options) { return Promise.resolve(await MongoDBOps.runCommand(command, this.connString, this.getOptions(options))); }
+
+  /**
+   * Static method - Run callback in a multi-document transaction
+   * {@link https://www.mongodb.com/docs/manual/core/transactions/}
+   * 
+   * The callback receives a ClientSession which must be passed as `{ session }` options to every read / write inside it.
+   * The transaction is committed when the callback resolves and aborted when it rejects. The whole callback is retried on
+   * TransientTransactionError and the commit is retried on UnknownTransactionCommitResult, so it should be safe to re-run.
+   * Driver errors are rejected as MongoDBOpsError subclasses.
+   * 
+   * @param {function} callback Async function `(session) => {}`
+   * @param {string} connString Database connection string
+   * @param {object} [options] Transaction options - readConcern, writeConcern, readPreference, maxCommitTimeMS {@link https://www.mongodb.com/docs/manual/reference/method/Session.startTransaction/}
+   * @returns {promise} Promise with the value resolved by the callback
+   */
+  static async withTransaction(callback, connString, options) {
+    if (typeof callback !== "function") { throw new Error("invalid-transaction-callback"); }
+
+    const session = (await MongoDBOps.getDbClient(connString)).startSession();
+    try {
+      // The driver error is rethrown inside the transaction as its error labels decide the retry
+      return Promise.resolve(await session.withTransaction(() => callback(session).catch(err=> {
+        throw err instanceof MongoDBOpsError && err.cause ? err.cause : err;
+      }), options));
+    }
+    catch (err) { throw wrapError(err); }
+    finally {
+      await QueryCache.invalidateSession(session);
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Instance method - Run callback in a multi-document transaction
+   * {@link https://www.mongodb.com/docs/manual/core/transactions/}
+   * 
+   * @param {function} callback Async function `(session) => {}`
+   * @param {object} [options] Transaction options - readConcern, writeConcern, readPreference, maxCommitTimeMS. Instance default readConcern and writeConcern are applied {@link https://www.mongodb.com/docs/manual/reference/method/Session.startTransaction/}
+   * @returns {promise} Promise with the value resolved by the callback
+   */
+  async withTransaction(callback, options) {
+    const defaults = {};
+    if (this.options.readConcern) { defaults.readConcern = this.options.readConcern; }
+    if (this.options.writeConcern) { defaults.writeConcern = this.options.writeConcern; }
+
+    return Promise.resolve(await MongoDBOps.withTransaction(callback, this.connString, { ...defaults, ...options }));
   }
 
   /**
@@ -84,22 +275,103 @@ class MongoDBOps {
    * 
    * @param {string} collectionName Collection Name
    * @param {string} connString Database connection string
+   * @param {object} [options] Count options, e.g. `{ dbName: "catalog", readPreference: "secondaryPreferred", maxTimeMS: 1000 }`
    */
-  static async getCollectionCount(collectionName, connString) {
-    const db = (await MongoDBOps.getDbClient(connString)).db();
-    return Promise.resolve(await db.collection(collectionName).estimatedDocumentCount());
+  static async getCollectionCount(collectionName, connString, options) {
+    const [db, dbOptions] = await getDb(connString, options);
+    return Promise.resolve(await db.collection(collectionName).estimatedDocumentCount(dbOptions));
   }
 
   /**
    * Instance method - Get estimated document count of a collection
    * 
    * @param {string} collectionName Collection Name
-   * @param {string} connString Database connection string
+   * @param {object} [options] Count options, e.g. `{ dbName: "catalog", readPreference: "secondaryPreferred", maxTimeMS: 1000 }`
+   */
+  async getCollectionCount(collectionName, options) {
+    return Promise.resolve(await MongoDBOps.getCollectionCount(collectionName, this.connString, this.getOptions(options)));
+  }
+
+  /**
+   * Static method - List indexes of a collection
+   * {@link https://www.mongodb.com/docs/manual/reference/command/listIndexes/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] listIndexes options - dbName, session, etc.
+   * @returns {promise} Promise with index object array `[{ v, key, name, ... }]`, empty if the collection does not exist
+   */
+  static async listIndexes(collectionName, connString, options) {
+    const [db, dbOptions] = await getDb(connString, options);
+    try { return Promise.resolve(await db.collection(collectionName).listIndexes(dbOptions).toArray()); }
+    catch (err) {
+      if (err.codeName === "NamespaceNotFound") { return Promise.resolve([]); }
+      throw err;
+    }
+  }
+
+  /**
+   * Instance method - List indexes of a collection
+   * {@link https://www.mongodb.com/docs/manual/reference/command/listIndexes/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [options] listIndexes options - dbName, session, etc.
+   * @returns {promise} Promise with index object array `[{ v, key, name, ... }]`, empty if the collection does not exist
+   */
+  async listIndexes(collectionName, options) { return Promise.resolve(await MongoDBOps.listIndexes(collectionName, this.connString, this.getOptions(options))); }
+
+  /**
+   * Static method - Create indexes of a collection
+   * {@link https://www.mongodb.com/docs/manual/reference/command/createIndexes/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {Array} indexes Index specification array `E.g., [{ key: { sku: 1 }, name: "sku_1", unique: true }]`
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] createIndexes options - dbName, session, commitQuorum, etc.
+   * @returns {promise} Promise with array of the created index names
    */
-  async getCollectionCount(collectionName) {
-    return Promise.resolve(await MongoDBOps.getData(collectionName, this.connString));
+  static async createIndexes(collectionName, indexes, connString, options) {
+    const [db, dbOptions] = await getDb(connString, options);
+    return Promise.resolve(await db.collection(collectionName).createIndexes(indexes, dbOptions));
   }
 
+  /**
+   * Instance method - Create indexes of a collection
+   * {@link https://www.mongodb.com/docs/manual/reference/command/createIndexes/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {Array} indexes Index specification array `E.g., [{ key: { sku: 1 }, name: "sku_1", unique: true }]`
+   * @param {object} [options] createIndexes options - dbName, session, commitQuorum, etc.
+   * @returns {promise} Promise with array of the created index names
+   */
+  async createIndexes(collectionName, indexes, options) { return Promise.resolve(await MongoDBOps.createIndexes(collectionName, indexes, this.connString, this.getOptions(options))); }
+
+  /**
+   * Static method - Drop an index of a collection
+   * {@link https://www.mongodb.com/docs/manual/reference/command/dropIndexes/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {string} name Index name
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] dropIndexes options - dbName, session, etc.
+   * @returns {promise}
+   */
+  static async dropIndex(collectionName, name, connString, options) {
+    const [db, dbOptions] = await getDb(connString, options);
+    return Promise.resolve(await db.collection(collectionName).dropIndex(name, dbOptions));
+  }
+
+  /**
+   * Instance method - Drop an index of a collection
+   * {@link https://www.mongodb.com/docs/manual/reference/command/dropIndexes/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {string} name Index name
+   * @param {object} [options] dropIndexes options - dbName, session, etc.
+   * @returns {promise}
+   */
+  async dropIndex(collectionName, name, options) { return Promise.resolve(await MongoDBOps.dropIndex(collectionName, name, this.connString, this.getOptions(options))); }
+
   /**
    * Static method - Get documents from MongoDB
    * {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/}
@@ -110,32 +382,38 @@ class MongoDBOps {
    * @param {boolean} [isAggregate=false] Set true to use the aggregation
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
-   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`, see getDataPage
    * @param {boolean} [isGetCount=false] Set true to get the number of doc count based on the queryExp
    * @param {string} connString Database connection string
    * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
-   * @param {object} [options] Aggregate options {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.aggregate/}
-   * @returns {promise} Promise with object array
+   * @param {object} [options] Find, count or aggregate options - dbName, session, readConcern, readPreference, maxTimeMS, retry, etc. {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.aggregate/}
+   * @param {boolean|string} [options.explain] Set true or verbosity to get the summarised plan instead of the documents, see QueryMonitor summarizeExplain.
+   * true is executionStats verbosity
+   * @returns {promise} Promise with object array. Driver errors are rejected as ConnectionError, TimeoutError or MongoDBOpsError
    */
   static async getData(collectionName, queryExp, isAggregate = false, projection, sort, pagination, isGetCount = false, connString, collation, options) {   
-    const db = (await MongoDBOps.getDbClient(connString)).db();
-    
-    if (isAggregate) { return Promise.resolve(await db.collection(collectionName).aggregate(queryExp, options).toArray()); }
+    if (options && options.explain) {
+      const { explain, ...explainOptions } = options;
+      const query = isGetCount ? [{ $match: queryExp || {} }, { $group: { _id: null, n: { $sum: 1 }}}] : queryExp;
+      const result = await MongoDBOps.explainData(collectionName, query, isAggregate || isGetCount, projection, sort, pagination, connString, collation, explain === true ? "executionStats" : explain, explainOptions);
+      return Promise.resolve(QueryMonitor.summarizeExplain(result));
+    }
 
-    queryExp = queryExp || {};
-    if (isGetCount) { return Promise.resolve(await db.collection(collectionName).countDocuments(queryExp)); }
+    if (!isAggregate && !isGetCount && MongoDBOps.isKeysetPagination(pagination)) {
+      return Promise.resolve((await MongoDBOps.getDataPage(collectionName, queryExp, projection, sort, pagination, connString, collation, options)).data);
+    }
 
-    const { skip, limit } = parsePagination(pagination);
-    if (limit < 1) { return Promise.resolve([]); }
+    return Promise.resolve(await withRetry("getData", options, !isWritePipeline(isAggregate, queryExp), async ()=> {
+      const [db, dbOptions] = await getDb(connString, options);
 
-    projection = { projection: projection || {} };
-    
-    let data = db.collection(collectionName).find(queryExp, projection);
-    if (sort) { data = data.sort(sort); }
-    if (pagination) { data = data.skip(skip).limit(limit); }
-    if (collation) { data = data.collation(collation); }
+      if (isAggregate) { return getCursor(db, collectionName, queryExp, true, undefined, undefined, undefined, undefined, dbOptions).toArray(); }
 
-    return Promise.resolve(await data.toArray());
+      if (isGetCount) { return db.collection(collectionName).countDocuments(queryExp || {}, dbOptions); }
+
+      if (parsePagination(pagination).limit < 1) { return []; }
+
+      return getCursor(db, collectionName, queryExp, false, projection, sort, pagination, collation, dbOptions).toArray();
+    }));
   }
 
   /**
@@ -148,78 +426,390 @@ class MongoDBOps {
    * @param {boolean} [isAggregate=false] Set true to use the aggregation
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
-   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`, see getDataPage
    * @param {boolean} [isGetCount=false] Set true to get the number of doc count based on the queryExp
    * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
-   * @param {object} [options] Aggregate options {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.aggregate/}
+   * @param {object} [options] Find, count or aggregate options - dbName, session, readConcern, readPreference, maxTimeMS, retry, etc. {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.aggregate/}
    * @returns {promise} Promise with object array
    */
   async getData(collectionName, queryExp, isAggregate, projection, sort, pagination, isGetCount, collation, options) {
-    return Promise.resolve(await MongoDBOps.getData(collectionName, queryExp, isAggregate, projection, sort, pagination, isGetCount, this.connString, collation, options));
+    return Promise.resolve(await MongoDBOps.getData(collectionName, queryExp, isAggregate, projection, sort, pagination, isGetCount, this.connString, collation, this.getOptions(options)));
+  }
+
+  /**
+   * Static method - Check if the pagination is keyset pagination, i.e. it has `limit` instead of `startIndex` / `endIndex`
+   * 
+   * @param {object} [pagination] Pagination
+   * @returns {boolean}
+   */
+  static isKeysetPagination(pagination) {
+    return !!pagination && pagination.limit !== undefined && pagination.startIndex === undefined && pagination.endIndex === undefined;
+  }
+
+  /**
+   * Static method - Get a page of documents by keyset pagination. The page starts right after / before the sort key values
+   * encoded in the cursor token instead of skipping documents, so deep pages stay fast and do not shift when documents are
+   * inserted. `_id` is appended to the sort as the tie-breaker. Sort fields should exist with the same BSON type in every document
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [queryExp] Query Specifies selection filter using query operators - {@link https://docs.mongodb.com/manual/reference/operator/}
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort `E.g., { price: -1, name: 1 }` {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} pagination Keyset pagination - `{ limit: 10 }` for the first page, then `{ limit: 10, after: nextCursor }` or `{ limit: 10, before: prevCursor }`
+   * @param {string} connString Database connection string
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find options - dbName, session, readConcern, readPreference, maxTimeMS, retry, etc.
+   * @returns {promise} Promise with object `{ data, nextCursor, prevCursor }`. A cursor is null if there is no page in its direction
+   */
+  static async getDataPage(collectionName, queryExp, projection, sort, pagination, connString, collation, options) {
+    const { filter, keysetSort, keys, limit, isBackward } = parseKeysetPagination(queryExp, sort, pagination);
+    if (limit < 1) { return Promise.resolve({ data: [], nextCursor: null, prevCursor: null }); }
+
+    const { keysetProjection, hiddenFields } = getKeysetProjection(projection, keys);
+
+    let data = await withRetry("getDataPage", options, true, async ()=> {
+      const [db, dbOptions] = await getDb(connString, options);
+      return getCursor(db, collectionName, filter, false, keysetProjection, keysetSort, { startIndex: 1, endIndex: limit + 1 }, collation, dbOptions).toArray();
+    });
+
+    const hasMore = data.length > limit;
+    data = data.slice(0, limit);
+    if (isBackward) { data.reverse(); }
+
+    let nextCursor = null, prevCursor = null;
+    if (data.length) {
+      if (hasMore || isBackward) { nextCursor = encodeKeysetCursor(data[data.length - 1], keys); }
+      if (isBackward ? hasMore : !!pagination.after) { prevCursor = encodeKeysetCursor(data[0], keys); }
+    }
+
+    for (const doc of data) {
+      for (const field of hiddenFields) { unsetField(doc, field); }
+    }
+
+    return Promise.resolve({ data, nextCursor, prevCursor });
+  }
+
+  /**
+   * Instance method - Get a page of documents by keyset pagination
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [queryExp] Query Specifies selection filter using query operators - {@link https://docs.mongodb.com/manual/reference/operator/}
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort `E.g., { price: -1, name: 1 }` {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} pagination Keyset pagination - `{ limit: 10 }` for the first page, then `{ limit: 10, after: nextCursor }` or `{ limit: 10, before: prevCursor }`
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find options - dbName, session, readConcern, readPreference, maxTimeMS, retry, etc.
+   * @returns {promise} Promise with object `{ data, nextCursor, prevCursor }`
+   */
+  async getDataPage(collectionName, queryExp, projection, sort, pagination, collation, options) {
+    return Promise.resolve(await MongoDBOps.getDataPage(collectionName, queryExp, projection, sort, pagination, this.connString, collation, this.getOptions(options)));
+  }
+
+  /**
+   * Static method - Get the distinct values of a field
+   * {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.distinct/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {string} field Field name, dot notation for embedded fields
+   * @param {object} [queryExp] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {string} connString Database connection string
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Distinct options - dbName, session, readConcern, readPreference, maxTimeMS, hint, retry, etc.
+   * @returns {promise} Promise with value array
+   */
+  static async getDistinct(collectionName, field, queryExp, connString, collation, options) {
+    return Promise.resolve(await withRetry("getDistinct", options, true, async ()=> {
+      const [db, dbOptions] = await getDb(connString, options);
+      return db.collection(collectionName).distinct(field, queryExp || {}, { ...dbOptions, ...(collation ? { collation } : {}) });
+    }));
+  }
+
+  /**
+   * Instance method - Get the distinct values of a field
+   * 
+   * @param {string} collectionName Collection name
+   * @param {string} field Field name, dot notation for embedded fields
+   * @param {object} [queryExp] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Distinct options - dbName, session, readConcern, readPreference, maxTimeMS, hint, retry, etc.
+   * @returns {promise} Promise with value array
+   */
+  async getDistinct(collectionName, field, queryExp, collation, options) {
+    return Promise.resolve(await MongoDBOps.getDistinct(collectionName, field, queryExp, this.connString, collation, this.getOptions(options)));
+  }
+
+  /**
+   * Static method - Explain the query plan of a find or an aggregate. Keyset pagination is explained as the query of its page
+   * {@link https://www.mongodb.com/docs/manual/reference/explain-results/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object|Array} [queryExp] Query filter, or aggregate pipeline if isAggregate is true
+   * @param {boolean} [isAggregate=false] Set true to use the aggregation
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`
+   * @param {string} connString Database connection string
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {string} [verbosity="queryPlanner"] Verbosity - queryPlanner, executionStats or allPlansExecution
+   * @param {object} [options] Find or aggregate options - dbName, session, readPreference, maxTimeMS, hint, etc.
+   * @returns {promise} Promise with explain output
+   */
+  static async explainData(collectionName, queryExp, isAggregate = false, projection, sort, pagination, connString, collation, verbosity = "queryPlanner", options) {
+    if (!isAggregate && MongoDBOps.isKeysetPagination(pagination)) {
+      const { filter, keysetSort, limit } = parseKeysetPagination(queryExp, sort, pagination);
+      [queryExp, sort, pagination] = [filter, keysetSort, { startIndex: 1, endIndex: limit + 1 }];
+    }
+
+    return Promise.resolve(await withRetry("explainData", options, !isWritePipeline(isAggregate, queryExp), async ()=> {
+      const [db, dbOptions] = await getDb(connString, options);
+      return getCursor(db, collectionName, queryExp, isAggregate, projection, sort, pagination, collation, dbOptions).explain(verbosity);
+    }));
+  }
+
+  /**
+   * Instance method - Explain the query plan of a find or an aggregate
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object|Array} [queryExp] Query filter, or aggregate pipeline if isAggregate is true
+   * @param {boolean} [isAggregate=false] Set true to use the aggregation
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {string} [verbosity="queryPlanner"] Verbosity - queryPlanner, executionStats or allPlansExecution
+   * @param {object} [options] Find or aggregate options - dbName, session, readPreference, maxTimeMS, hint, etc.
+   * @returns {promise} Promise with explain output
+   */
+  async explainData(collectionName, queryExp, isAggregate, projection, sort, pagination, collation, verbosity, options) {
+    return Promise.resolve(await MongoDBOps.explainData(collectionName, queryExp, isAggregate, projection, sort, pagination, this.connString, collation, verbosity, this.getOptions(options)));
+  }
+
+  /**
+   * Static method - Iterate documents from MongoDB through a cursor without loading the whole result into memory.
+   * The cursor is closed when the iteration completes, throws or is stopped early by `break` / `return`
+   * {@link https://www.mongodb.com/docs/drivers/node/current/fundamentals/crud/read-operations/cursor/}
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object|Array} [queryExp] Query filter, or aggregate pipeline if isAggregate is true
+   * @param {boolean} [isAggregate=false] Set true to use the aggregation
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {string} connString Database connection string
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find or aggregate options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {AsyncGenerator} Async iterator of documents
+   */
+  static async *iterateData(collectionName, queryExp, isAggregate = false, projection, sort, pagination, connString, collation, options) {
+    if (!isAggregate && parsePagination(pagination).limit < 1) { return; }
+
+    const [db, dbOptions] = await getDb(connString, options);
+    const cursor = getCursor(db, collectionName, queryExp, isAggregate, projection, sort, pagination, collation, dbOptions);
+
+    try {
+      for await (const doc of cursor) { yield doc; }
+    }
+    finally { await cursor.close(); }
+  }
+
+  /**
+   * Instance method - Iterate documents from MongoDB through a cursor without loading the whole result into memory
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object|Array} [queryExp] Query filter, or aggregate pipeline if isAggregate is true
+   * @param {boolean} [isAggregate=false] Set true to use the aggregation
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find or aggregate options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {AsyncGenerator} Async iterator of documents
+   */
+  iterateData(collectionName, queryExp, isAggregate, projection, sort, pagination, collation, options) {
+    return MongoDBOps.iterateData(collectionName, queryExp, isAggregate, projection, sort, pagination, this.connString, collation, this.getOptions(options));
+  }
+
+  /**
+   * Static method - Stream documents from MongoDB as an object mode Readable. Destroying the stream closes the cursor
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object|Array} [queryExp] Query filter, or aggregate pipeline if isAggregate is true
+   * @param {boolean} [isAggregate=false] Set true to use the aggregation
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {string} connString Database connection string
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find or aggregate options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {Readable} Readable stream of documents
+   */
+  static streamData(collectionName, queryExp, isAggregate, projection, sort, pagination, connString, collation, options) {
+    return Readable.from(MongoDBOps.iterateData(collectionName, queryExp, isAggregate, projection, sort, pagination, connString, collation, options));
+  }
+
+  /**
+   * Instance method - Stream documents from MongoDB as an object mode Readable. Destroying the stream closes the cursor
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object|Array} [queryExp] Query filter, or aggregate pipeline if isAggregate is true
+   * @param {boolean} [isAggregate=false] Set true to use the aggregation
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find or aggregate options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {Readable} Readable stream of documents
+   */
+  streamData(collectionName, queryExp, isAggregate, projection, sort, pagination, collation, options) {
+    return MongoDBOps.streamData(collectionName, queryExp, isAggregate, projection, sort, pagination, this.connString, collation, this.getOptions(options));
+  }
+
+  /**
+   * Static method - Watch the changes of a collection or a database. The resume token can be saved to a collection after each handled
+   * change, and the stream is reopened from the saved token after disconnects
+   * {@link https://www.mongodb.com/docs/manual/changeStreams/}
+   * 
+   * @param {string} [collectionName] Collection name, the whole database is watched if it is not provided
+   * @param {Array} [pipeline] Aggregate pipeline to filter or transform the changes `E.g., [{ $match: { operationType: "insert" }}]`
+   * @param {function} handler Async function `(change) => {}`
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] Change stream options - dbName, fullDocument, resumeTokenCollection, resumeTokenId, onError, etc. See ChangeStreamWatcher
+   * @returns {ChangeStreamWatcher} Watcher, call `close()` to stop
+   */
+  static watch(collectionName, pipeline, handler, connString, options) {
+    if (!connString) { throw new Error("missing-connection-string"); }
+    return new ChangeStreamWatcher(connString, collectionName, pipeline, handler, options);
+  }
+
+  /**
+   * Instance method - Watch the changes of a collection or a database
+   * {@link https://www.mongodb.com/docs/manual/changeStreams/}
+   * 
+   * @param {string} [collectionName] Collection name, the whole database is watched if it is not provided
+   * @param {Array} [pipeline] Aggregate pipeline to filter or transform the changes `E.g., [{ $match: { operationType: "insert" }}]`
+   * @param {function} handler Async function `(change) => {}`
+   * @param {object} [options] Change stream options - dbName, fullDocument, resumeTokenCollection, resumeTokenId, onError, etc. See ChangeStreamWatcher
+   * @returns {ChangeStreamWatcher} Watcher, call `close()` to stop
+   */
+  watch(collectionName, pipeline, handler, options) {
+    return MongoDBOps.watch(collectionName, pipeline, handler, this.connString, { dbName: this.options.dbName, ...options });
   }
 
   /**
-   * Static method - Use altas search at MongoDB
+   * Static method - Use altas search at MongoDB, or a `$text` index or regex by the search backend. The score field is the relevance score of the backend,
+   * and the docs are in relevance order if sort is not provided
    * {@link https://www.mongodb.com/docs/atlas/atlas-search/}
    * 
    * @param {string} connString Database connection string
    * @param {string} collectionName Collection name
-   * @param {object} search $search object - {@link https://www.mongodb.com/docs/atlas/atlas-search/query-syntax/}
+   * @param {string|object} search String query or $search object - {@link https://www.mongodb.com/docs/atlas/atlas-search/query-syntax/}.
+   * The text and regex backends take the queries of text, phrase and autocomplete operators, and the regex backend their paths if fields is not set
    * @param {object} [obj]
    * @param {object} [obj.projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [obj.sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
-   * @param {object} [obj.pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
-   * @param {boolean} [isGetCount=true] Set true to get the number of total matching docs and current page number
-   * @returns {promise} Promise with object or object array
+   * @param {object} [obj.pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`, or Atlas searchAfter / searchBefore pagination
+   * `E.g., { limit: 10, after: nextCursor }`. The sort is then applied by `$search`, use a unique field as the last sort key
+   * @param {object} [obj.filter] Query filter of the matching docs, applied by `$match` after `$search` and before the count.
+   * It is also added to `$search` as compound filter clauses if facets or count is set, see SearchBackend getStages
+   * @param {object} [obj.facets] Atlas facet definitions `{ [name]: { type, path, numBuckets, boundaries, default } }`, the facet counts
+   * are returned as facets {@link https://www.mongodb.com/docs/atlas/atlas-search/facet/}
+   * @param {object} [obj.highlight] Atlas highlight options `{ path, maxCharsToExamine, maxNumPassages }`, the highlights of each doc
+   * are returned as highlights {@link https://www.mongodb.com/docs/atlas/atlas-search/highlighting/}
+   * @param {object} [obj.count] Atlas count options `E.g., { type: "lowerBound", threshold: 1000 }`, total is then counted by `$search`
+   * instead of `$count` {@link https://www.mongodb.com/docs/atlas/atlas-search/counting/}
+   * @param {boolean} [isGetCount=true] Set true to get the number of total matching docs and current page number. Ignored by searchAfter /
+   * searchBefore pagination, which returns metadata if count is set
+   * @param {object} [options] Aggregate options - dbName, session, readConcern, readPreference, maxTimeMS, searchBackend, etc., `explain: true` to get the summarised plan, see getData
+   * @returns {promise} Promise with object `{ metadata, data, facets }`, object `{ data, nextCursor, prevCursor, metadata, facets }` of searchAfter /
+   * searchBefore pagination, or object array if isGetCount is false and facets is not set
    */
-  static async search(connString, collectionName, search, { projection, sort, pagination }={}, isGetCount = true) {
-    if ([connString, collectionName, search].includes(undefined)) { return Promise.reject("Connection string, collection name and search cannot be undefined"); }
+  static async search(connString, collectionName, search, { projection, sort, pagination, filter, facets, highlight, count }={}, isGetCount = true, options) {
+    if ([connString, collectionName, search].includes(undefined)) { return Promise.reject(new Error("missing-search-parameter")); }
 
-    const { skip, limit } = parsePagination(pagination);
-    if (limit < 1) { return Promise.resolve([]); }
+    const isKeyset = MongoDBOps.isKeysetPagination(pagination);
+    const { skip, limit } = isKeyset ? parseSearchPagination(pagination) : parsePagination(pagination);
+    if (limit < 1) { return Promise.resolve(isKeyset ? { data: [], nextCursor: null, prevCursor: null } : []); }
 
-    const payload = [
-      { $search: search },
-      { $addFields: { score: { $meta: "searchScore" }}},
-    ];
+    const { searchBackend, ...aggregateOptions } = options || {};
+    const { stages, score, isSortedByScore } = SearchBackend.getStages(search, searchBackend,
+      { filter, facets, highlight, count, sort: isKeyset ? sort : undefined, pagination: isKeyset ? pagination : undefined });
 
-    if (projection) { payload.push({ $project: projection }); }
-    if (sort) { payload.push({ $sort: sort }); }
+    const payload = [...stages];
+    if (filter && Object.keys(filter).length) { payload.push({ $match: filter }); }
+
+    const searchFields = { score };
+    if (highlight) { searchFields.highlights = { $meta: "searchHighlights" }; }
+    if (isKeyset) { searchFields[SEARCH_TOKEN_FIELD] = { $meta: "searchSequenceToken" }; }
+    payload.push({ $addFields: searchFields });
+    if (!sort && !isSortedByScore) { payload.push({ $sort: { score: -1, _id: 1 }}); }
+
+    if (projection) { payload.push({ $project: isKeyset ? getSearchProjection(projection) : projection }); }
+    if (sort && !isKeyset) { payload.push({ $sort: sort }); }
 
     const skipLimit = [];
     if (skip) { skipLimit.push({ $skip: skip }); }
-    if (limit) { skipLimit.push({ $limit: limit }); }
+    if (limit) { skipLimit.push({ $limit: isKeyset ? limit + 1 : limit }); }
 
-    if (isGetCount) {
-      payload.push({ 
+    // Facets and the count of Atlas are read from $$SEARCH_META of the first doc {@link https://www.mongodb.com/docs/atlas/atlas-search/query-syntax/#-search_meta-aggregation-variable}
+    const isSearchMeta = !!(facets || count);
+    const isCountStage = isGetCount && !isKeyset && !count;
+    if (isKeyset || isGetCount || facets) {
+      payload.push({
         $facet: {
-          metadata: [{ $count: "total" }, { $addFields: { page: Math.ceil((skip + 1) / limit) }}],
+          ...(isCountStage ? { metadata: [{ $count: "total" }, { $addFields: { page: Math.ceil((skip + 1) / limit) }}] } : {}),
           data: skipLimit,
+          ...(isSearchMeta ? { meta: [{ $limit: 1 }, { $replaceWith: "$$SEARCH_META" }] } : {})
         }
       });
     }
     else { payload.push(...skipLimit); }
 
-    const result = await MongoDBOps.getData(collectionName, payload, true, undefined, undefined, undefined, undefined, connString);
+    const result = await MongoDBOps.getData(collectionName, payload, true, undefined, undefined, undefined, undefined, connString, undefined, aggregateOptions);
+    if (aggregateOptions.explain || !(isKeyset || isGetCount || facets)) { return Promise.resolve(result); }
+
+    const { metadata, data, meta } = result[0];
+    const searchMeta = (meta && meta[0]) || {};
+    const output = isKeyset ? getSearchPage(data, limit, pagination) : {};
+    if (isCountStage) { output.metadata = metadata; }
+    else if (count && (isGetCount || isKeyset)) {
+      const total = searchMeta.count ? (searchMeta.count.total !== undefined ? searchMeta.count.total : searchMeta.count.lowerBound) : undefined;
+      output.metadata = total === undefined ? [] : [isKeyset ? { total } : { total, page: Math.ceil((skip + 1) / limit) }];
+    }
+    if (!isKeyset) { output.data = data; }
+    if (facets) { output.facets = searchMeta.facet || {}; }
 
-    return Promise.resolve(isGetCount ? result[0] : result);
+    return Promise.resolve(output);
   }
 
   /**
-   * Instance method - Use altas search at MongoDB
+   * Instance method - Use altas search at MongoDB, or a `$text` index or regex by the search backend. The score field is the relevance score of the backend,
+   * and the docs are in relevance order if sort is not provided
    * {@link https://www.mongodb.com/docs/atlas/atlas-search/}
    * 
    * @param {string} collectionName Collection name
-   * @param {object} search $search object - {@link https://www.mongodb.com/docs/atlas/atlas-search/query-syntax/}
+   * @param {string|object} search String query or $search object - {@link https://www.mongodb.com/docs/atlas/atlas-search/query-syntax/}.
+   * The text and regex backends take the queries of text, phrase and autocomplete operators, and the regex backend their paths if fields is not set
    * @param {object} [obj]
    * @param {object} [obj.projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [obj.sort] Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
-   * @param {object} [obj.pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
-   * @param {boolean} [isGetCount=true] Set true to get the number of total matching docs and current page number
-   * @returns {promise} Promise with object or object array
+   * @param {object} [obj.pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`, or Atlas searchAfter / searchBefore pagination
+   * `E.g., { limit: 10, after: nextCursor }`. The sort is then applied by `$search`, use a unique field as the last sort key
+   * @param {object} [obj.filter] Query filter of the matching docs, applied by `$match` after `$search` and before the count.
+   * It is also added to `$search` as compound filter clauses if facets or count is set, see SearchBackend getStages
+   * @param {object} [obj.facets] Atlas facet definitions `{ [name]: { type, path, numBuckets, boundaries, default } }`, the facet counts
+   * are returned as facets {@link https://www.mongodb.com/docs/atlas/atlas-search/facet/}
+   * @param {object} [obj.highlight] Atlas highlight options `{ path, maxCharsToExamine, maxNumPassages }`, the highlights of each doc
+   * are returned as highlights {@link https://www.mongodb.com/docs/atlas/atlas-search/highlighting/}
+   * @param {object} [obj.count] Atlas count options `E.g., { type: "lowerBound", threshold: 1000 }`, total is then counted by `$search`
+   * instead of `$count` {@link https://www.mongodb.com/docs/atlas/atlas-search/counting/}
+   * @param {boolean} [isGetCount=true] Set true to get the number of total matching docs and current page number. Ignored by searchAfter /
+   * searchBefore pagination, which returns metadata if count is set
+   * @param {object} [options] Aggregate options - dbName, session, readConcern, readPreference, maxTimeMS, searchBackend, etc., `explain: true` to get the summarised plan, see getData
+   * @returns {promise} Promise with object `{ metadata, data, facets }`, object `{ data, nextCursor, prevCursor, metadata, facets }` of searchAfter /
+   * searchBefore pagination, or object array if isGetCount is false and facets is not set
    */
-  async search(collectionName, search, { projection, sort, pagination }={}, isGetCount = true) {
-    return Promise.resolve(await MongoDBOps.search(this.connString, collectionName, search, { projection, sort, pagination }, isGetCount));
+  async search(collectionName, search, { projection, sort, pagination, filter, facets, highlight, count }={}, isGetCount = true, options) {
+    return Promise.resolve(await MongoDBOps.search(this.connString, collectionName, search, { projection, sort, pagination, filter, facets, highlight, count }, isGetCount, this.getOptions(options)));
   }
 
   /**
@@ -238,25 +828,28 @@ class MongoDBOps {
    * @param {object} doc Data document
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {string} connString Database connection string 
-   * @returns {promise}
+   * @param {object} [options] Write options - dbName, session, writeConcern, maxTimeMS, retry, idempotent, etc.
+   * @returns {promise} Promise with write result. Driver errors are rejected as DuplicateKeyError, ValidationError, ConnectionError, TimeoutError or MongoDBOpsError
    */
-  static async writeData(type, collectionName, doc, filter, connString) {
+  static async writeData(type, collectionName, doc, filter, connString, options) {
     try {
-      const db = (await MongoDBOps.getDbClient(connString)).db();
-
-      let result;
-      switch(type) {
-        case "insertOne": result = await db.collection(collectionName).insertOne(doc); break;
-        case "replaceOne": result = await db.collection(collectionName).replaceOne(filter, doc); break;
-        case "updateOne": result = await db.collection(collectionName).updateOne(filter, doc); break;
-        case "updateMany": result = await db.collection(collectionName).updateMany(filter, doc); break;
-        case "deleteOne": result = await db.collection(collectionName).deleteOne(filter); break;
-        case "deleteMany": result = await db.collection(collectionName).deleteMany(filter); break;
-        default: throw new Error("invalid-writeData-type");
-      }
-      return Promise.resolve(result);
+      return Promise.resolve(await withRetry("writeData", options, isIdempotentWrite(type, doc, filter), async ()=> {
+        const [db, dbOptions] = await getDb(connString, options);
+
+        let result;
+        switch(type) {
+          case "insertOne": result = await db.collection(collectionName).insertOne(doc, dbOptions); break;
+          case "replaceOne": result = await db.collection(collectionName).replaceOne(filter, doc, dbOptions); break;
+          case "updateOne": result = await db.collection(collectionName).updateOne(filter, doc, dbOptions); break;
+          case "updateMany": result = await db.collection(collectionName).updateMany(filter, doc, dbOptions); break;
+          case "deleteOne": result = await db.collection(collectionName).deleteOne(filter, dbOptions); break;
+          case "deleteMany": result = await db.collection(collectionName).deleteMany(filter, dbOptions); break;
+          default: throw new Error("invalid-writeData-type");
+        }
+        return result;
+      }));
     }
-    catch (err) { return Promise.reject(err.errmsg || err.message || err); }
+    finally { await QueryCache.invalidate(collectionName, options && options.session); }
   }
 
   /**
@@ -274,10 +867,11 @@ class MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {object} doc Data document
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [options] Write options - dbName, session, writeConcern, maxTimeMS, retry, idempotent, etc.
    * @returns {promise}
    */
-  async writeData(type, collectionName, doc, filter) {
-    return Promise.resolve(await MongoDBOps.writeData(type, collectionName, doc, filter, this.connString));
+  async writeData(type, collectionName, doc, filter, options) {
+    return Promise.resolve(await MongoDBOps.writeData(type, collectionName, doc, filter, this.connString, this.getOptions(options)));
   }
 
   /**
@@ -289,57 +883,60 @@ class MongoDBOps {
    * 
    * @param {string} type Write type - insertBulk, replaceBulk, updateBulk, allBulk
    * @param {string} collectionName Collection name 
-   * @param {Array} docs Data documents array
+   * @param {Array} docs Data documents array. The array and its documents are not changed, the `_id` of inserted documents are in insertedIds of the result
    * @param {boolean} [ordered=false] Set true to use ordered bulkWrite
    * @param {string} connString Database connection string
-   * @returns {promise}
+   * @param {object} [options] BulkWrite options - dbName, session, writeConcern, maxTimeMS, retry, idempotent, etc.
+   * @returns {promise} Promise with BulkWriteResult. Failed operations are rejected as BulkWriteError with the partial result
    */
-  static async writeBulkData(type, collectionName, docs, ordered = false, connString) {
+  static async writeBulkData(type, collectionName, docs, ordered = false, connString, options) {
+    let ops;
+    switch(type) {
+      case "insertBulk":
+        ops = docs.map(doc=> ({ insertOne: { "document": { ...doc }}}));
+        break;
+      case "replaceBulk":
+        // doc = {
+        //   "filter": <document>,
+        //   "replacement": <document>,
+        //   "upsert": <boolean>,
+        //   "collation": <document>,
+        //   "hint": <document|string>
+        // }
+        ops = docs.map(doc=> ({ replaceOne: doc }));
+        break;
+      case "updateBulk":
+        // doc = {
+        //   "filter": <document>,
+        //   "update": <document or pipeline>,
+        //   "upsert": <boolean>,
+        //   "collation": <document>,
+        //   "arrayFilters": [ <filterdocument1>, ... ],
+        //   "hint": <document|string>
+        // }
+        ops = docs.map(doc=> ({ updateOne: doc }));
+        break;
+      case "deleteBulk":
+        // doc = {
+        //   "filter": <document>,
+        //   "collation": <document>
+        // }
+        ops = docs.map(doc=> ({ deleteOne: doc }));
+        break;
+      case "allBulk":
+        // allowed bulkWrite operations include insertOne, replaceOne, updateOne, updateMany, deleteOne, deleteMany
+        ops = docs.map(doc=> doc.insertOne ? { insertOne: { ...doc.insertOne, "document": { ...doc.insertOne.document }}} : doc);
+        break;
+      default: throw new Error("invalid-writeBulkData-type");
+    }
+
     try {
-      const db = (await MongoDBOps.getDbClient(connString)).db();
-
-      let result;
-      switch(type) {
-        case "insertBulk":
-          for (let i = 0; i < docs.length; ++i) { docs[i] = { insertOne: { "document": docs[i] }}; }
-          break;
-        case "replaceBulk":
-          // doc = {
-          //   "filter": <document>,
-          //   "replacement": <document>,
-          //   "upsert": <boolean>,
-          //   "collation": <document>,
-          //   "hint": <document|string>
-          // }
-          for (let i = 0; i < docs.length; ++i) { docs[i] = { replaceOne: docs[i] }; }
-          break;
-        case "updateBulk":
-          // doc = {
-          //   "filter": <document>,
-          //   "update": <document or pipeline>,
-          //   "upsert": <boolean>,
-          //   "collation": <document>,
-          //   "arrayFilters": [ <filterdocument1>, ... ],
-          //   "hint": <document|string>
-          // }
-          for (let i = 0; i < docs.length; ++i) { docs[i] = { updateOne: docs[i] }; }
-          break;
-        case "deleteBulk":
-          // doc = {
-          //   "filter": <document>,
-          //   "collation": <document>
-          // }
-          for (let i = 0; i < docs.length; ++i) { docs[i] = { deleteOne: docs[i] }; }
-          break;
-        case "allBulk":
-          // allowed bulkWrite operations include insertOne, replaceOne, updateOne, updateMany, deleteOne, deleteMany
-          break;
-        default: throw new Error("invalid-writeBulkData-type");
-      }
-      result = await db.collection(collectionName).bulkWrite(docs, { ordered: ordered });
-      return Promise.resolve(result);
+      return Promise.resolve(await withRetry("writeBulkData", options, ops.every(op=> isIdempotentOp(op)), async ()=> {
+        const [db, dbOptions] = await getDb(connString, options);
+        return db.collection(collectionName).bulkWrite(ops, { ...dbOptions, ordered: ordered });
+      }));
     }
-    catch (err) { return Promise.reject(err.result || err.errmsg || err.message); }
+    finally { await QueryCache.invalidate(collectionName, options && options.session); }
   }
 
   /**
@@ -353,10 +950,39 @@ class MongoDBOps {
    * @param {string} collectionName Collection name 
    * @param {Array} docs Data documents array
    * @param {boolean} [ordered=false] Set true to use ordered bulkWrite
+   * @param {object} [options] BulkWrite options - dbName, session, writeConcern, maxTimeMS, retry, idempotent, etc.
    * @returns {promise}
    */
-  async writeBulkData(type, collectionName, docs, ordered = false) {
-    return Promise.resolve(await MongoDBOps.writeBulkData(type, collectionName, docs, ordered, this.connString));
+  async writeBulkData(type, collectionName, docs, ordered = false, options) {
+    return Promise.resolve(await MongoDBOps.writeBulkData(type, collectionName, docs, ordered, this.connString, this.getOptions(options)));
+  }
+
+  /**
+   * Static method - Create a bulk writer which writes a large input by writeBulkData in chunks, see BulkWriter. A chunk which failed
+   * as a whole is retried by the retry policy only if all its operations are idempotent, or idempotent is set
+   * 
+   * @param {string} type Write type - insertBulk, replaceBulk, updateBulk, deleteBulk, allBulk
+   * @param {string} collectionName Collection name
+   * @param {string} connString Database connection string
+   * @param {object} [options] BulkWriter options - ordered, batchSize, maxBatchBytes, concurrency, and BulkWrite options - dbName, session, writeConcern, retry, idempotent, etc.
+   * @returns {BulkWriter} Bulk writer, call `write(docs)` to write
+   */
+  static bulkWriter(type, collectionName, connString, options) {
+    const { ordered, batchSize, maxBatchBytes, concurrency, ...writeOptions } = options || {};
+    return new BulkWriter(docs=> MongoDBOps.writeBulkData(type, collectionName, docs, ordered, connString, writeOptions), { ordered, batchSize, maxBatchBytes, concurrency });
+  }
+
+  /**
+   * Instance method - Create a bulk writer which writes a large input by writeBulkData in chunks, see BulkWriter
+   * 
+   * @param {string} type Write type - insertBulk, replaceBulk, updateBulk, deleteBulk, allBulk
+   * @param {string} collectionName Collection name
+   * @param {object} [options] BulkWriter options - ordered, batchSize, maxBatchBytes, concurrency, and BulkWrite options - dbName, session, writeConcern, retry, idempotent, etc.
+   * @returns {BulkWriter} Bulk writer, call `write(docs)` to write
+   */
+  bulkWriter(type, collectionName, options) {
+    const { ordered, batchSize, maxBatchBytes, concurrency, ...writeOptions } = options || {};
+    return MongoDBOps.bulkWriter(type, collectionName, this.connString, { ordered, batchSize, maxBatchBytes, concurrency, ...this.getOptions(writeOptions) });
   }
 }
 
@@ -378,4 +1004,302 @@ const parsePagination = ({ startIndex, endIndex }={})=> {
     skip: Number.isInteger(startIndex) ? startIndex - 1 : undefined,
     limit: Number.isInteger(startIndex) && Number.isInteger(endIndex) ? ((endIndex - startIndex + 1) < 0 ? 0 : endIndex - startIndex + 1) : undefined
   };
+}
+
+const SEARCH_TOKEN_FIELD = "searchSequenceToken";
+
+/**
+ * Parse the searchAfter / searchBefore pagination of search and return skip and limit values
+ * 
+ * @param {object} obj
+ * @param {number} obj.limit Page size
+ * @param {string} [obj.after] Search sequence token to get the page after
+ * @param {string} [obj.before] Search sequence token to get the page before
+ * @returns {object} Object with skip and limit values
+ */
+const parseSearchPagination = ({ limit, after, before })=> {
+  limit = +limit;
+  if (!Number.isInteger(limit)) { throw new Error("invalid-pagination-limit"); }
+  if (after && before) { throw new Error("invalid-pagination-cursor"); }
+
+  return { skip: 0, limit };
+}
+
+/**
+ * Add the search sequence token to an inclusion projection
+ * 
+ * @param {object} projection Projection
+ * @returns {object} Projection
+ */
+const getSearchProjection = projection=> {
+  const isInclusion = Object.entries(projection).some(([field, value])=> field !== "_id" && value !== 0 && value !== false);
+  return isInclusion ? { ...projection, [SEARCH_TOKEN_FIELD]: 1 } : projection;
+}
+
+/**
+ * Get the page of searchAfter / searchBefore pagination from the docs of the search, fetched with one doc more than the limit.
+ * searchBefore returns the docs in reverse order
+ * 
+ * @param {Array} docs Docs with the search sequence token
+ * @param {number} limit Page size
+ * @param {object} pagination Pagination `{ limit, after, before }`
+ * @returns {object} Object `{ data, nextCursor, prevCursor }`. A cursor is null if there is no page in its direction
+ */
+const getSearchPage = (docs, limit, { after, before })=> {
+  const isBackward = !!before;
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (isBackward) { page.reverse(); }
+
+  let nextCursor = null, prevCursor = null;
+  if (page.length) {
+    if (hasMore || isBackward) { nextCursor = page[page.length - 1][SEARCH_TOKEN_FIELD]; }
+    if (isBackward ? hasMore : !!after) { prevCursor = page[0][SEARCH_TOKEN_FIELD]; }
+  }
+
+  const data = page.map(({ [SEARCH_TOKEN_FIELD]: token, ...doc })=> doc);
+  return { data, nextCursor, prevCursor };
+}
+
+/**
+ * Get find or aggregate cursor
+ * 
+ * @param {object} db Db instance
+ * @param {string} collectionName Collection name
+ * @param {object|Array} [queryExp] Query filter, or aggregate pipeline if isAggregate is true
+ * @param {boolean} [isAggregate] Set true to use the aggregation
+ * @param {object} [projection] Projection
+ * @param {object} [sort] Sort
+ * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+ * @param {object} [collation] Collation
+ * @param {object} [options] Find or aggregate options
+ * @returns {object} FindCursor or AggregationCursor
+ */
+const getCursor = (db, collectionName, queryExp, isAggregate, projection, sort, pagination, collation, options)=> {
+  if (isAggregate) { return db.collection(collectionName).aggregate(queryExp, options); }
+
+  const { skip, limit } = parsePagination(pagination);
+
+  let cursor = db.collection(collectionName).find(queryExp || {}, { ...options, projection: projection || {} });
+  if (sort) { cursor = cursor.sort(sort); }
+  if (pagination) { cursor = cursor.skip(skip).limit(limit); }
+  if (collation) { cursor = cursor.collation(collation); }
+
+  return cursor;
+}
+
+/**
+ * Parse the keyset pagination and return the query filter, sort and limit of the page
+ * 
+ * @param {object} [queryExp] Query filter
+ * @param {object} [sort] Sort
+ * @param {object} obj
+ * @param {number} obj.limit Page size
+ * @param {string} [obj.after] Cursor token to get the page after
+ * @param {string} [obj.before] Cursor token to get the page before
+ * @returns {object} Object with filter, keysetSort, keys, limit and isBackward values
+ */
+const parseKeysetPagination = (queryExp, sort, { limit, after, before })=> {
+  limit = +limit;
+  if (!Number.isInteger(limit)) { throw new Error("invalid-pagination-limit"); }
+  if (after && before) { throw new Error("invalid-pagination-cursor"); }
+
+  const keys = [];
+  for (const [field, order] of Object.entries(sort || {})) {
+    if (typeof order === "object") { throw new Error("invalid-keyset-sort"); }
+    keys.push([field, [-1, "-1", "desc", "descending"].includes(order) ? -1 : 1]);
+  }
+  if (!keys.some(([field])=> field === "_id")) { keys.push(["_id", 1]); }
+
+  const isBackward = !!before;
+  const keysetSort = {};
+  for (const [field, order] of keys) { keysetSort[field] = isBackward ? -order : order; }
+
+  let filter = queryExp || {};
+  if (after || before) {
+    const values = decodeKeysetCursor(after || before, keys);
+    const keysetFilter = {
+      $or: keys.map(([field, order], i)=> {
+        const condition = {};
+        for (let j = 0; j < i; ++j) { condition[keys[j][0]] = values[j]; }
+        condition[field] = { [(order === 1) !== isBackward ? "$gt" : "$lt"]: values[i] };
+        return condition;
+      })
+    };
+    filter = Object.keys(filter).length ? { $and: [filter, keysetFilter] } : keysetFilter;
+  }
+
+  return { filter, keysetSort, keys, limit, isBackward };
+}
+
+/**
+ * Make sure the sort fields are returned by the projection so that the cursor token can be built
+ * 
+ * @param {object} [projection] Projection
+ * @param {Array} keys Sort keys `[[field, order], ...]`
+ * @returns {object} Object with keysetProjection and hiddenFields which are to be removed from the result
+ */
+const getKeysetProjection = (projection, keys)=> {
+  if (!projection || !Object.keys(projection).length) { return { keysetProjection: projection, hiddenFields: [] }; }
+
+  const keysetProjection = { ...projection }, hiddenFields = [];
+  const isInclusion = Object.entries(projection).some(([field, value])=> field !== "_id" && value !== 0 && value !== false);
+
+  for (const [field] of keys) {
+    if (field in keysetProjection) {
+      if (keysetProjection[field] === 0 || keysetProjection[field] === false) {
+        delete keysetProjection[field];
+        hiddenFields.push(field);
+      }
+    }
+    else if (isInclusion && field !== "_id" && !Object.keys(keysetProjection).some(item=> field.startsWith(`${item}.`) || item.startsWith(`${field}.`))) {
+      keysetProjection[field] = 1;
+      hiddenFields.push(field);
+    }
+  }
+
+  return { keysetProjection, hiddenFields };
+}
+
+/**
+ * Encode the sort key values of a document into an opaque cursor token
+ * 
+ * @param {object} doc Document
+ * @param {Array} keys Sort keys `[[field, order], ...]`
+ * @returns {string} Cursor token
+ */
+const encodeKeysetCursor = (doc, keys)=> {
+  const values = keys.map(([field])=> getField(doc, field));
+  if (values.includes(undefined)) { throw new Error("missing-keyset-sort-field"); }
+
+  return Buffer.from(EJSON.stringify({ k: keys, v: values })).toString("base64url");
+}
+
+/**
+ * Decode the cursor token and return the sort key values
+ * 
+ * @param {string} cursor Cursor token
+ * @param {Array} keys Sort keys `[[field, order], ...]`
+ * @returns {Array} Sort key values
+ */
+const decodeKeysetCursor = (cursor, keys)=> {
+  let token;
+  try { token = EJSON.parse(Buffer.from(cursor, "base64url").toString()); }
+  catch (err) { throw new Error("invalid-pagination-cursor"); }
+
+  if (JSON.stringify(token.k) !== JSON.stringify(keys) || !Array.isArray(token.v)) { throw new Error("invalid-pagination-cursor"); }
+
+  return token.v;
+}
+
+/**
+ * Get field value by dot notation path
+ * 
+ * @param {object} doc Document
+ * @param {string} path Field path `E.g., address.city`
+ * @returns {*} Field value
+ */
+const getField = (doc, path)=> path.split(".").reduce((value, key)=> value == null ? undefined : value[key], doc);
+
+/**
+ * Remove field by dot notation path
+ * 
+ * @param {object} doc Document
+ * @param {string} path Field path `E.g., address.city`
+ */
+const unsetField = (doc, path)=> {
+  const keys = path.split(".");
+  const field = keys.pop();
+  const parent = keys.length ? getField(doc, keys.join(".")) : doc;
+  if (parent && typeof parent === "object") { delete parent[field]; }
+}
+
+/**
+ * Get Db instance of the database named by `options.dbName`, or of the connection string if it is not provided
+ * 
+ * @param {string} connString Database connection string or registered connection name
+ * @param {object} [options] Operation options
+ * @returns {promise} Promise with array of Db instance and the operation options without dbName, retry, idempotent and searchBackend
+ */
+const getDb = async (connString, options)=> {
+  const { dbName, retry, idempotent, searchBackend, ...dbOptions } = options || {};
+  return [(await MongoDBOps.getDbClient(connString)).db(dbName), dbOptions];
+}
+
+/**
+ * Run an operation with the retry policy. Driver errors are converted by wrapError. Writes which are not idempotent, aggregates
+ * with $out or $merge and operations in a transaction are run once
+ * 
+ * @param {string} operation Operation name
+ * @param {object} [options] Operation options - retry, idempotent, session
+ * @param {boolean} isSafe Whether the operation can be run again safely
+ * @param {function} fn Async function `() => {}`
+ * @returns {promise}
+ */
+const withRetry = (operation, options, isSafe, fn)=> {
+  const { retry, idempotent, session } = options || {};
+  const run = ()=> fn().catch(err=> Promise.reject(wrapError(err)));
+  if (retry === false || !(isSafe || idempotent) || (session && session.inTransaction())) { return run(); }
+
+  return RetryPolicy.run(operation, run, retry);
+}
+
+const IDEMPOTENT_UPDATE_OPERATORS = ["$set", "$unset", "$setOnInsert", "$min", "$max", "$addToSet", "$pull", "$pullAll", "$currentDate"];
+
+/**
+ * Check if a write gives the same result when it is run again. Only single document writes selected by _id are known as idempotent,
+ * as a filter of other fields may match other documents on the next run, and updates only with operators such as $set but not $inc or $push
+ * 
+ * @param {string} type Write type
+ * @param {object|Array} doc Data document, update document or pipeline
+ * @param {object} filter Query filter
+ * @returns {boolean}
+ */
+const isIdempotentWrite = (type, doc, filter)=> {
+  if (!hasIdFilter(filter)) { return false; }
+
+  switch(type) {
+    case "replaceOne":
+    case "deleteOne": return true;
+    case "updateOne": return !!doc && !Array.isArray(doc) && Object.keys(doc).every(key=> IDEMPOTENT_UPDATE_OPERATORS.includes(key));
+    default: return false;
+  }
+}
+
+/**
+ * Check if a query filter selects a document by _id equality, at the top level or in $and
+ * 
+ * @param {object} filter Query filter
+ * @returns {boolean}
+ */
+const hasIdFilter = filter=> {
+  if (!filter || typeof filter !== "object") { return false; }
+  if (Array.isArray(filter.$and) && filter.$and.some(hasIdFilter)) { return true; }
+
+  const value = filter._id;
+  if (value === undefined || value === null) { return false; }
+  if (value.constructor !== Object) { return true; }
+
+  const keys = Object.keys(value);
+  return keys.length > 0 && (keys.every(key=> !key.startsWith("$")) || (keys.length === 1 && keys[0] === "$eq"));
+}
+
+/**
+ * Check if an aggregate writes its result by $out or $merge, so it is not run again
+ * 
+ * @param {boolean} isAggregate Whether the query is an aggregate
+ * @param {object|Array} queryExp Query filter or aggregate pipeline
+ * @returns {boolean}
+ */
+const isWritePipeline = (isAggregate, queryExp)=> !!isAggregate && Array.isArray(queryExp) && queryExp.some(stage=> !!stage && ("$out" in stage || "$merge" in stage));
+
+/**
+ * Check if a bulkWrite operation gives the same result when it is run again
+ * 
+ * @param {object} op BulkWrite operation `E.g., { updateOne: { filter, update }}`
+ * @returns {boolean}
+ */
+const isIdempotentOp = op=> {
+  const [type, value] = Object.entries(op)[0] || [];
+  return !!value && isIdempotentWrite(type, type === "replaceOne" ? value.replacement : value.update, value.filter);
 }
\ No newline at end of file
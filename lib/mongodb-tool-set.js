@@ -1,6 +1,24 @@
 'use strict';
 
 const MongoDBOps = require('./mongodb-ops');
+const { validateSchema, validatePath, diffSchema } = require('./schema-validator');
+const { ValidationError, VersionConflictError, BulkWriteError, DuplicateKeyError } = require('./errors');
+const BulkWriter = require('./bulk-writer');
+const QueryBuilder = require('./query-builder');
+const QueryCache = require('./query-cache');
+const DataTransfer = require('./data-transfer');
+const FieldEncryption = require('./field-encryption');
+const { Readable } = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const actorStorage = new AsyncLocalStorage();
+
+const HOOK_OPERATIONS = [
+  "find", "list", "aggregate", "count", "distinct", "explain", "search",
+  "insertOne", "replaceOne", "updateOne", "updateMany", "deleteOne", "deleteMany",
+  "insertBulk", "replaceBulk", "updateBulk", "deleteBulk", "allBulk"
+];
+const globalHooks = { pre: [], post: [] };
 
 class MongoDBToolSet extends MongoDBOps {
   /**
@@ -8,14 +26,429 @@ class MongoDBToolSet extends MongoDBOps {
    * @classdesc MongoDBToolSet Operations
    * 
    * @param {string} collectionName Collection name
-   * @param {string} connString Database connection string
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] Default operation options of instance methods - dbName, writeConcern, readConcern, readPreference, maxTimeMS
    */
-  constructor(collectionName, connString) {
-    super(connString);
+  constructor(collectionName, connString, options) {
+    super(connString, options);
     this.collectionName = collectionName;
     this.connString = connString;
   }
 
+  /**
+   * Instance method - Attach a $jsonSchema to the instance. Documents of insert and replace, and `$set` / `$setOnInsert` fields of update
+   * are validated client-side before every write of the instance, bulk writes included. Use syncSchema to apply it as collection validator
+   * {@link https://www.mongodb.com/docs/manual/core/schema-validation/specify-json-schema/}
+   * 
+   * @param {object} schema $jsonSchema object, set undefined to remove the schema
+   * @param {object} [obj]
+   * @param {string} [obj.validationLevel="strict"] Server validation level - strict or moderate
+   * @param {string} [obj.validationAction="error"] Server validation action - error or warn
+   * @returns {MongoDBToolSet} The instance
+   */
+  setSchema(schema, { validationLevel = "strict", validationAction = "error" }={}) {
+    this.schema = schema ? { jsonSchema: schema, validationLevel, validationAction } : undefined;
+    return this;
+  }
+
+  /**
+   * Instance method - Validate document against the schema of the instance
+   * 
+   * @param {object} doc Data document
+   * @returns {Array} Field errors `[{ path, keyword, message }]`, empty if the document is valid
+   */
+  validate(doc) {
+    if (!this.schema) { throw new Error("missing-schema"); }
+    return validateSchema(this.schema.jsonSchema, doc);
+  }
+
+  /**
+   * Instance method - Sync the schema of the instance to the collection as $jsonSchema validator. Collection is created if it does not exist
+   * {@link https://www.mongodb.com/docs/manual/reference/command/collMod/}
+   * 
+   * @param {object} [obj]
+   * @param {boolean} [obj.dryRun=false] Set true to get the differences without changing the collection
+   * @param {object} [options] Command options - dbName, session, etc.
+   * @returns {promise} Promise with object `{ isChanged, isApplied, diff: [{ path, change, before, after }] }`
+   */
+  async syncSchema({ dryRun = false }={}, options) {
+    if (!this.schema) { throw new Error("missing-schema"); }
+
+    const [collection] = await this.listCollections({ name: this.collectionName }, options);
+    const current = (collection && collection.options) || {};
+    const { jsonSchema, validationLevel, validationAction } = this.schema;
+
+    const diff = diffSchema(
+      { validator: current.validator, validationLevel: current.validationLevel, validationAction: current.validationAction },
+      { validator: { $jsonSchema: jsonSchema }, validationLevel, validationAction }
+    );
+
+    const isApplied = !dryRun && diff.length > 0;
+    if (isApplied) {
+      const command = collection ? { collMod: this.collectionName } : { create: this.collectionName };
+      await this.runCommand({ ...command, validator: { $jsonSchema: jsonSchema }, validationLevel, validationAction }, options);
+    }
+
+    return Promise.resolve({ isChanged: diff.length > 0, isApplied, diff });
+  }
+
+  /**
+   * Instance method - Declare the indexes of the collection to be synced by ensureIndexes
+   * {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.createIndex/#options}
+   * 
+   * @param {Array} indexes Index specification array `[{ key, name, unique, sparse, partialFilterExpression, expireAfterSeconds, collation, weights, ... }]`.
+   * Name is generated from the key as MongoDB does if it is not provided, e.g. `sku_1_createdAt_-1`
+   * @returns {MongoDBToolSet} The instance
+   */
+  setIndexes(indexes) {
+    this.indexes = (indexes || []).map(index=> {
+      if (!index || !index.key || !Object.keys(index.key).length) { throw new Error("invalid-index-key"); }
+      return { ...index, name: index.name || Object.entries(index.key).map(([field, value])=> `${field}_${value}`).join("_") };
+    });
+    return this;
+  }
+
+  /**
+   * Instance method - Sync the declared indexes to the collection. Missing indexes are created, and indexes whose key or options
+   * differ from the declaration are reported as conflicts without being changed as MongoDB cannot modify an existing index
+   * 
+   * @param {object} [obj]
+   * @param {boolean} [obj.dryRun=false] Set true to get the report without changing the collection
+   * @param {boolean} [obj.dropUndeclared=false] Set true to drop the indexes which are not declared, `_id_` excluded
+   * @param {object} [options] Index command options - dbName, session, commitQuorum, etc.
+   * @returns {promise} Promise with report object `{ dryRun, created, dropped, unchanged, undeclared, conflicts: [{ name, existingName, diff }] }`
+   */
+  async ensureIndexes({ dryRun = false, dropUndeclared = false }={}, options) {
+    if (!this.indexes) { throw new Error("missing-indexes"); }
+
+    const existing = await this.listIndexes(this.collectionName, options);
+    const report = { dryRun, created: [], dropped: [], unchanged: [], undeclared: [], conflicts: [] };
+    const missing = [], matched = new Set();
+
+    for (const index of this.indexes) {
+      const current = existing.find(item=> item.name === index.name) || existing.find(item=> isSameIndexKey(item.key, index.key));
+      if (!current) { missing.push(index); continue; }
+
+      matched.add(current.name);
+      const diff = getIndexDiff(index, current);
+      if (current.name !== index.name || diff.length) { report.conflicts.push({ name: index.name, existingName: current.name, diff }); }
+      else { report.unchanged.push(index.name); }
+    }
+
+    report.created = missing.map(index=> index.name);
+    report.undeclared = existing.filter(item=> item.name !== "_id_" && !matched.has(item.name)).map(item=> item.name);
+    if (dropUndeclared) { report.dropped = [...report.undeclared]; }
+
+    if (!dryRun) {
+      if (missing.length) { await this.createIndexes(this.collectionName, missing, options); }
+      for (const name of report.dropped) { await this.dropIndex(this.collectionName, name, options); }
+    }
+
+    return Promise.resolve(report);
+  }
+
+  /**
+   * Instance method - Turn on soft-delete mode. Deletes of the instance set the deleted fields instead of removing the documents,
+   * and reads of the instance exclude soft-deleted documents unless `withDeleted: true` is passed in the options.
+   * The deleter is the per-call `actor` option, or the actor of runWithActor
+   * 
+   * @param {object|boolean} [obj] Set false to turn off soft-delete mode
+   * @param {string} [obj.deletedAtField="deletedAt"] Field of the deletion date
+   * @param {string} [obj.deletedByField="deletedBy"] Field of the deleter
+   * @returns {MongoDBToolSet} The instance
+   */
+  setSoftDelete(obj = {}) {
+    if (obj === false) {
+      this.softDelete = undefined;
+      return this;
+    }
+
+    const { deletedAtField = "deletedAt", deletedByField = "deletedBy" } = obj === true ? {} : obj;
+    this.softDelete = { deletedAtField, deletedByField };
+    return this;
+  }
+
+  /**
+   * Instance method - Restore soft-deleted documents
+   * 
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
+   * @returns {promise} Promise with update result, modifiedCount is the no. of restored documents
+   */
+  async restore(filter, options) {
+    if (!this.softDelete) { throw new Error("soft-delete-not-enabled"); }
+
+    const { deletedAtField, deletedByField } = this.softDelete;
+    const deletedFilter = { [deletedAtField]: { $ne: null }};
+    const [actor, writeOptions] = getActor(options);
+    return Promise.resolve(await MongoDBToolSet.updateMany(
+      this.collectionName,
+      stampUpdate(this, { $unset: { [deletedAtField]: "", [deletedByField]: "" }}, actor),
+      getTenantFilter(this, filter && Object.keys(filter).length ? { $and: [encryptFilter(this, filter), deletedFilter] } : deletedFilter),
+      this.connString,
+      this.getOptions(writeOptions)
+    ));
+  }
+
+  /**
+   * Instance method - Permanently delete the documents which were soft-deleted before a date
+   * 
+   * @param {Date|number} olderThan Deletion date, or age in milliseconds `E.g., 30 * 24 * 60 * 60 * 1000 for 30 days`
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
+   * @returns {promise} Promise with delete result
+   */
+  async purgeDeleted(olderThan, options) {
+    if (!this.softDelete) { throw new Error("soft-delete-not-enabled"); }
+
+    const date = olderThan instanceof Date ? olderThan : new Date(Date.now() - olderThan);
+    if (isNaN(date.getTime())) { throw new Error("invalid-purge-date"); }
+
+    return Promise.resolve(await MongoDBToolSet.deleteMany(this.collectionName, getTenantFilter(this, { [this.softDelete.deletedAtField]: { $lte: date }}), this.connString, this.getOptions(options)));
+  }
+
+  /**
+   * Instance method - Turn on audit mode. Writes of the instance stamp the created fields on insert and upsert, and the updated fields
+   * on every write, bulk writes included. Replace keeps the created fields of the existing document by running as pipeline update.
+   * The actor is the per-call `actor` option, or the actor of runWithActor
+   * 
+   * @param {object|boolean} [obj] Set false to turn off audit mode
+   * @param {string} [obj.createdAtField="createdAt"] Field of the creation date, set null to leave it out
+   * @param {string} [obj.createdByField="createdBy"] Field of the creator, set null to leave it out
+   * @param {string} [obj.updatedAtField="updatedAt"] Field of the last update date, set null to leave it out
+   * @param {string} [obj.updatedByField="updatedBy"] Field of the last updater, set null to leave it out
+   * @returns {MongoDBToolSet} The instance
+   */
+  setAudit(obj = {}) {
+    if (obj === false) {
+      this.audit = undefined;
+      return this;
+    }
+
+    const { createdAtField = "createdAt", createdByField = "createdBy", updatedAtField = "updatedAt", updatedByField = "updatedBy" } = obj === true ? {} : obj;
+    this.audit = { createdAtField, createdByField, updatedAtField, updatedByField };
+    return this;
+  }
+
+  /**
+   * Instance method - Turn on optimistic locking. Inserts of the instance set the version field to 0 and every update increments it.
+   * replaceOne and updateOne, and the items of replaceBulk and updateBulk, write only if the document is still at the expected version,
+   * otherwise they reject with VersionConflictError `{ conflicts: [{ index, filter, expectedVersion }], results }`. The expected version is
+   * the `expectedVersion` option or item field, or the version field of the replacement for replace. Upsert needs the expected version 0
+   * and a filter on a unique field, e.g. `_id`, an existing document at another version is then a conflict
+   * 
+   * @param {object|boolean} [obj] Set false to turn off optimistic locking
+   * @param {string} [obj.versionField="__v"] Field of the document version
+   * @returns {MongoDBToolSet} The instance
+   */
+  setVersioning(obj = {}) {
+    if (obj === false) {
+      this.versioning = undefined;
+      return this;
+    }
+
+    const { versionField = "__v" } = obj === true ? {} : obj;
+    this.versioning = { versionField };
+    return this;
+  }
+
+  /**
+   * Instance method - Turn on read-through caching. The find queries of the instance are cached, getDataByID, getData, getDataCount, getAllData and list
+   * included, and `cache: false` skips the cache. Reads in a session and explain are not cached. Every write to the collection through MongoDBOps
+   * or any toolset invalidates its cached reads in all the adapters in use. See QueryCache
+   * 
+   * @param {object|boolean} [obj] Set false to turn off caching
+   * @param {number} [obj.ttlMS=60000] Time to live of the cached reads in milliseconds
+   * @param {object} [obj.adapter] Cache adapter with async methods `get(key)`, `set(key, value, ttlMS, namespace)` and `invalidate(namespace)`.
+   * Default is the shared in-process LRUCache
+   * @returns {MongoDBToolSet} The instance
+   */
+  setCache(obj = {}) {
+    if (obj === false) {
+      this.cache = undefined;
+      return this;
+    }
+
+    const { ttlMS = 60000, adapter = QueryCache.getDefaultAdapter() } = obj === true ? {} : obj;
+    if (!(ttlMS > 0)) { throw new Error("invalid-cache-ttl"); }
+
+    QueryCache.register(adapter);
+    this.cache = { ttlMS, adapter };
+    return this;
+  }
+
+  /**
+   * Instance method - Turn on field encryption with AES-256-GCM. The encrypted fields are encrypted on every write of the instance,
+   * bulk writes and upserts included, and decrypted on every read. Query filters of deterministic fields are encrypted, so equality
+   * filters work. The schema is validated on the encrypted document as the server does, declare the encrypted fields as `bsonType: "binData"`.
+   * To rotate a key, add the new key, set it as keyId and run rotateEncryptionKey. See FieldEncryption
+   * 
+   * @param {object|boolean} obj Set false to turn off field encryption
+   * @param {object|Array} obj.fields Encrypted fields `{ [path]: mode }` where mode is random or deterministic, or array of paths for random mode
+   * @param {object} obj.keys Keys `{ [keyId]: key }` where key is a 32-byte Buffer or its base64 string
+   * @param {string} [obj.keyId] ID of the key to encrypt with, required if there are several keys
+   * @returns {MongoDBToolSet} The instance
+   */
+  setEncryption(obj) {
+    this.encryption = obj === false ? undefined : new FieldEncryption(obj);
+    return this;
+  }
+
+  /**
+   * Instance method - Re-encrypt the encrypted fields of the existing documents which are encrypted with another key than keyId,
+   * or not encrypted yet. The top-level fields of the encrypted fields are rewritten, so the encrypted fields in arrays are rotated too.
+   * Each document is updated only if the fields are unchanged since it was read, and audit and version fields are not changed
+   * 
+   * @param {object} [obj]
+   * @param {object} [obj.filter] Query filter of the documents to rotate, soft-deleted documents are included
+   * @param {number} [obj.batchSize=500] No. of documents per bulk write
+   * @param {object} [options] Operation options - dbName, batchSize, session, writeConcern, etc.
+   * @returns {promise} Promise with result `{ scanned, rotated }`
+   */
+  async rotateEncryptionKey({ filter, batchSize = 500 }={}, options) {
+    if (!this.encryption) { throw new Error("encryption-not-enabled"); }
+
+    const encryption = this.encryption;
+    const [readFilter, readOptions] = scopeFilter(this, filter, { ...options, withDeleted: true });
+    const projection = Object.fromEntries(Object.keys(encryption.fields).map(path=> [path.split(".")[0], 1]));
+
+    let scanned = 0, rotated = 0, ops = [];
+    const flush = async ()=> {
+      if (!ops.length) { return; }
+
+      const result = await MongoDBOps.writeBulkData("allBulk", this.collectionName, ops, false, this.connString, readOptions);
+      rotated += result.modifiedCount;
+      ops = [];
+    };
+
+    for await (const doc of MongoDBToolSet.iterate(this.collectionName, readFilter, projection, undefined, undefined, this.connString, undefined, readOptions)) {
+      scanned++;
+      const reencrypted = encryption.reencryptDoc(doc);
+      const filter = { _id: doc._id }, set = {};
+      for (const field of Object.keys(doc).filter(key=> reencrypted[key] !== doc[key])) {
+        filter[field] = doc[field];
+        set[field] = reencrypted[field];
+      }
+
+      if (Object.keys(set).length) { ops.push({ updateOne: { filter, update: { $set: set }}}); }
+      if (ops.length >= batchSize) { await flush(); }
+    }
+    await flush();
+
+    return Promise.resolve({ scanned, rotated });
+  }
+
+  /**
+   * Instance method - Get a copy of the instance scoped to a tenant of shared collections. Reads of the copy match the tenant only,
+   * aggregate and search included. Writes match the tenant only, and stamp the tenant field on inserts, replacements and upserts.
+   * Writes which set another tenant or change the tenant field are rejected with `tenant-field-immutable`. The copy keeps the settings
+   * and the hooks of the instance. `$lookup` stages are not scoped, and watch is not supported
+   * 
+   * @param {*} tenantId Tenant ID `E.g., merchant ID`
+   * @param {object} [obj]
+   * @param {string} [obj.tenantField="tenantId"] Field of the tenant ID
+   * @returns {MongoDBToolSet} The tenant-scoped instance
+   */
+  forTenant(tenantId, { tenantField = "tenantId" }={}) {
+    if ([undefined, null, ""].includes(tenantId)) { throw new Error("invalid-tenant-id"); }
+    if (this.tenant) { throw new Error("tenant-already-scoped"); }
+
+    const toolset = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    toolset.tenant = { tenantField, tenantId };
+    if (this.hooks) { toolset.hooks = { pre: [...this.hooks.pre], post: [...this.hooks.post] }; }
+    return toolset;
+  }
+
+  /**
+   * Static method - Run a function with an actor for audit and soft-delete fields. The actor applies to every write of the instances
+   * in the function and in the async calls it starts, unless the write has its own `actor` option
+   * 
+   * @param {*} actor Actor `E.g., user ID or email`
+   * @param {function} callback Function `() => {}`
+   * @returns {*} Return value of the function
+   */
+  static runWithActor(actor, callback) { return actorStorage.run({ actor }, callback); }
+
+  /**
+   * Static method - Register a hook which runs before the operation of every instance, before the hooks of the instance
+   * 
+   * @param {string|Array} operation Operation or operation array, `"*"` for all - find, list, aggregate, count, distinct, explain, search,
+   * insertOne, replaceOne, updateOne, updateMany, deleteOne, deleteMany, insertBulk, replaceBulk, updateBulk, deleteBulk, allBulk
+   * @param {function} hook Async function `(ctx) => {}`, see pre
+   */
+  static pre(operation, hook) { addHook(globalHooks.pre, operation, hook); }
+
+  /**
+   * Static method - Register a hook which runs after the operation of every instance, before the hooks of the instance
+   * 
+   * @param {string|Array} operation Operation or operation array, `"*"` for all. See pre
+   * @param {function} hook Async function `(ctx) => {}`, see post
+   */
+  static post(operation, hook) { addHook(globalHooks.post, operation, hook); }
+
+  /**
+   * Instance method - Register a hook which runs before the operation, in the order of registration. The hook can change the context
+   * `{ operation, collectionName, filter, doc, docs, ordered, pipeline, projection, sort, pagination, collation, search, options }` which has the
+   * arguments of the operation, e.g. to add a tenant filter. Returning a value other than undefined skips the rest of the pre hooks
+   * and the operation, and the value is the result. Soft-delete scoping, schema validation, audit and versioning apply after the hooks
+   * 
+   * @param {string|Array} operation Operation or operation array, `"*"` for all - find, list, aggregate, count, distinct, explain, search,
+   * insertOne, replaceOne, updateOne, updateMany, deleteOne, deleteMany, insertBulk, replaceBulk, updateBulk, deleteBulk, allBulk.
+   * find covers getDataByID, getDataByFilter, getAllData and the find query builder, iterate and stream are not hooked
+   * @param {function} hook Async function `(ctx) => {}`
+   * @returns {MongoDBToolSet} The instance
+   */
+  pre(operation, hook) {
+    this.hooks = this.hooks || { pre: [], post: [] };
+    addHook(this.hooks.pre, operation, hook);
+    return this;
+  }
+
+  /**
+   * Instance method - Register a hook which runs after the operation, in the order of registration, also when the operation or a pre hook
+   * failed or a pre hook returned the result. The context has `result`, `error`, `isShortCircuited`, `startedAt` and `durationMS` in addition.
+   * Returning a value other than undefined replaces the result, the error is rethrown after the post hooks
+   * 
+   * @param {string|Array} operation Operation or operation array, `"*"` for all. See pre
+   * @param {function} hook Async function `(ctx) => {}`
+   * @returns {MongoDBToolSet} The instance
+   */
+  post(operation, hook) {
+    this.hooks = this.hooks || { pre: [], post: [] };
+    addHook(this.hooks.post, operation, hook);
+    return this;
+  }
+
+  /**
+   * Static method - Start a chainable find query `E.g., await MongoDBToolSet.find("orders", { status: "open" }, connString).sort({ createdAt: -1 }).page({ startIndex: 1, endIndex: 20 })`
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, retry, etc.
+   * @returns {QueryBuilder} Query builder, see QueryBuilder
+   */
+  static find(collectionName, filter, connString, options) { return new QueryBuilder(collectionName, filter, connString, options); }
+
+  /**
+   * Instance method - Start a chainable find query `E.g., await orders.find({ status: "open" }).project({ total: 1 }).sort({ createdAt: -1 }).first()`.
+   * Soft-deleted documents are excluded unless `withDeleted` is set
+   * 
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, retry, withDeleted, cache, etc.
+   * @returns {QueryBuilder} Query builder, see QueryBuilder
+   */
+  find(filter, options) {
+    return new QueryBuilder(this.collectionName, filter, this.connString, options, (operation, context, fn)=> runHooks(this, operation, context, async ctx=> {
+      const [readFilter, { cache = true, ...readOptions }] = scopeFilter(this, ctx.filter, ctx.options);
+      const query = { ...ctx, filter: readFilter, options: readOptions };
+      if (operation === "explain") { return Promise.resolve(await fn(query)); }
+      if (!cache) { return Promise.resolve(decryptResult(this, await fn(query))); }
+
+      const { filter, projection, sort, pagination, collation, field } = query;
+      return Promise.resolve(decryptResult(this, await readThrough(this, operation, { filter, projection, sort, pagination, collation, field }, readOptions, ()=> fn(query))));
+    }));
+  }
+
   /**
    * Static method - Get data by ID
    * 
@@ -23,10 +456,11 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string|number} id _id
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, etc.
    * @returns {promise} Promise with object array
    */
-  static async getDataByID(collectionName, id, projection, connString) {
-    return Promise.resolve(await MongoDBOps.getData(collectionName, { _id: id }, false, projection, undefined, undefined, undefined, connString));
+  static async getDataByID(collectionName, id, projection, connString, options) {
+    return Promise.resolve(await MongoDBToolSet.find(collectionName, { _id: id }, connString, options).project(projection));
   }
 
   /**
@@ -34,9 +468,12 @@ class MongoDBToolSet extends MongoDBOps {
    * 
    * @param {string|number} id _id
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, withDeleted, cache, etc.
    * @returns {promise} Promise with object array
    */
-  async getDataByID(id, projection) { return Promise.resolve(await MongoDBToolSet.getDataByID(this.collectionName, id, projection, this.connString)); }
+  async getDataByID(id, projection, options) {
+    return Promise.resolve(await this.find({ _id: id }, options).project(projection));
+  }
 
   /**
    * Static method - Get data by filter
@@ -45,13 +482,14 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
-   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`
    * @param {string} connString Database connection string
    * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, etc.
    * @returns {promise} Promise with object array
    */
-  static async getDataByFilter(collectionName, filter, projection, sort, pagination, connString, collation) {
-    return Promise.resolve(await MongoDBOps.getData(collectionName, filter, false, projection, sort, pagination, undefined, connString, collation));
+  static async getDataByFilter(collectionName, filter, projection, sort, pagination, connString, collation, options) {
+    return Promise.resolve(await MongoDBToolSet.find(collectionName, filter, connString, options).project(projection).sort(sort).page(pagination).collation(collation));
   }
 
   /**
@@ -60,11 +498,14 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
-   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`
    * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, withDeleted, cache, etc.
    * @returns {promise} Promise with object array
    */
-  async getDataByFilter(filter, projection, sort, pagination, collation) { return Promise.resolve(await MongoDBToolSet.getDataByFilter(this.collectionName, filter, projection, sort, pagination, this.connString, collation)); }
+  async getDataByFilter(filter, projection, sort, pagination, collation, options) {
+    return Promise.resolve(await this.find(filter, options).project(projection).sort(sort).page(pagination).collation(collation));
+  }
 
   /**
    * Static method - Get data by aggregate
@@ -83,10 +524,16 @@ class MongoDBToolSet extends MongoDBOps {
    * Instance method - Get data by aggregate
    * 
    * @param {array} pipeline Aggregate pipeline {@link https://www.mongodb.com/docs/manual/reference/operator/aggregation-pipeline/}
-   * @param {object} [options] Aggregate options {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.aggregate/}
+   * @param {object} [options] Aggregate options {@link https://www.mongodb.com/docs/manual/reference/method/db.collection.aggregate/}, `explain: true` to get the summarised plan, see MongoDBOps getData
    * @returns {promise} Promise with object array
    */
-  async getDataByAggregate(pipeline, options) { return Promise.resolve(await MongoDBToolSet.getDataByAggregate(this.collectionName, pipeline, this.connString, options)); }
+  async getDataByAggregate(pipeline, options) {
+    return Promise.resolve(await runHooks(this, "aggregate", { pipeline, options }, async ({ pipeline, options })=> {
+      const [readPipeline, readOptions] = scopePipeline(this, pipeline, options);
+      const data = await MongoDBToolSet.getDataByAggregate(this.collectionName, readPipeline, this.connString, readOptions);
+      return Promise.resolve(readOptions.explain ? data : decryptResult(this, data));
+    }));
+  }
 
   /**
    * Static method - Get data count by query
@@ -94,20 +541,22 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter} 
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, etc.
    * @returns {promise} Promise with data count
    */
-  static async getDataCount(collectionName, filter, connString) {
-    return Promise.resolve(await MongoDBOps.getData(collectionName, filter, false, undefined, undefined, undefined, true, connString));
+  static async getDataCount(collectionName, filter, connString, options) {
+    return Promise.resolve(await MongoDBToolSet.find(collectionName, filter, connString, options).count());
   }
 
   /**
    * Instance method - Get data count by query
    * 
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter} 
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, withDeleted, cache, etc.
    * @returns {promise} Promise with data count
    */
-  async getDataCount(filter) {
-    return Promise.resolve(await MongoDBToolSet.getDataCount(this.collectionName, filter, this.connString));
+  async getDataCount(filter, options) {
+    return Promise.resolve(await this.find(filter, options).count());
   }
 
   /**
@@ -117,20 +566,32 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} [query] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
-   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`  
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`
    * @param {boolean|string} [showCount] Set true to return the data with total_count which is the record count on the data by query
    * @param {string} connString Database connection string
-   * @returns {promise} Promise with data object or array
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {promise} Promise with data object or array. Keyset pagination always returns object `{ [total_count], data, nextCursor, prevCursor }`
    */
-  static async list(collectionName, query, projection, sort, pagination, showCount, connString) {
+  static async list(collectionName, query, projection, sort, pagination, showCount, connString, options) {
+    if (MongoDBOps.isKeysetPagination(pagination)) {
+      if (["true", true].includes(showCount)) {
+        const [total_count, page] = await Promise.all([
+          MongoDBToolSet.getDataCount(collectionName, query, connString, options),
+          MongoDBOps.getDataPage(collectionName, query, projection, sort, pagination, connString, undefined, options)
+        ]);
+        return Promise.resolve({ total_count, ...page });
+      }
+      else { return Promise.resolve(await MongoDBOps.getDataPage(collectionName, query, projection, sort, pagination, connString, undefined, options)); }
+    }
+
     if (["true", true].includes(showCount)) {
       const [total_count, data] = await Promise.all([
-        MongoDBToolSet.getDataCount(collectionName, query, connString),
-        MongoDBToolSet.getDataByFilter(collectionName, query, projection, sort, pagination, connString)
+        MongoDBToolSet.getDataCount(collectionName, query, connString, options),
+        MongoDBToolSet.getDataByFilter(collectionName, query, projection, sort, pagination, connString, undefined, options)
       ]);
       return Promise.resolve({ total_count, data });
     }
-    else { return Promise.resolve(await MongoDBToolSet.getDataByFilter(collectionName, query, projection, sort, pagination, connString)); }
+    else { return Promise.resolve(await MongoDBToolSet.getDataByFilter(collectionName, query, projection, sort, pagination, connString, undefined, options)); }
   }
 
   /**
@@ -139,12 +600,19 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} [query] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
    * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
-   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`  
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`
    * @param {boolean|string} [showCount=false] Set true to return the data with total_count which is the record count on the data by query
-   * @returns {promise} Promise with data count
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, withDeleted, cache, etc.
+   * @returns {promise} Promise with data object or array. Keyset pagination always returns object `{ [total_count], data, nextCursor, prevCursor }`
    */
-  async list(query, projection, sort, pagination, showCount) {
-    return Promise.resolve(await MongoDBToolSet.list(this.collectionName, query, projection, sort, pagination, showCount, this.connString));
+  async list(query, projection, sort, pagination, showCount, options) {
+    return Promise.resolve(await runHooks(this, "list", { filter: query, projection, sort, pagination, showCount, options }, async ({ filter, projection, sort, pagination, showCount, options })=> {
+      const [readQuery, { cache = true, ...readOptions }] = scopeFilter(this, filter, options);
+      const fn = ()=> MongoDBToolSet.list(this.collectionName, readQuery, projection, sort, pagination, showCount, this.connString, readOptions);
+      if (!cache) { return Promise.resolve(decryptResult(this, await fn())); }
+
+      return Promise.resolve(decryptResult(this, await readThrough(this, "list", { filter: readQuery, projection, sort, pagination, showCount: ["true", true].includes(showCount) }, readOptions, fn)));
+    }));
   }
 
   /**
@@ -155,10 +623,11 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
    * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
    * @param {string} connString Database connection string 
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, etc.
    * @returns {promise} Promise with object array
    */
-  static async getAllData(collectionName, projection, sort, pagination, connString) {
-    return Promise.resolve(await MongoDBOps.getData(collectionName, {}, false, projection, sort, pagination, false, connString));
+  static async getAllData(collectionName, projection, sort, pagination, connString, options) {
+    return Promise.resolve(await MongoDBToolSet.find(collectionName, {}, connString, options).project(projection).sort(sort).page(pagination));
   }
 
   /**
@@ -167,9 +636,272 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection} 
    * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
    * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, maxTimeMS, withDeleted, cache, etc.
    * @returns {promise} Promise with object array
    */
-  async getAllData(projection, sort, pagination) { return Promise.resolve(await MongoDBToolSet.getAllData(this.collectionName, projection, sort, pagination, this.connString)); }
+  async getAllData(projection, sort, pagination, options) {
+    return Promise.resolve(await this.find({}, options).project(projection).sort(sort).page(pagination));
+  }
+
+  /**
+   * Static method - Iterate data by filter through a cursor. The cursor is closed on completion, error or early `break`
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {string} connString Database connection string
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {AsyncGenerator} Async iterator of documents
+   */
+  static iterate(collectionName, filter, projection, sort, pagination, connString, collation, options) {
+    return MongoDBOps.iterateData(collectionName, filter, false, projection, sort, pagination, connString, collation, options);
+  }
+
+  /**
+   * Instance method - Iterate data by filter through a cursor. The cursor is closed on completion, error or early `break`
+   * 
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, withDeleted, etc.
+   * @returns {AsyncGenerator} Async iterator of documents
+   */
+  iterate(filter, projection, sort, pagination, collation, options) {
+    const [readFilter, readOptions] = scopeFilter(this, filter, options);
+    return decryptIterator(this, MongoDBToolSet.iterate(this.collectionName, readFilter, projection, sort, pagination, this.connString, collation, readOptions));
+  }
+
+  /**
+   * Static method - Iterate data by aggregate through a cursor. The cursor is closed on completion, error or early `break`
+   * 
+   * @param {string} collectionName Collection name 
+   * @param {array} pipeline Aggregate pipeline {@link https://www.mongodb.com/docs/manual/reference/operator/aggregation-pipeline/}
+   * @param {string} connString Database connection string
+   * @param {object} [options] Aggregate options - dbName, batchSize, allowDiskUse, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {AsyncGenerator} Async iterator of documents
+   */
+  static iterateByAggregate(collectionName, pipeline, connString, options) {
+    return MongoDBOps.iterateData(collectionName, pipeline, true, undefined, undefined, undefined, connString, undefined, options);
+  }
+
+  /**
+   * Instance method - Iterate data by aggregate through a cursor. The cursor is closed on completion, error or early `break`
+   * 
+   * @param {array} pipeline Aggregate pipeline {@link https://www.mongodb.com/docs/manual/reference/operator/aggregation-pipeline/}
+   * @param {object} [options] Aggregate options - dbName, batchSize, allowDiskUse, session, readConcern, readPreference, maxTimeMS, withDeleted, etc.
+   * @returns {AsyncGenerator} Async iterator of documents
+   */
+  iterateByAggregate(pipeline, options) {
+    const [readPipeline, readOptions] = scopePipeline(this, pipeline, options);
+    return decryptIterator(this, MongoDBToolSet.iterateByAggregate(this.collectionName, readPipeline, this.connString, readOptions));
+  }
+
+  /**
+   * Static method - Stream data by filter as an object mode Readable. Destroying the stream closes the cursor
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {string} connString Database connection string
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {Readable} Readable stream of documents
+   */
+  static stream(collectionName, filter, projection, sort, pagination, connString, collation, options) {
+    return MongoDBOps.streamData(collectionName, filter, false, projection, sort, pagination, connString, collation, options);
+  }
+
+  /**
+   * Instance method - Stream data by filter as an object mode Readable. Destroying the stream closes the cursor
+   * 
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [projection] Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @param {object} [sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort} 
+   * @param {object} [pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`
+   * @param {object} [collation] Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @param {object} [options] Find options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, withDeleted, etc.
+   * @returns {Readable} Readable stream of documents
+   */
+  stream(filter, projection, sort, pagination, collation, options) {
+    if (this.encryption) { return Readable.from(this.iterate(filter, projection, sort, pagination, collation, options)); }
+
+    const [readFilter, readOptions] = scopeFilter(this, filter, options);
+    return MongoDBToolSet.stream(this.collectionName, readFilter, projection, sort, pagination, this.connString, collation, readOptions);
+  }
+
+  /**
+   * Static method - Stream data by aggregate as an object mode Readable. Destroying the stream closes the cursor
+   * 
+   * @param {string} collectionName Collection name 
+   * @param {array} pipeline Aggregate pipeline {@link https://www.mongodb.com/docs/manual/reference/operator/aggregation-pipeline/}
+   * @param {string} connString Database connection string
+   * @param {object} [options] Aggregate options - dbName, batchSize, allowDiskUse, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {Readable} Readable stream of documents
+   */
+  static streamByAggregate(collectionName, pipeline, connString, options) {
+    return MongoDBOps.streamData(collectionName, pipeline, true, undefined, undefined, undefined, connString, undefined, options);
+  }
+
+  /**
+   * Instance method - Stream data by aggregate as an object mode Readable. Destroying the stream closes the cursor
+   * 
+   * @param {array} pipeline Aggregate pipeline {@link https://www.mongodb.com/docs/manual/reference/operator/aggregation-pipeline/}
+   * @param {object} [options] Aggregate options - dbName, batchSize, allowDiskUse, session, readConcern, readPreference, maxTimeMS, withDeleted, etc.
+   * @returns {Readable} Readable stream of documents
+   */
+  streamByAggregate(pipeline, options) {
+    if (this.encryption) { return Readable.from(this.iterateByAggregate(pipeline, options)); }
+
+    const [readPipeline, readOptions] = scopePipeline(this, pipeline, options);
+    return MongoDBToolSet.streamByAggregate(this.collectionName, readPipeline, this.connString, readOptions);
+  }
+
+  /**
+   * Instance method - Watch the changes of the collection. The resume token can be saved to a collection after each handled change,
+   * and the stream is reopened from the saved token after disconnects. Encrypted fields of the changes are decrypted
+   * {@link https://www.mongodb.com/docs/manual/changeStreams/}
+   * 
+   * @param {Array} [pipeline] Aggregate pipeline to filter or transform the changes `E.g., [{ $match: { operationType: "insert" }}]`
+   * @param {function} handler Async function `(change) => {}`
+   * @param {object} [options] Change stream options - fullDocument, resumeTokenCollection, resumeTokenId, onError, etc. See ChangeStreamWatcher
+   * @returns {ChangeStreamWatcher} Watcher, call `close()` to stop
+   */
+  watch(pipeline, handler, options) {
+    if (this.tenant) { throw new Error("tenant-watch-not-supported"); }
+    return super.watch(this.collectionName, pipeline, this.encryption && typeof handler === "function" ? change=> handler(this.encryption.decrypt(change)) : handler, options);
+  }
+
+  /**
+   * Instance method - Atlas Search, or `$text` / regex search by the search backend, with the search hooks of the instance, see MongoDBOps search.
+   * Soft-deleted documents are excluded unless `withDeleted` is set, and the documents of other tenants of a tenant-scoped instance
+   * 
+   * @param {string} collectionName Collection name
+   * @param {string|object} search String query or Atlas Search operator {@link https://www.mongodb.com/docs/atlas/atlas-search/operators-and-collectors/}
+   * @param {object} [obj]
+   * @param {object} [obj.projection] Projection
+   * @param {object} [obj.sort] Sort
+   * @param {object} [obj.pagination] Pagination `E.g., { startIndex: 11, endIndex: 20 }`, or Atlas searchAfter / searchBefore pagination `E.g., { limit: 10, after: nextCursor }`
+   * @param {object} [obj.filter] Query filter of the matching documents, applied after the search stage
+   * @param {object} [obj.facets] Atlas facet definitions, the soft-delete and tenant filters are added to the facet operator
+   * @param {object} [obj.highlight] Atlas highlight options `{ path, maxCharsToExamine, maxNumPassages }`
+   * @param {object} [obj.count] Atlas count options `E.g., { type: "lowerBound" }`
+   * @param {boolean} [isGetCount=true] Set true to get the total count with the data
+   * @param {object} [options] Aggregate options - dbName, session, readPreference, maxTimeMS, explain, withDeleted, searchBackend, etc.
+   * @returns {promise} Promise with object `{ metadata, data, facets }`, object `{ data, nextCursor, prevCursor, metadata, facets }` of searchAfter / searchBefore
+   * pagination, or object array if isGetCount is false and facets is not set
+   */
+  async search(collectionName, search, { projection, sort, pagination, filter, facets, highlight, count }={}, isGetCount = true, options) {
+    const context = { search, projection, sort, pagination, filter, facets, highlight, count, isGetCount, options };
+    return Promise.resolve(await runHooks(this, "search", context, async ({ search, projection, sort, pagination, filter, facets, highlight, count, isGetCount, options })=> {
+      const [readFilter, readOptions] = scopeFilter(this, filter, options);
+      const result = await super.search(collectionName, search, { projection, sort, pagination, filter: readFilter, facets, highlight, count }, isGetCount, readOptions);
+      return Promise.resolve(readOptions.explain ? result : decryptResult(this, result));
+    }));
+  }
+
+  /**
+   * Instance method - Create a bulk writer which writes a large input in chunks by the bulk write methods of the instance,
+   * so schema validation, soft-delete, audit and versioning apply to each chunk. A chunk which failed as a whole is retried by the retry
+   * policy only if all its operations are idempotent, e.g. not inserts or versioned updates, or idempotent is set. See BulkWriter
+   * 
+   * @param {string} type Write type - insertBulk, replaceBulk, updateBulk, deleteBulk, allBulk
+   * @param {object} [options] BulkWriter options - ordered, batchSize, maxBatchBytes, concurrency, and operation options - dbName, session, writeConcern, retry, idempotent, actor, etc.
+   * @returns {BulkWriter} Bulk writer, call `write(docs)` to write
+   */
+  bulkWriter(type, options) {
+    if (!["insertBulk", "replaceBulk", "updateBulk", "deleteBulk", "allBulk"].includes(type)) { throw new Error("invalid-bulk-writer-type"); }
+
+    const { ordered, batchSize, maxBatchBytes, concurrency, ...writeOptions } = options || {};
+    const method = `${type}${ordered ? "Ordered" : "UnOrdered"}`;
+    return new BulkWriter(docs=> this[method](docs, writeOptions), { ordered, batchSize, maxBatchBytes, concurrency });
+  }
+
+  /**
+   * Static method - Export the documents matching the filter as a text stream, read through a cursor
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [obj]
+   * @param {string} [obj.format="ndjson"] Format - ndjson (relaxed Extended JSON per line), ejson (array of canonical Extended JSON) or csv
+   * @param {Array|object} [obj.fields] Field paths to export, or object `{ [column]: path }` to name the CSV columns. Default is all fields,
+   * and the top-level fields of the first document for CSV
+   * @param {object} [obj.sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {string} connString Database connection string
+   * @param {object} [options] Find options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, etc.
+   * @returns {Readable} Readable stream of text, e.g. to pipe to a file. Destroying the stream closes the cursor
+   */
+  static export(collectionName, filter, { format = "ndjson", fields, sort }={}, connString, options) {
+    return exportData(MongoDBToolSet.iterate(collectionName, filter, DataTransfer.getProjection(fields), sort, undefined, connString, undefined, options), format, fields);
+  }
+
+  /**
+   * Instance method - Export the documents matching the filter as a text stream, read through a cursor. Soft-deleted documents are left out
+   * 
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [obj]
+   * @param {string} [obj.format="ndjson"] Format - ndjson (relaxed Extended JSON per line), ejson (array of canonical Extended JSON) or csv
+   * @param {Array|object} [obj.fields] Field paths to export, or object `{ [column]: path }` to name the CSV columns. Default is all fields,
+   * and the top-level fields of the first document for CSV
+   * @param {object} [obj.sort] Sort filter {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @param {object} [options] Find options - dbName, batchSize, session, readConcern, readPreference, maxTimeMS, withDeleted, etc.
+   * @returns {Readable} Readable stream of text, e.g. to pipe to a file. Destroying the stream closes the cursor
+   */
+  export(filter, { format = "ndjson", fields, sort }={}, options) {
+    return exportData(this.iterate(filter, DataTransfer.getProjection(fields), sort, undefined, undefined, options), format, fields);
+  }
+
+  /**
+   * Static method - Import documents from NDJSON, Extended JSON or CSV by a bulk writer. A line which cannot be parsed or written
+   * is reported in the errors and the import goes on, unless ordered is set
+   * 
+   * @param {string} collectionName Collection name
+   * @param {string|Buffer|Readable|AsyncIterable} source Text, or stream of text, e.g. `fs.createReadStream(path)`
+   * @param {object} [obj]
+   * @param {string} [obj.format="ndjson"] Format - ndjson, ejson or csv
+   * @param {string} [obj.mode="insert"] Mode - insert, upsert to replace the documents matching upsertFields, or merge to set the imported fields of them
+   * @param {Array} [obj.upsertFields=["_id"]] Fields which identify a document in upsert and merge modes
+   * @param {object} [obj.fields] CSV - object `{ [column]: path }` to map the columns to document fields
+   * @param {object} [obj.types] CSV - object `{ [path]: type }` to convert the values - string, number, int, long, decimal, boolean, date, objectId or json
+   * @param {boolean} [obj.header=true] CSV - set false if there is no header row, and provide the column names by `columns`
+   * @param {Array} [obj.columns] CSV - column names when there is no header row
+   * @param {boolean} [obj.ignoreBlanks=false] CSV - set true to skip empty values
+   * @param {string} connString Database connection string
+   * @param {object} [options] BulkWriter options - ordered, batchSize, concurrency, retry, and operation options - dbName, session, writeConcern, etc.
+   * @returns {promise} Promise with result `{ processed, insertedCount, matchedCount, modifiedCount, upsertedCount, errors }` where errors are
+   * `[{ line, endLine, code, message }]` sorted by line. endLine is set when a chunk of lines failed as a whole
+   */
+  static async import(collectionName, source, obj, connString, options) {
+    return Promise.resolve(await importData(type=> MongoDBOps.bulkWriter(type, collectionName, connString, options), source, obj));
+  }
+
+  /**
+   * Instance method - Import documents from NDJSON, Extended JSON or CSV by a bulk writer of the instance, so schema validation, audit
+   * and versioning apply. A line which cannot be parsed or written is reported in the errors and the import goes on, unless ordered is set
+   * 
+   * @param {string|Buffer|Readable|AsyncIterable} source Text, or stream of text, e.g. `fs.createReadStream(path)`
+   * @param {object} [obj]
+   * @param {string} [obj.format="ndjson"] Format - ndjson, ejson or csv
+   * @param {string} [obj.mode="insert"] Mode - insert, upsert to replace the documents matching upsertFields, or merge to set the imported fields of them
+   * @param {Array} [obj.upsertFields=["_id"]] Fields which identify a document in upsert and merge modes
+   * @param {object} [obj.fields] CSV - object `{ [column]: path }` to map the columns to document fields
+   * @param {object} [obj.types] CSV - object `{ [path]: type }` to convert the values - string, number, int, long, decimal, boolean, date, objectId or json
+   * @param {boolean} [obj.header=true] CSV - set false if there is no header row, and provide the column names by `columns`
+   * @param {Array} [obj.columns] CSV - column names when there is no header row
+   * @param {boolean} [obj.ignoreBlanks=false] CSV - set true to skip empty values
+   * @param {object} [options] BulkWriter options - ordered, batchSize, concurrency, retry, and operation options - dbName, session, writeConcern, actor, etc.
+   * @returns {promise} Promise with result `{ processed, insertedCount, matchedCount, modifiedCount, upsertedCount, errors }` where errors are
+   * `[{ line, endLine, code, message }]` sorted by line. endLine is set when a chunk of lines failed as a whole
+   */
+  async import(source, obj, options) {
+    return Promise.resolve(await importData(type=> this.bulkWriter(type, options), source, obj));
+  }
 
   /**
    * Static method - Insert one document to database
@@ -177,17 +909,25 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {object} doc Data document
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async insertOne(collectionName, doc, connString) { return Promise.resolve(await MongoDBOps.writeData("insertOne", collectionName, doc, undefined, connString)); }
+  static async insertOne(collectionName, doc, connString, options) { return Promise.resolve(await MongoDBOps.writeData("insertOne", collectionName, doc, undefined, connString, options)); }
 
   /**
    * Instance method - Insert one document to database
    * 
    * @param {object} doc Data document
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async insertOne(doc) { return Promise.resolve(await MongoDBToolSet.insertOne(this.collectionName, doc, this.connString)); }
+  async insertOne(doc, options) {
+    return Promise.resolve(await runHooks(this, "insertOne", { doc, options }, async ({ doc, options })=> {
+      assertSchema(this.schema, "insertOne", doc);
+      const [actor, writeOptions] = getActor(options);
+      return Promise.resolve(await MongoDBToolSet.insertOne(this.collectionName, stampInsert(this, doc, actor), this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Insert multiple documents to database in ordered way
@@ -195,17 +935,26 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name 
    * @param {Array} docs Data document array
    * @param {string} connString Database connection string 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async insertBulkOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("insertBulk", collectionName, docs, true, connString)); }
+  static async insertBulkOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("insertBulk", collectionName, docs, true, connString, options)); }
 
   /**
    * Instance method - Insert multiple documents to database in ordered way
    * 
    * @param {Array} docs Data document array
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async insertBulkOrdered(docs) { return Promise.resolve(await MongoDBToolSet.insertBulkOrdered(this.collectionName, docs, this.connString)); }
+  async insertBulkOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "insertBulk", { docs, ordered: true, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "insertBulk", docs);
+      const [actor, writeOptions] = getActor(options);
+      if (this.audit || this.versioning) { return Promise.resolve(await MongoDBToolSet.allBulkOrdered(this.collectionName, getBulkOps(this, "insertBulk", docs, actor), this.connString, this.getOptions(writeOptions))); }
+      return Promise.resolve(await MongoDBToolSet.insertBulkOrdered(this.collectionName, docs, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Insert multiple documents to database in unordered way
@@ -213,17 +962,26 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name 
    * @param {Array} docs Data document array
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async insertBulkUnOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("insertBulk", collectionName, docs, false, connString)); }
+  static async insertBulkUnOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("insertBulk", collectionName, docs, false, connString, options)); }
 
   /**
    * Instance method - Insert multiple documents to database in unordered way
    * 
    * @param {Array} docs Data document array
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async insertBulkUnOrdered(docs) { return Promise.resolve(await MongoDBToolSet.insertBulkUnOrdered(this.collectionName, docs, this.connString)); }
+  async insertBulkUnOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "insertBulk", { docs, ordered: false, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "insertBulk", docs);
+      const [actor, writeOptions] = getActor(options);
+      if (this.audit || this.versioning) { return Promise.resolve(await MongoDBToolSet.allBulkUnOrdered(this.collectionName, getBulkOps(this, "insertBulk", docs, actor), this.connString, this.getOptions(writeOptions))); }
+      return Promise.resolve(await MongoDBToolSet.insertBulkUnOrdered(this.collectionName, docs, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Replace one document to database
@@ -232,18 +990,28 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} doc Data document
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async replaceOne(collectionName, doc, filter, connString) { return Promise.resolve(await MongoDBOps.writeData("replaceOne", collectionName, doc, filter, connString)); }
+  static async replaceOne(collectionName, doc, filter, connString, options) { return Promise.resolve(await MongoDBOps.writeData("replaceOne", collectionName, doc, filter, connString, options)); }
   
   /**
    * Instance method - Replace one document to database
    * 
    * @param {object} doc Data document
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, expectedVersion, etc.
    * @returns {promise}
    */
-  async replaceOne(doc, filter) { return Promise.resolve(await MongoDBToolSet.replaceOne(this.collectionName, doc, filter, this.connString)); }
+  async replaceOne(doc, filter, options) {
+    return Promise.resolve(await runHooks(this, "replaceOne", { doc, filter, options }, async ({ doc, filter, options })=> {
+      assertSchema(this.schema, "replaceOne", doc);
+      if (this.versioning) { return Promise.resolve((await writeVersioned(this, "replaceOne", [{ filter, replacement: doc }], true, options))[0]); }
+      const [actor, writeOptions] = getActor(options);
+      if (this.audit) { return Promise.resolve(await MongoDBToolSet.updateOne(this.collectionName, stampReplacement(this, doc, actor), filter, this.connString, this.getOptions(writeOptions))); }
+      return Promise.resolve(await MongoDBToolSet.replaceOne(this.collectionName, doc, filter, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Replace multiple documents to database in ordered way
@@ -251,17 +1019,27 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {Array} docs ReplaceOne object array
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async replaceBulkOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("replaceBulk", collectionName, docs, true, connString)); }
+  static async replaceBulkOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("replaceBulk", collectionName, docs, true, connString, options)); }
   
   /**
    * Instance method - Replace multiple documents to database in ordered way
    * 
    * @param {Array} docs ReplaceOne object array
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async replaceBulkOrdered(docs) { return Promise.resolve(await MongoDBToolSet.replaceBulkOrdered(this.collectionName, docs, this.connString)); }
+  async replaceBulkOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "replaceBulk", { docs, ordered: true, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "replaceBulk", docs);
+      if (this.versioning) { return Promise.resolve(getVersionedBulkResult(await writeVersioned(this, "replaceOne", docs, true, options))); }
+      const [actor, writeOptions] = getActor(options);
+      if (this.audit) { return Promise.resolve(await MongoDBToolSet.allBulkOrdered(this.collectionName, getBulkOps(this, "replaceBulk", docs, actor), this.connString, this.getOptions(writeOptions))); }
+      return Promise.resolve(await MongoDBToolSet.replaceBulkOrdered(this.collectionName, docs, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Replace multiple documents to database in unordered way
@@ -269,17 +1047,27 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {Array} docs ReplaceOne object array
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async replaceBulkUnOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("replaceBulk", collectionName, docs, false, connString)); }
+  static async replaceBulkUnOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("replaceBulk", collectionName, docs, false, connString, options)); }
   
   /**
    * Instance method - Replace multiple documents to database in unordered way
    * 
    * @param {Array} docs ReplaceOne object array
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async replaceBulkUnOrdered(docs) { return Promise.resolve(await MongoDBToolSet.replaceBulkUnOrdered(this.collectionName, docs, this.connString)); }
+  async replaceBulkUnOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "replaceBulk", { docs, ordered: false, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "replaceBulk", docs);
+      if (this.versioning) { return Promise.resolve(getVersionedBulkResult(await writeVersioned(this, "replaceOne", docs, false, options))); }
+      const [actor, writeOptions] = getActor(options);
+      if (this.audit) { return Promise.resolve(await MongoDBToolSet.allBulkUnOrdered(this.collectionName, getBulkOps(this, "replaceBulk", docs, actor), this.connString, this.getOptions(writeOptions))); }
+      return Promise.resolve(await MongoDBToolSet.replaceBulkUnOrdered(this.collectionName, docs, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Update one document to database
@@ -288,18 +1076,27 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} doc UpdateOne object
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter} 
    * @param {string} connString Database connection string 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async updateOne(collectionName, doc, filter, connString) { return Promise.resolve(await MongoDBOps.writeData("updateOne", collectionName, doc, filter, connString)); }
+  static async updateOne(collectionName, doc, filter, connString, options) { return Promise.resolve(await MongoDBOps.writeData("updateOne", collectionName, doc, filter, connString, options)); }
   
   /**
    * Instance method - Update one document to database
    * 
    * @param {object} doc UpdateOne object
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter} 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, expectedVersion, etc.
    * @returns {promise}
    */
-  async updateOne(doc, filter) { return Promise.resolve(await MongoDBToolSet.updateOne(this.collectionName, doc, filter, this.connString)); }
+  async updateOne(doc, filter, options) {
+    return Promise.resolve(await runHooks(this, "updateOne", { doc, filter, options }, async ({ doc, filter, options })=> {
+      assertSchema(this.schema, "updateOne", doc);
+      if (this.versioning) { return Promise.resolve((await writeVersioned(this, "updateOne", [{ filter, update: doc }], true, options))[0]); }
+      const [actor, writeOptions] = getActor(options);
+      return Promise.resolve(await MongoDBToolSet.updateOne(this.collectionName, stampUpdate(this, doc, actor), filter, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Update many documents to database
@@ -308,18 +1105,26 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {object} doc UpdateOne object
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter} 
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async updateMany(collectionName, doc, filter, connString) { return Promise.resolve(await MongoDBOps.writeData("updateMany", collectionName, doc, filter, connString)); }
+  static async updateMany(collectionName, doc, filter, connString, options) { return Promise.resolve(await MongoDBOps.writeData("updateMany", collectionName, doc, filter, connString, options)); }
   
   /**
    * Instance method - Update many documents to database
    * 
    * @param {object} doc UpdateOne object
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter} 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async updateMany(doc, filter) { return Promise.resolve(await MongoDBToolSet.updateMany(this.collectionName, doc, filter, this.connString)); }
+  async updateMany(doc, filter, options) {
+    return Promise.resolve(await runHooks(this, "updateMany", { doc, filter, options }, async ({ doc, filter, options })=> {
+      assertSchema(this.schema, "updateMany", doc);
+      const [actor, writeOptions] = getActor(options);
+      return Promise.resolve(await MongoDBToolSet.updateMany(this.collectionName, stampUpdate(this, doc, actor), filter, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Update multiple documents to database in ordered way
@@ -327,17 +1132,27 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {Array} docs UpdateOne object array 
    * @param {string} connString Database connection string 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async updateBulkOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("updateBulk", collectionName, docs, true, connString)); }
+  static async updateBulkOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("updateBulk", collectionName, docs, true, connString, options)); }
   
   /**
    * Instance method - Update multiple documents to database in ordered way
    * 
    * @param {Array} docs UpdateOne object array 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async updateBulkOrdered(docs) { return Promise.resolve(await MongoDBToolSet.updateBulkOrdered(this.collectionName, docs, this.connString)); }
+  async updateBulkOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "updateBulk", { docs, ordered: true, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "updateBulk", docs);
+      if (this.versioning) { return Promise.resolve(getVersionedBulkResult(await writeVersioned(this, "updateOne", docs, true, options))); }
+      const [actor, writeOptions] = getActor(options);
+      if (this.audit) { return Promise.resolve(await MongoDBToolSet.allBulkOrdered(this.collectionName, getBulkOps(this, "updateBulk", docs, actor), this.connString, this.getOptions(writeOptions))); }
+      return Promise.resolve(await MongoDBToolSet.updateBulkOrdered(this.collectionName, docs, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
   
   /**
    * Static method - Update multiple documents to database in unordered way
@@ -345,17 +1160,27 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {Array} docs UpdateOne object array
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async updateBulkUnOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("updateBulk", collectionName, docs, false, connString)); }
+  static async updateBulkUnOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("updateBulk", collectionName, docs, false, connString, options)); }
   
   /**
    * Instance method - Update multiple documents to database in unordered way
    * 
    * @param {Array} docs UpdateOne object array
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async updateBulkUnOrdered(docs) { return Promise.resolve(await MongoDBToolSet.updateBulkUnOrdered(this.collectionName, docs, this.connString)); }
+  async updateBulkUnOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "updateBulk", { docs, ordered: false, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "updateBulk", docs);
+      if (this.versioning) { return Promise.resolve(getVersionedBulkResult(await writeVersioned(this, "updateOne", docs, false, options))); }
+      const [actor, writeOptions] = getActor(options);
+      if (this.audit) { return Promise.resolve(await MongoDBToolSet.allBulkUnOrdered(this.collectionName, getBulkOps(this, "updateBulk", docs, actor), this.connString, this.getOptions(writeOptions))); }
+      return Promise.resolve(await MongoDBToolSet.updateBulkUnOrdered(this.collectionName, docs, this.connString, this.getOptions(writeOptions)));
+    }));
+  }
 
   /**
    * Static method - Delete one document at database
@@ -363,17 +1188,24 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async deleteOne(collectionName, filter, connString) { return Promise.resolve(await MongoDBOps.writeData("deleteOne", collectionName, undefined, filter, connString)); }
+  static async deleteOne(collectionName, filter, connString, options) { return Promise.resolve(await MongoDBOps.writeData("deleteOne", collectionName, undefined, filter, connString, options)); }
 
   /**
    * Instance method - Delete one document at database
    * 
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async deleteOne(filter) { return Promise.resolve(await MongoDBToolSet.deleteOne(this.collectionName, filter, this.connString)); }
+  async deleteOne(filter, options) {
+    return Promise.resolve(await runHooks(this, "deleteOne", { filter, options }, async ({ filter, options })=> {
+      if (this.softDelete) { return Promise.resolve(await softDelete(this, "deleteOne", filter, options)); }
+      return Promise.resolve(await MongoDBToolSet.deleteOne(this.collectionName, filter, this.connString, this.getOptions(options)));
+    }));
+  }
 
   /**
    * Static method - Delete many document at database
@@ -381,17 +1213,24 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
    * @param {string} connString Database connection string
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async deleteMany(collectionName, filter, connString) { return Promise.resolve(await MongoDBOps.writeData("deleteMany", collectionName, undefined, filter, connString)); }
+  static async deleteMany(collectionName, filter, connString, options) { return Promise.resolve(await MongoDBOps.writeData("deleteMany", collectionName, undefined, filter, connString, options)); }
 
   /**
    * Instance method - Delete many document at database
    * 
    * @param {object} filter Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async deleteMany(filter) { return Promise.resolve(await MongoDBToolSet.deleteMany(this.collectionName, filter, this.connString)); }
+  async deleteMany(filter, options) {
+    return Promise.resolve(await runHooks(this, "deleteMany", { filter, options }, async ({ filter, options })=> {
+      if (this.softDelete) { return Promise.resolve(await softDelete(this, "deleteMany", filter, options)); }
+      return Promise.resolve(await MongoDBToolSet.deleteMany(this.collectionName, filter, this.connString, this.getOptions(options)));
+    }));
+  }
 
   /**
    * Static method - Delete multiple documents to database in ordered way
@@ -399,17 +1238,24 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name
    * @param {Array} docs DeleteOne object array 
    * @param {string} connString Database connection string 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async deleteBulkOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("deleteBulk", collectionName, docs, true, connString)); }
+  static async deleteBulkOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("deleteBulk", collectionName, docs, true, connString, options)); }
   
    /**
     * Instance method - Delete multiple documents to database in ordered way
     * 
     * @param {Array} docs DeleteOne object array 
+    * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
     * @returns {promise}
     */
-  async deleteBulkOrdered(docs) { return Promise.resolve(await MongoDBToolSet.deleteBulkOrdered(this.collectionName, docs, this.connString)); }
+  async deleteBulkOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "deleteBulk", { docs, ordered: true, options }, async ({ docs, options })=> {
+      if (this.softDelete) { return Promise.resolve(await softDelete(this, "deleteBulk", docs, options, true)); }
+      return Promise.resolve(await MongoDBToolSet.deleteBulkOrdered(this.collectionName, docs, this.connString, this.getOptions(options)));
+    }));
+  }
    
    /**
     * Static method - Delete multiple documents to database in unordered way
@@ -417,17 +1263,24 @@ class MongoDBToolSet extends MongoDBOps {
     * @param {string} collectionName Collection name
     * @param {Array} docs DeleteOne object array
     * @param {string} connString Database connection string
+    * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
     * @returns {promise}
     */
-  static async deleteBulkUnOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("deleteBulk", collectionName, docs, false, connString)); }
+  static async deleteBulkUnOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("deleteBulk", collectionName, docs, false, connString, options)); }
    
    /**
     * Instance method - Delete multiple documents to database in unordered way
     * 
     * @param {Array} docs DeleteOne object array
+    * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
     * @returns {promise}
     */
-  async deleteBulkUnOrdered(docs) { return Promise.resolve(await MongoDBToolSet.deleteBulkUnOrdered(this.collectionName, docs, this.connString)); }
+  async deleteBulkUnOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "deleteBulk", { docs, ordered: false, options }, async ({ docs, options })=> {
+      if (this.softDelete) { return Promise.resolve(await softDelete(this, "deleteBulk", docs, options, false)); }
+      return Promise.resolve(await MongoDBToolSet.deleteBulkUnOrdered(this.collectionName, docs, this.connString, this.getOptions(options)));
+    }));
+  }
 
   /**
    * Static method - BulkWrite operations to database in ordered way
@@ -435,17 +1288,25 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name 
    * @param {Array} docs BulkWrite object array
    * @param {string} connString Database connection string 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async allBulkOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("allBulk", collectionName, docs, true, connString)); }
+  static async allBulkOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("allBulk", collectionName, docs, true, connString, options)); }
   
   /**
    * Instance method - BulkWrite operations to database in ordered way
    * 
    * @param {Array} docs BulkWrite object array
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async allBulkOrdered(docs) { return Promise.resolve(await MongoDBToolSet.allBulkOrdered(this.collectionName, docs, this.connString)); }
+  async allBulkOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "allBulk", { docs, ordered: true, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "allBulk", docs);
+      const [actor, writeOptions] = getActor(options);
+      return Promise.resolve(await MongoDBToolSet.allBulkOrdered(this.collectionName, getBulkOps(this, "allBulk", docs, actor), this.connString, this.getOptions(writeOptions)));
+    }));
+  }
   
   /**
    * Static method - BulkWrite operations to database in unordered way
@@ -453,17 +1314,783 @@ class MongoDBToolSet extends MongoDBOps {
    * @param {string} collectionName Collection name 
    * @param {Array} docs BulkWrite object array
    * @param {string} connString Database connection string 
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, etc.
    * @returns {promise}
    */
-  static async allBulkUnOrdered(collectionName, docs, connString) { return Promise.resolve(await MongoDBOps.writeBulkData("allBulk", collectionName, docs, false, connString)); }
+  static async allBulkUnOrdered(collectionName, docs, connString, options) { return Promise.resolve(await MongoDBOps.writeBulkData("allBulk", collectionName, docs, false, connString, options)); }
   
   /**
    * Instance method - BulkWrite operations to database in unordered way
    * 
    * @param {Array} docs BulkWrite object array
+   * @param {object} [options] Operation options - dbName, session, writeConcern, maxTimeMS, actor, etc.
    * @returns {promise}
    */
-  async allBulkUnOrdered(docs) { return Promise.resolve(await MongoDBToolSet.allBulkUnOrdered(this.collectionName, docs, this.connString)); }
+  async allBulkUnOrdered(docs, options) {
+    return Promise.resolve(await runHooks(this, "allBulk", { docs, ordered: false, options }, async ({ docs, options })=> {
+      assertSchema(this.schema, "allBulk", docs);
+      const [actor, writeOptions] = getActor(options);
+      return Promise.resolve(await MongoDBToolSet.allBulkUnOrdered(this.collectionName, getBulkOps(this, "allBulk", docs, actor), this.connString, this.getOptions(writeOptions)));
+    }));
+  }
+}
+
+module.exports = MongoDBToolSet;
+
+/**
+ * Validate the documents of a write against the schema and throw schema-validation-failed ValidationError with field errors
+ * `[{ path, keyword, message, index }]` if any is invalid. Index is the position of the document of bulk write
+ * 
+ * @param {object} [schema] Schema of the instance `{ jsonSchema, validationLevel, validationAction }`
+ * @param {string} type Write type - insertOne, replaceOne, updateOne, updateMany, insertBulk, replaceBulk, updateBulk, allBulk
+ * @param {object|Array} payload Data document, update object or bulk array
+ */
+const assertSchema = (schema, type, payload)=> {
+  if (!schema) { return; }
+
+  const errors = [];
+  const validate = (op, doc, index)=> {
+    let docErrors = [];
+    if (["insertOne", "replaceOne"].includes(op)) { docErrors = validateSchema(schema.jsonSchema, doc); }
+    else if (["updateOne", "updateMany"].includes(op) && doc && !Array.isArray(doc)) {
+      for (const operator of ["$set", "$setOnInsert"]) {
+        for (const [path, value] of Object.entries(doc[operator] || {})) { docErrors.push(...validatePath(schema.jsonSchema, path, value)); }
+      }
+    }
+    errors.push(...(index === undefined ? docErrors : docErrors.map(error=> ({ ...error, index }))));
+  };
+
+  switch (type) {
+    case "insertBulk": payload.forEach((doc, i)=> validate("insertOne", doc, i)); break;
+    case "replaceBulk": payload.forEach((doc, i)=> validate("replaceOne", doc.replacement, i)); break;
+    case "updateBulk": payload.forEach((doc, i)=> validate("updateOne", doc.update, i)); break;
+    case "allBulk":
+      payload.forEach((doc, i)=> {
+        const [op] = Object.keys(doc);
+        validate(op, op === "insertOne" ? doc[op].document : doc[op].replacement || doc[op].update, i);
+      });
+      break;
+    default: validate(type, payload);
+  }
+
+  if (errors.length) { throw new ValidationError("schema-validation-failed", errors); }
+}
+
+/**
+ * Normalize index key for comparison. Text index fields are stored by MongoDB as `_fts` and `_ftsx`
+ * 
+ * @param {object} key Index key
+ * @returns {Array} Index key entries
+ */
+const normalizeIndexKey = key=> {
+  const entries = [];
+  for (const [field, value] of Object.entries(key)) {
+    if (field === "_ftsx") { continue; }
+
+    if (value !== "text") { entries.push([field, value]); }
+    else if (!entries.some(([item])=> item === "_fts")) { entries.push(["_fts", "text"], ["_ftsx", 1]); }
+  }
+  return entries;
+}
+
+/**
+ * Check if two index keys are the same
+ * 
+ * @param {object} a Index key
+ * @param {object} b Index key
+ * @returns {boolean}
+ */
+const isSameIndexKey = (a, b)=> JSON.stringify(normalizeIndexKey(a)) === JSON.stringify(normalizeIndexKey(b));
+
+/**
+ * Get the differences between the existing and the declared index. Collation is compared on the declared fields only
+ * as MongoDB returns the collation with all the default values
+ * 
+ * @param {object} declared Declared index
+ * @param {object} existing Existing index
+ * @returns {Array} Differences `[{ path, change, before, after }]`
+ */
+const getIndexDiff = (declared, existing)=> {
+  const before = { key: normalizeIndexKey(existing.key) }, after = { key: normalizeIndexKey(declared.key) };
+
+  for (const option of ["unique", "sparse", "hidden"]) {
+    before[option] = !!existing[option];
+    after[option] = !!declared[option];
+  }
+  for (const option of ["partialFilterExpression", "expireAfterSeconds", "wildcardProjection"]) {
+    before[option] = existing[option];
+    after[option] = declared[option];
+  }
+
+  if (declared.collation) {
+    before.collation = existing.collation && Object.fromEntries(Object.keys(declared.collation).map(field=> [field, existing.collation[field]]));
+    after.collation = declared.collation;
+  }
+  else { before.collation = existing.collation; }
+
+  if (Object.values(declared.key).includes("text")) {
+    before.weights = existing.weights;
+    after.weights = {};
+    for (const [field, value] of Object.entries(declared.key)) {
+      if (value === "text") { after.weights[field] = 1; }
+    }
+    Object.assign(after.weights, declared.weights);
+
+    for (const option of ["default_language", "language_override"]) {
+      if (declared[option] !== undefined) {
+        before[option] = existing[option];
+        after[option] = declared[option];
+      }
+    }
+  }
+
+  return diffSchema(before, after);
+}
+
+/**
+ * Exclude soft-deleted documents from the query filter of a soft-delete instance, and the documents of other tenants from the query
+ * filter of a tenant-scoped instance. The values of encrypted fields are encrypted
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} [filter] Query filter
+ * @param {object} [options] Operation options, `withDeleted: true` to include soft-deleted documents
+ * @returns {Array} Query filter and operation options `[filter, options]`
+ */
+const scopeFilter = (toolset, filter, options)=> {
+  const { withDeleted, ...readOptions } = options || {};
+  const readFilter = !toolset.softDelete || withDeleted ? encryptFilter(toolset, filter) : getNotDeletedFilter(toolset, encryptFilter(toolset, filter));
+
+  return [getTenantFilter(toolset, readFilter), toolset.getOptions(readOptions)];
+}
+
+/**
+ * Exclude soft-deleted documents from the aggregate pipeline of a soft-delete instance, and the documents of other tenants from the
+ * aggregate pipeline of a tenant-scoped instance. The `$match` stage is added after `$search`, `$searchMeta`, `$vectorSearch` or
+ * `$geoNear` as they must be the first stage
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {Array} pipeline Aggregate pipeline
+ * @param {object} [options] Operation options, `withDeleted: true` to include soft-deleted documents
+ * @returns {Array} Aggregate pipeline and operation options `[pipeline, options]`
+ */
+const scopePipeline = (toolset, pipeline, options)=> {
+  const { withDeleted, ...readOptions } = options || {};
+  const isNotDeleted = toolset.softDelete && !withDeleted;
+  const stages = (pipeline || []).map(stage=> toolset.encryption && stage.$match ? { ...stage, $match: encryptFilter(toolset, stage.$match) } : stage);
+  if (!isNotDeleted && !toolset.tenant) { return [stages, toolset.getOptions(readOptions)]; }
+
+  const index = stages.length && ["$search", "$searchMeta", "$vectorSearch", "$geoNear"].some(stage=> stages[0][stage]) ? 1 : 0;
+  const match = { $match: getTenantFilter(toolset, isNotDeleted ? getNotDeletedFilter(toolset) : undefined) };
+
+  return [[...stages.slice(0, index), match, ...stages.slice(index)], toolset.getOptions(readOptions)];
+}
+
+/**
+ * Get query filter which matches the documents not soft-deleted
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} [filter] Query filter
+ * @returns {object}
+ */
+const getNotDeletedFilter = (toolset, filter)=> {
+  const notDeleted = { [toolset.softDelete.deletedAtField]: null };
+  return filter && Object.keys(filter).length ? { $and: [filter, notDeleted] } : notDeleted;
+}
+
+/**
+ * Add the tenant predicate to the query filter of a tenant-scoped instance
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} [filter] Query filter
+ * @returns {object} Query filter, the filter itself if the instance is not tenant-scoped
+ */
+const getTenantFilter = (toolset, filter)=> {
+  if (!toolset.tenant) { return filter; }
+
+  const { tenantField, tenantId } = toolset.tenant;
+  return filter && Object.keys(filter).length ? { $and: [filter, { [tenantField]: tenantId }] } : { [tenantField]: tenantId };
+}
+
+/**
+ * Check if a value is the tenant ID, ObjectId included
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {*} value Value
+ * @returns {boolean}
+ */
+const isTenantId = (toolset, value)=> {
+  const { tenantId } = toolset.tenant;
+  return value === tenantId || (!!value && typeof value.equals === "function" && value.equals(tenantId));
+}
+
+/**
+ * Set the tenant field of an insert or replacement document
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} doc Data document
+ * @returns {object} New document
+ */
+const stampTenant = (toolset, doc)=> {
+  const { tenantField, tenantId } = toolset.tenant;
+  if (doc && doc[tenantField] !== undefined && !isTenantId(toolset, doc[tenantField])) { throw new Error("tenant-field-immutable"); }
+
+  return { ...doc, [tenantField]: tenantId };
+}
+
+/**
+ * Reject an update which changes the tenant field, and set the tenant field on upsert. A pipeline update gets a `$set` stage of the tenant field
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object|Array} update Update document or pipeline
+ * @returns {object|Array} New update
+ */
+const stampTenantUpdate = (toolset, update)=> {
+  const { tenantField, tenantId } = toolset.tenant;
+  if (Array.isArray(update)) { return [...update, { $set: { [tenantField]: { $literal: tenantId }}}]; }
+
+  const stamped = { ...update };
+  for (const [operator, fields] of Object.entries(update || {})) {
+    if (!fields || typeof fields !== "object") { continue; }
+
+    for (const [field, value] of Object.entries(fields)) {
+      const isTenantPath = field === tenantField || field.startsWith(`${tenantField}.`) || tenantField.startsWith(`${field}.`);
+      if (isTenantPath && !(["$set", "$setOnInsert"].includes(operator) && field === tenantField && isTenantId(toolset, value))) { throw new Error("tenant-field-immutable"); }
+      if (operator === "$rename" && (value === tenantField || String(value).startsWith(`${tenantField}.`))) { throw new Error("tenant-field-immutable"); }
+    }
+  }
+
+  if (stamped.$set && stamped.$set[tenantField] !== undefined) {
+    stamped.$set = { ...stamped.$set };
+    delete stamped.$set[tenantField];
+    if (!Object.keys(stamped.$set).length) { delete stamped.$set; }
+  }
+  stamped.$setOnInsert = { ...stamped.$setOnInsert, [tenantField]: tenantId };
+  return stamped;
+}
+
+/**
+ * Encrypt the values of the encrypted fields in a query filter of an instance with field encryption
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} [filter] Query filter
+ * @returns {object} Query filter, the filter itself if the instance has no field encryption
+ */
+const encryptFilter = (toolset, filter)=> toolset.encryption && filter ? toolset.encryption.encryptFilter(filter) : filter;
+
+/**
+ * Decrypt the encrypted fields of a read result of an instance with field encryption
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {*} result Documents, document or result `{ data, count }`
+ * @returns {*} Decrypted result, the result itself if the instance has no field encryption
+ */
+const decryptResult = (toolset, result)=> toolset.encryption ? toolset.encryption.decrypt(result) : result;
+
+/**
+ * Decrypt the documents of an async iterator of an instance with field encryption. Breaking the loop closes the cursor
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {AsyncIterable} docs Async iterator of documents
+ * @returns {AsyncIterable} Async iterator, the iterator itself if the instance has no field encryption
+ */
+const decryptIterator = (toolset, docs)=> {
+  if (!toolset.encryption) { return docs; }
+
+  return (async function* () {
+    for await (const doc of docs) { yield toolset.encryption.decrypt(doc); }
+  })();
+}
+
+/**
+ * Scope the query filter of a write to the tenant and encrypt it
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} [filter] Query filter
+ * @returns {object} New query filter
+ */
+const scopeWriteFilter = (toolset, filter)=> encryptFilter(toolset, getTenantFilter(toolset, filter));
+
+/**
+ * Set the tenant field of an insert or replacement document and encrypt it
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} doc Data document
+ * @returns {object} New document
+ */
+const scopeDoc = (toolset, doc)=> {
+  const stamped = toolset.tenant ? stampTenant(toolset, doc) : doc;
+  return toolset.encryption ? toolset.encryption.encryptDoc(stamped) : stamped;
+}
+
+/**
+ * Set the tenant field of an update on upsert and encrypt it
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object|Array} update Update document or pipeline
+ * @returns {object|Array} New update
+ */
+const scopeUpdate = (toolset, update)=> {
+  const stamped = toolset.tenant ? stampTenantUpdate(toolset, update) : update;
+  return toolset.encryption ? toolset.encryption.encryptUpdate(stamped) : stamped;
+}
+
+/**
+ * Scope a bulkWrite operation to the tenant and encrypt it
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} op BulkWrite operation `E.g., { updateOne: { filter, update } }`
+ * @returns {object} New operation
+ */
+const scopeOp = (toolset, op)=> {
+  const [type] = Object.keys(op || {});
+  const item = op[type];
+  switch (type) {
+    case "insertOne": return { insertOne: { ...item, document: scopeDoc(toolset, item.document) }};
+    case "replaceOne": return { replaceOne: { ...item, filter: scopeWriteFilter(toolset, item.filter), replacement: scopeDoc(toolset, item.replacement) }};
+    case "updateOne":
+    case "updateMany": return { [type]: { ...item, filter: scopeWriteFilter(toolset, item.filter), update: scopeUpdate(toolset, item.update) }};
+    case "deleteOne":
+    case "deleteMany": return { [type]: { ...item, filter: scopeWriteFilter(toolset, item.filter) }};
+    default: throw new Error("invalid-bulk-operation");
+  }
+}
+
+/**
+ * Scope the arguments of a write to the tenant of a tenant-scoped instance, and encrypt them for an instance with field encryption
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {string} operation Operation
+ * @param {object} context Arguments of the operation
+ * @returns {object} New arguments, the arguments themselves if the instance is neither tenant-scoped nor encrypted, or the operation is not a write
+ */
+const scopeWrite = (toolset, operation, context)=> {
+  if (!toolset.tenant && !toolset.encryption) { return context; }
+
+  const scopeItems = type=> context.docs.map(item=> scopeOp(toolset, { [type]: item })[type]);
+  switch (operation) {
+    case "insertOne": return { ...context, doc: scopeDoc(toolset, context.doc) };
+    case "replaceOne": return { ...context, doc: scopeDoc(toolset, context.doc), filter: scopeWriteFilter(toolset, context.filter) };
+    case "updateOne":
+    case "updateMany": return { ...context, doc: scopeUpdate(toolset, context.doc), filter: scopeWriteFilter(toolset, context.filter) };
+    case "deleteOne":
+    case "deleteMany": return { ...context, filter: scopeWriteFilter(toolset, context.filter) };
+    case "insertBulk": return { ...context, docs: context.docs.map(doc=> scopeDoc(toolset, doc)) };
+    case "replaceBulk": return { ...context, docs: scopeItems("replaceOne") };
+    case "updateBulk": return { ...context, docs: scopeItems("updateOne") };
+    case "deleteBulk": return { ...context, docs: scopeItems("deleteOne") };
+    case "allBulk": return { ...context, docs: context.docs.map(op=> scopeOp(toolset, op)) };
+    default: return context;
+  }
+}
+
+/**
+ * Soft-delete documents by setting the deleted fields
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {string} type Delete type - deleteOne, deleteMany, deleteBulk
+ * @param {object|Array} target Query filter, or DeleteOne object array of deleteBulk
+ * @param {object} [options] Operation options, `actor` is saved as the deleter
+ * @param {boolean} [ordered] Set true to use ordered bulkWrite for deleteBulk
+ * @returns {promise} Promise with update result, deletedCount is the no. of soft-deleted documents
+ */
+const softDelete = async (toolset, type, target, options, ordered)=> {
+  const [actor, writeOptions] = getActor(options);
+
+  let result;
+  if (type === "deleteBulk") {
+    result = await MongoDBOps.writeBulkData("allBulk", toolset.collectionName, getBulkOps(toolset, type, target, actor), ordered, toolset.connString, toolset.getOptions(writeOptions));
+  }
+  else {
+    const updateType = type === "deleteOne" ? "updateOne" : "updateMany";
+    const update = stampUpdate(toolset, getSoftDeleteUpdate(toolset, actor), actor);
+    result = await MongoDBOps.writeData(updateType, toolset.collectionName, update, getNotDeletedFilter(toolset, target), toolset.connString, toolset.getOptions(writeOptions));
+  }
+
+  return Promise.resolve(Object.assign(result, { deletedCount: result.modifiedCount }));
+}
+
+/**
+ * Get update document which soft-deletes documents
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {*} actor Deleter
+ * @returns {object}
+ */
+const getSoftDeleteUpdate = (toolset, actor)=> {
+  const { deletedAtField, deletedByField } = toolset.softDelete;
+  return { $set: { [deletedAtField]: new Date(), [deletedByField]: actor }};
+}
+
+/**
+ * Get the actor of a write from the per-call `actor` option, or from runWithActor
+ * 
+ * @param {object} [options] Operation options
+ * @returns {Array} Actor, null if there is none, and operation options without actor `[actor, options]`
+ */
+const getActor = options=> {
+  const { actor, ...writeOptions } = options || {};
+  if (actor !== undefined) { return [actor, writeOptions]; }
+
+  const store = actorStorage.getStore();
+  return [store && store.actor !== undefined ? store.actor : null, writeOptions];
+}
+
+/**
+ * Convert bulk write documents to bulkWrite operations with soft-delete, version and audit fields applied. The documents array is not changed
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {string} type Write type - insertBulk, replaceBulk, updateBulk, deleteBulk, allBulk
+ * @param {Array} docs Bulk write documents
+ * @param {*} actor Actor of the write
+ * @returns {Array} BulkWrite operations
+ */
+const getBulkOps = (toolset, type, docs, actor)=> docs.map(doc=> {
+  let op;
+  switch (type) {
+    case "insertBulk": op = { insertOne: { document: doc }}; break;
+    case "replaceBulk": op = { replaceOne: doc }; break;
+    case "updateBulk": op = { updateOne: doc }; break;
+    case "deleteBulk": op = { deleteOne: doc }; break;
+    default: op = doc;
+  }
+
+  if (toolset.softDelete && (op.deleteOne || op.deleteMany)) {
+    const deleteType = op.deleteOne ? "deleteOne" : "deleteMany";
+    const { filter, ...opOptions } = op[deleteType];
+    op = { [deleteType === "deleteOne" ? "updateOne" : "updateMany"]: { ...opOptions, filter: getNotDeletedFilter(toolset, filter), update: getSoftDeleteUpdate(toolset, actor) }};
+  }
+
+  if (!toolset.audit && !toolset.versioning) { return op; }
+  if (op.insertOne) { return { insertOne: { ...op.insertOne, document: stampInsert(toolset, op.insertOne.document, actor) }}; }
+  if (op.replaceOne) {
+    const { replacement, ...opOptions } = op.replaceOne;
+    return { updateOne: { ...opOptions, update: stampReplacement(toolset, replacement, actor) }};
+  }
+  if (op.updateOne) { return { updateOne: { ...op.updateOne, update: stampUpdate(toolset, op.updateOne.update, actor) }}; }
+  if (op.updateMany) { return { updateMany: { ...op.updateMany, update: stampUpdate(toolset, op.updateMany.update, actor) }}; }
+  return op;
+});
+
+/**
+ * Get the audit fields of a write. Fields set to null by setAudit are left out
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {*} actor Actor of the write
+ * @returns {object} Fields of created and updated `{ created: { createdAt, createdBy }, updated: { updatedAt, updatedBy } }`, empty if audit mode is off
+ */
+const getAuditFields = (toolset, actor)=> {
+  if (!toolset.audit) { return { created: {}, updated: {} }; }
+
+  const { createdAtField, createdByField, updatedAtField, updatedByField } = toolset.audit;
+  const now = new Date();
+  const pick = fields=> Object.fromEntries(fields.filter(([field])=> field));
+
+  return {
+    created: pick([[createdAtField, now], [createdByField, actor]]),
+    updated: pick([[updatedAtField, now], [updatedByField, actor]])
+  };
+}
+
+/**
+ * Add the version and audit fields to an insert document. The version starts from 0
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} doc Data document
+ * @param {*} actor Actor of the write
+ * @returns {object} New document, or the document itself if audit and versioning modes are off
+ */
+const stampInsert = (toolset, doc, actor)=> {
+  if (!toolset.audit && !toolset.versioning) { return doc; }
+
+  const { created, updated } = getAuditFields(toolset, actor);
+  return { ...doc, ...created, ...updated, ...(toolset.versioning ? { [toolset.versioning.versionField]: 0 } : {}) };
 }
 
-module.exports = MongoDBToolSet;
\ No newline at end of file
+/**
+ * Add the version and audit fields to an update document. The updated fields are added to `$set`, the created fields to `$setOnInsert`
+ * and the version increment to `$inc`, or all to a `$set` stage appended to a pipeline update
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object|Array} update Update document or pipeline
+ * @param {*} actor Actor of the write
+ * @returns {object|Array} New update, or the update itself if audit and versioning modes are off
+ */
+const stampUpdate = (toolset, update, actor)=> {
+  if (!toolset.audit && !toolset.versioning) { return update; }
+
+  const { created, updated } = getAuditFields(toolset, actor);
+  if (Array.isArray(update)) { return [...update, { $set: { ...getCreatedExpression(created), ...getLiteralExpression(updated), ...getVersionExpression(toolset) }}]; }
+
+  const stamped = { ...update };
+  const set = { ...update.$set, ...updated };
+  const setOnInsert = { ...update.$setOnInsert };
+  for (const [field, value] of Object.entries(created)) {
+    if (set[field] === undefined) { setOnInsert[field] = value; }
+  }
+
+  if (toolset.versioning) {
+    const { versionField } = toolset.versioning;
+    delete set[versionField];
+    delete setOnInsert[versionField];
+    stamped.$inc = { ...update.$inc, [versionField]: 1 };
+  }
+
+  if (Object.keys(set).length) { stamped.$set = set; }
+  if (Object.keys(setOnInsert).length) { stamped.$setOnInsert = setOnInsert; }
+  return stamped;
+}
+
+/**
+ * Convert a replacement document to a pipeline update which keeps the created fields of the existing document and increments the version
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {object} doc Replacement document
+ * @param {*} actor Actor of the write
+ * @returns {Array} Pipeline update
+ */
+const stampReplacement = (toolset, doc, actor)=> {
+  const { created, updated } = getAuditFields(toolset, actor);
+  return [{ $replaceWith: { $mergeObjects: [{ $literal: doc }, getCreatedExpression(created), getLiteralExpression(updated), getVersionExpression(toolset)] }}];
+}
+
+/**
+ * Get aggregation expressions of the created fields which keep the existing values
+ * 
+ * @param {object} created Created fields
+ * @returns {object}
+ */
+const getCreatedExpression = created=> Object.fromEntries(Object.entries(created).map(([field, value])=> [field, { $ifNull: [`$${field}`, { $literal: value }] }]));
+
+/**
+ * Get aggregation expressions of literal field values
+ * 
+ * @param {object} fields Field values
+ * @returns {object}
+ */
+const getLiteralExpression = fields=> Object.fromEntries(Object.entries(fields).map(([field, value])=> [field, { $literal: value }]));
+
+/**
+ * Get aggregation expression which increments the version, a document without version is taken as version 0
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @returns {object} Version field expression, empty if versioning mode is off
+ */
+const getVersionExpression = toolset=> {
+  if (!toolset.versioning) { return {}; }
+
+  const { versionField } = toolset.versioning;
+  return { [versionField]: { $add: [{ $ifNull: [`$${versionField}`, 0] }, 1] }};
+}
+
+/**
+ * Replace or update documents only if their version is the expected version. Each item is written by its own operation
+ * as bulkWrite does not report which operations matched. Ordered writes stop at the first conflict. Upsert needs the initial
+ * version 0 and a filter on a unique field, e.g. `_id`, so the insert of a document which is at another version is rejected
+ * by the unique index and reported as a conflict
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {string} type Write type - replaceOne, updateOne
+ * @param {Array} items ReplaceOne or UpdateOne object array `[{ filter, replacement|update, expectedVersion, upsert, collation, ... }]`.
+ * Expected version of replace is the version of the replacement if it is not provided
+ * @param {boolean} ordered Set true to write in order
+ * @param {object} [options] Operation options, `expectedVersion` is used by the items without it
+ * @returns {promise} Promise with update results of the items, rejected with VersionConflictError `{ conflicts: [{ index, filter, expectedVersion }], results }`
+ */
+const writeVersioned = async (toolset, type, items, ordered, options)=> {
+  const { versionField } = toolset.versioning;
+  const [actor, { expectedVersion, ...writeOptions }] = getActor(options);
+
+  const writes = items.map(({ filter, replacement, update, expectedVersion: itemVersion, ...itemOptions })=> {
+    let version = itemVersion !== undefined ? itemVersion : expectedVersion;
+    if (version === undefined && type === "replaceOne" && replacement) { version = replacement[versionField]; }
+    if (typeof version !== "number") { throw new Error("missing-expected-version"); }
+
+    const mergedOptions = toolset.getOptions({ ...writeOptions, ...itemOptions });
+    if (mergedOptions.upsert && version !== 0) { throw new Error("invalid-versioned-upsert"); }
+
+    const doc = type === "replaceOne" ? stampReplacement(toolset, replacement, actor) : stampUpdate(toolset, update, actor);
+    const versionFilter = { $and: [filter || {}, { [versionField]: version }] };
+    return { filter, doc, versionFilter, version, itemOptions: mergedOptions };
+  });
+
+  const conflicts = [];
+  const write = async ({ filter, doc, versionFilter, version, itemOptions }, index)=> {
+    try {
+      const result = await MongoDBOps.writeData("updateOne", toolset.collectionName, doc, versionFilter, toolset.connString, itemOptions);
+      if (!result.matchedCount && !result.upsertedCount) { conflicts.push({ index, filter, expectedVersion: version }); }
+      return result;
+    }
+    catch (err) {
+      if (!itemOptions.upsert || !(err instanceof DuplicateKeyError)) { throw err; }
+
+      conflicts.push({ index, filter, expectedVersion: version });
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+  };
+
+  let results = [];
+  if (ordered) {
+    for (let i = 0; i < writes.length && !conflicts.length; ++i) { results.push(await write(writes[i], i)); }
+  }
+  else { results = await Promise.all(writes.map(write)); }
+
+  if (conflicts.length) { throw new VersionConflictError("version-conflict", conflicts.sort((a, b)=> a.index - b.index), results); }
+  return Promise.resolve(results);
+}
+
+/**
+ * Sum the update results of versioned bulk write
+ * 
+ * @param {Array} results Update results
+ * @returns {object} `{ matchedCount, modifiedCount, upsertedCount, upsertedIds: { [index]: _id } }`
+ */
+const getVersionedBulkResult = results=> {
+  const summary = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedIds: {} };
+  results.forEach((result, i)=> {
+    summary.matchedCount += result.matchedCount;
+    summary.modifiedCount += result.modifiedCount;
+    summary.upsertedCount += result.upsertedCount;
+    if (result.upsertedId !== null && result.upsertedId !== undefined) { summary.upsertedIds[i] = result.upsertedId; }
+  });
+  return summary;
+}
+
+/**
+ * Add a hook to the hook list
+ * 
+ * @param {Array} hooks Hook list `[{ operations, hook }]`
+ * @param {string|Array} operation Operation or operation array, `"*"` for all
+ * @param {function} hook Async function `(ctx) => {}`
+ */
+const addHook = (hooks, operation, hook)=> {
+  const operations = [].concat(operation);
+  if (!operations.length || operations.some(item=> item !== "*" && !HOOK_OPERATIONS.includes(item))) { throw new Error("invalid-hook-operation"); }
+  if (typeof hook !== "function") { throw new Error("invalid-hook"); }
+
+  hooks.push({ operations, hook });
+}
+
+/**
+ * Run an operation with the global and instance hooks of its type. Writes of a tenant-scoped instance are scoped after the pre hooks,
+ * so a hook cannot write to another tenant, and writes of an instance with field encryption are encrypted after them
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {string} operation Operation
+ * @param {object} context Arguments of the operation
+ * @param {function} fn Async function `(ctx) => {}` which runs the operation with the arguments in the context
+ * @returns {promise} Promise with the result of the operation, or of the hooks
+ */
+const runHooks = async (toolset, operation, context, fn)=> {
+  const [pre, post] = ["pre", "post"].map(type=> [...globalHooks[type], ...(toolset.hooks ? toolset.hooks[type] : [])]
+    .filter(item=> item.operations.includes("*") || item.operations.includes(operation))
+    .map(item=> item.hook));
+  if (!pre.length && !post.length) { return Promise.resolve(await fn(scopeWrite(toolset, operation, context))); }
+
+  const ctx = { operation, collectionName: toolset.collectionName, ...context, startedAt: new Date(), isShortCircuited: false };
+  try {
+    for (const hook of pre) {
+      const result = await hook(ctx);
+      if (result !== undefined) {
+        ctx.result = result;
+        ctx.isShortCircuited = true;
+        break;
+      }
+    }
+    if (!ctx.isShortCircuited) { ctx.result = await fn(scopeWrite(toolset, operation, ctx)); }
+  }
+  catch (err) { ctx.error = err; }
+  ctx.durationMS = Date.now() - ctx.startedAt.getTime();
+
+  for (const hook of post) {
+    const result = await hook(ctx);
+    if (result !== undefined) { ctx.result = result; }
+  }
+
+  if (ctx.error) { throw ctx.error; }
+  return Promise.resolve(ctx.result);
+}
+
+/**
+ * Read through the cache of the instance. Reads in a session and explain are not cached
+ * 
+ * @param {MongoDBToolSet} toolset Toolset instance
+ * @param {string} operation Operation
+ * @param {object} query Query `{ filter, projection, sort, pagination, ... }`
+ * @param {object} options Read options
+ * @param {function} fn Async function `() => {}` which runs the query
+ * @returns {promise}
+ */
+const readThrough = (toolset, operation, query, options, fn)=> {
+  if (!toolset.cache || options.session || options.explain) { return fn(); }
+
+  const { adapter, ttlMS } = toolset.cache;
+  return QueryCache.read(adapter, toolset.collectionName, { connString: toolset.connString, dbName: options.dbName, operation, ...query }, ttlMS, fn);
+}
+
+/**
+ * Create the text stream of an export
+ * 
+ * @param {AsyncIterable} docs Async iterator of documents
+ * @param {string} format Format - ndjson, ejson or csv
+ * @param {Array|object} [fields] Export fields
+ * @returns {Readable}
+ */
+const exportData = (docs, format, fields)=> {
+  const chunks = DataTransfer.format(docs, { format, fields });
+  return Readable.from(chunks, { objectMode: false });
+}
+
+/**
+ * Import the parsed documents of a source by a bulk writer, and map the failed positions back to the lines
+ * 
+ * @param {function} getWriter Function `(type) => BulkWriter`
+ * @param {string|Buffer|Readable|AsyncIterable} source Source
+ * @param {object} [obj] Import settings - format, mode, upsertFields and the parse settings of DataTransfer.parse
+ * @returns {promise} Promise with result `{ processed, insertedCount, matchedCount, modifiedCount, upsertedCount, errors }`
+ */
+const importData = async (getWriter, source, { format = "ndjson", mode = "insert", upsertFields = ["_id"], ...parseOptions }={})=> {
+  const type = { insert: "insertBulk", upsert: "replaceBulk", merge: "updateBulk" }[mode];
+  if (!type) { throw new Error("invalid-import-mode"); }
+  if (!Array.isArray(upsertFields) || !upsertFields.length) { throw new Error("invalid-upsert-fields"); }
+
+  const records = DataTransfer.parse(source, { format, ...parseOptions });
+  const lines = [], errors = [];
+  let processed = 0;
+  const ops = async function* () {
+    for await (const { line, doc, error } of records) {
+      processed++;
+      if (error) {
+        errors.push({ line, message: error.message });
+        continue;
+      }
+
+      const filter = {};
+      const missing = upsertFields.find(field=> (filter[field] = doc[field]) === undefined);
+      if (mode !== "insert" && missing) {
+        errors.push({ line, message: `missing-upsert-field: ${missing}` });
+        continue;
+      }
+
+      lines.push(line);
+      if (mode === "insert") { yield doc; }
+      else if (mode === "upsert") { yield { filter, replacement: doc, upsert: true }; }
+      else {
+        const { _id, ...fields } = doc;
+        yield { filter, update: { $set: fields }, upsert: true };
+      }
+    }
+  };
+
+  let result;
+  try { result = await getWriter(type).write(ops()); }
+  catch (err) {
+    if (!(err instanceof BulkWriteError) || !err.chunkErrors) { throw err; }
+
+    result = err.result;
+    errors.push(...err.writeErrors.map(item=> ({ line: lines[item.index], code: item.code, message: item.message })));
+    errors.push(...err.chunkErrors.map(item=> ({ line: lines[item.start], endLine: lines[item.end - 1], code: item.error.code, message: item.error.message })));
+  }
+
+  const { insertedCount, matchedCount, modifiedCount, upsertedCount } = result;
+  return { processed, insertedCount, matchedCount, modifiedCount, upsertedCount, errors: errors.sort((a, b)=> a.line - b.line) };
+}
\ No newline at end of file
@@ -0,0 +1,193 @@
+'use strict';
+
+const MongoDBOps = require('./mongodb-ops');
+
+class QueryBuilder {
+  /**
+   * @class
+   * @classdesc Chainable find query. The chain methods set a part of the query and return the builder, and the query runs when
+   * the builder is awaited or a terminal method is called - count, first, exists, distinct or explain. Use MongoDBToolSet find to create it
+   * 
+   * @param {string} collectionName Collection name
+   * @param {object} [filter] Query filter {@link https://docs.mongodb.com/manual/core/document/#document-query-filter}
+   * @param {string} connString Database connection string or registered connection name
+   * @param {object} [options] Operation options - dbName, session, readConcern, readPreference, retry, etc.
+   * @param {function} [runner] Async function `(operation, context, fn) => {}` which runs the query by `fn(context)`, e.g. to apply hooks.
+   * The context is `{ filter, projection, sort, pagination, collation, options }`, and `field` for distinct, `verbosity` for explain
+   */
+  constructor(collectionName, filter, connString, options, runner) {
+    this.collectionName = collectionName;
+    this.connString = connString;
+    this.query = { filter: filter || {} };
+    this.options = { ...options };
+    this.runner = runner;
+  }
+
+  /**
+   * Instance method - Set the projection
+   * 
+   * @param {object} projection Projection {@link https://docs.mongodb.com/manual/reference/method/db.collection.find/#find-projection}
+   * @returns {QueryBuilder} The builder
+   */
+  project(projection) {
+    this.query.projection = projection;
+    return this;
+  }
+
+  /**
+   * Instance method - Set the sort
+   * 
+   * @param {object} sort Sort {@link https://docs.mongodb.com/manual/reference/method/cursor.sort/#cursor.sort}
+   * @returns {QueryBuilder} The builder
+   */
+  sort(sort) {
+    this.query.sort = sort;
+    return this;
+  }
+
+  /**
+   * Instance method - Set the pagination
+   * 
+   * @param {object} pagination Pagination `E.g., { startIndex: 11, endIndex: 20 }` or keyset pagination `E.g., { limit: 10, after: nextCursor }`.
+   * The builder resolves with the data of the keyset page, use MongoDBToolSet list for its cursors
+   * @returns {QueryBuilder} The builder
+   */
+  page(pagination) {
+    this.query.pagination = pagination;
+    return this;
+  }
+
+  /**
+   * Instance method - Set the collation
+   * 
+   * @param {object} collation Collation {@link https://www.mongodb.com/docs/manual/reference/collation/#std-label-collation-document-fields}
+   * @returns {QueryBuilder} The builder
+   */
+  collation(collation) {
+    this.query.collation = collation;
+    return this;
+  }
+
+  /**
+   * Instance method - Set the index to use
+   * 
+   * @param {object|string} hint Index key pattern or index name {@link https://www.mongodb.com/docs/manual/reference/method/cursor.hint/}
+   * @returns {QueryBuilder} The builder
+   */
+  hint(hint) {
+    this.options.hint = hint;
+    return this;
+  }
+
+  /**
+   * Instance method - Set the time limit of the query on the server
+   * 
+   * @param {number} ms Milliseconds, sent as maxTimeMS
+   * @returns {QueryBuilder} The builder
+   */
+  maxTime(ms) {
+    this.options.maxTimeMS = ms;
+    return this;
+  }
+
+  /**
+   * Instance method - Get the documents
+   * 
+   * @returns {promise} Promise with object array
+   */
+  async toArray() {
+    return Promise.resolve(await this.run("find", { ...this.query }));
+  }
+
+  /**
+   * Instance method - Make the builder thenable, so awaiting it gets the documents
+   * 
+   * @param {function} [onFulfilled] Function called with object array
+   * @param {function} [onRejected] Function called with the error
+   * @returns {promise}
+   */
+  then(onFulfilled, onRejected) { return this.toArray().then(onFulfilled, onRejected); }
+
+  /**
+   * Instance method - Count the documents matching the filter. Projection, sort and pagination are ignored
+   * 
+   * @returns {promise} Promise with data count
+   */
+  async count() {
+    return Promise.resolve(await this.run("count", { filter: this.query.filter, collation: this.query.collation }));
+  }
+
+  /**
+   * Instance method - Get the first document by the sort. Pagination is ignored
+   * 
+   * @returns {promise} Promise with document, or null if there is none
+   */
+  async first() {
+    const [doc] = await this.run("find", { ...this.query, pagination: { startIndex: 1, endIndex: 1 }});
+    return Promise.resolve(doc || null);
+  }
+
+  /**
+   * Instance method - Check if any document matches the filter
+   * 
+   * @returns {promise} Promise with boolean
+   */
+  async exists() {
+    const data = await this.run("find", { filter: this.query.filter, projection: { _id: 1 }, pagination: { startIndex: 1, endIndex: 1 }, collation: this.query.collation });
+    return Promise.resolve(data.length > 0);
+  }
+
+  /**
+   * Instance method - Get the distinct values of a field in the documents matching the filter
+   * 
+   * @param {string} field Field name, dot notation for embedded fields
+   * @returns {promise} Promise with value array
+   */
+  async distinct(field) {
+    return Promise.resolve(await this.run("distinct", { field, filter: this.query.filter, collation: this.query.collation }));
+  }
+
+  /**
+   * Instance method - Explain the query plan
+   * 
+   * @param {string} [verbosity="queryPlanner"] Verbosity - queryPlanner, executionStats or allPlansExecution
+   * @returns {promise} Promise with explain output
+   */
+  async explain(verbosity) {
+    return Promise.resolve(await this.run("explain", { ...this.query, verbosity }));
+  }
+
+  /**
+   * Instance method - Run the query by the runner, or directly if there is none
+   * 
+   * @param {string} operation Operation - find, count, distinct or explain
+   * @param {object} context Query context
+   * @returns {promise}
+   */
+  async run(operation, context) {
+    const fn = ctx=> runQuery(this.collectionName, this.connString, operation, ctx);
+    const ctx = { ...context, options: { ...this.options }};
+    return Promise.resolve(await (this.runner ? this.runner(operation, ctx, fn) : fn(ctx)));
+  }
+}
+
+module.exports = QueryBuilder;
+
+/**
+ * Run the query of an operation
+ * 
+ * @param {string} collectionName Collection name
+ * @param {string} connString Database connection string
+ * @param {string} operation Operation - find, count, distinct or explain
+ * @param {object} ctx Query context `{ filter, projection, sort, pagination, collation, field, verbosity, options }`
+ * @returns {promise}
+ */
+const runQuery = (collectionName, connString, operation, { filter, projection, sort, pagination, collation, field, verbosity, options })=> {
+  switch(operation) {
+    case "find": return MongoDBOps.getData(collectionName, filter, false, projection, sort, pagination, false, connString, collation, options);
+    case "count": return MongoDBOps.getData(collectionName, filter, false, undefined, undefined, undefined, true, connString, undefined, collation ? { ...options, collation } : options);
+    case "distinct": return MongoDBOps.getDistinct(collectionName, field, filter, connString, collation, options);
+    case "explain": return MongoDBOps.explainData(collectionName, filter, false, projection, sort, pagination, connString, collation, verbosity, options);
+    default: throw new Error("invalid-query-operation");
+  }
+}
\ No newline at end of file
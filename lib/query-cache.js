@@ -0,0 +1,130 @@
+'use strict';
+
+const crypto = require('crypto');
+const EJSON = require('mongodb').BSON.EJSON;
+const LRUCache = require('./lru-cache');
+
+const adapters = new Set();
+const generations = new Map();
+const sessionNamespaces = new WeakMap();
+let defaultAdapter;
+
+/**
+ * @class
+ * @classdesc Read-through query cache with static methods only. Entries are namespaced by collection name, and every write of
+ * MongoDBOps invalidates the namespace of its collection in all the adapters in use, so a write through any instance or connection
+ * clears the cached reads of the collection. Values are stored as canonical EJSON, so each read gets its own copy
+ */
+class QueryCache {
+  /**
+   * Static method - Get the shared in-process LRU adapter
+   * 
+   * @returns {LRUCache}
+   */
+  static getDefaultAdapter() {
+    if (!defaultAdapter) { defaultAdapter = new LRUCache(); }
+    return defaultAdapter;
+  }
+
+  /**
+   * Static method - Register an adapter so that writes invalidate its entries
+   * 
+   * @param {object} adapter Cache adapter with async methods `get(key)`, `set(key, value, ttlMS, namespace)` and `invalidate(namespace)`
+   */
+  static register(adapter) {
+    if (!adapter || ["get", "set", "invalidate"].some(method=> typeof adapter[method] !== "function")) { throw new Error("invalid-cache-adapter"); }
+    adapters.add(adapter);
+  }
+
+  /**
+   * Static method - Get the cache key of a query. Key order of filter and projection does not change the key, key order of sort does
+   * 
+   * @param {string} namespace Namespace, i.e. collection name
+   * @param {object} query Query `{ connString, dbName, operation, filter, projection, sort, pagination, collation, ... }`
+   * @returns {string} Cache key `<namespace>:<sha1>`
+   */
+  static getKey(namespace, query) {
+    const { filter, projection, ...rest } = query;
+    const text = EJSON.stringify({ ...rest, filter: sortKeys(filter), projection: sortKeys(projection) }, { relaxed: false });
+    return `${namespace}:${crypto.createHash("sha1").update(text).digest("hex")}`;
+  }
+
+  /**
+   * Static method - Get the cached result of a query, or run the query and cache its result. The result is not cached if the
+   * namespace is invalidated while the query runs. Adapter failures are treated as cache misses
+   * 
+   * @param {object} adapter Cache adapter
+   * @param {string} namespace Namespace, i.e. collection name
+   * @param {object} query Query to build the cache key from, see getKey
+   * @param {number} ttlMS Time to live in milliseconds
+   * @param {function} fn Async function `() => {}` which runs the query
+   * @returns {promise} Promise with the result
+   */
+  static async read(adapter, namespace, query, ttlMS, fn) {
+    const key = QueryCache.getKey(namespace, query);
+    const cached = await Promise.resolve().then(()=> adapter.get(key)).catch(()=> undefined);
+    if (cached !== undefined && cached !== null) { return Promise.resolve(EJSON.parse(cached, { relaxed: true })); }
+
+    const generation = generations.get(namespace) || 0;
+    const result = await fn();
+    if ((generations.get(namespace) || 0) === generation) {
+      await Promise.resolve().then(()=> adapter.set(key, EJSON.stringify(result, { relaxed: false }), ttlMS, namespace)).catch(()=> {});
+    }
+
+    return Promise.resolve(result);
+  }
+
+  /**
+   * Static method - Invalidate the cached reads of a collection in all the adapters. Writes in a session are invalidated
+   * again by invalidateSession after the transaction ends. Adapter failures are ignored, the entries expire by TTL
+   * 
+   * @param {string} namespace Namespace, i.e. collection name
+   * @param {ClientSession} [session] Session of the write
+   * @returns {promise}
+   */
+  static async invalidate(namespace, session) {
+    if (!adapters.size) { return Promise.resolve(); }
+
+    generations.set(namespace, (generations.get(namespace) || 0) + 1);
+    if (session) {
+      if (!sessionNamespaces.has(session)) { sessionNamespaces.set(session, new Set()); }
+      sessionNamespaces.get(session).add(namespace);
+    }
+
+    await Promise.all([...adapters].map(adapter=> Promise.resolve().then(()=> adapter.invalidate(namespace)).catch(()=> {})));
+    return Promise.resolve();
+  }
+
+  /**
+   * Static method - Invalidate the collections written in a session, so reads cached before the commit are cleared
+   * 
+   * @param {ClientSession} session Session
+   * @returns {promise}
+   */
+  static async invalidateSession(session) {
+    const namespaces = sessionNamespaces.get(session);
+    if (!namespaces) { return Promise.resolve(); }
+
+    sessionNamespaces.delete(session);
+    await Promise.all([...namespaces].map(namespace=> QueryCache.invalidate(namespace)));
+    return Promise.resolve();
+  }
+}
+
+module.exports = QueryCache;
+
+/**
+ * Sort the keys of plain objects recursively. Arrays keep their order
+ * 
+ * @param {*} value Value
+ * @returns {*}
+ */
+const sortKeys = value=> {
+  if (Array.isArray(value)) { return value.map(sortKeys); }
+  if (value && typeof value === "object" && value.constructor === Object) {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) { sorted[key] = sortKeys(value[key]); }
+    return sorted;
+  }
+  return value;
+}
\ No newline at end of file
@@ -0,0 +1,243 @@
+'use strict';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const IGNORED_COMMANDS = ["hello", "ismaster", "saslstart", "saslcontinue", "authenticate", "getnonce", "endsessions", "ping", "buildinfo"];
+
+let settings;
+const pending = new Map();
+const metrics = new Map();
+
+/**
+ * @class
+ * @classdesc Query diagnostics with static methods only - explain summaries, slow-operation log and per-collection command latency
+ * metrics from the command monitoring events of the driver. Monitoring is off by default, enable it before the first operation
+ * as the driver turns on command monitoring per connection when the connection is made
+ */
+class QueryMonitor {
+  /**
+   * Static method - Enable the slow-operation log and the latency metrics. The metrics are kept when it is enabled again
+   * 
+   * @param {object} [obj]
+   * @param {number} [obj.slowMS] Log the commands which take at least this long, no log if it is not provided
+   * @param {function} [obj.onSlow] Function `({ connection, database, collection, command, durationMS, query, error }) => {}` called for each slow command.
+   * The slow commands are only counted in the metrics if it is not provided. `query` has the shape of the filter, sort and pipeline with the values replaced by "?"
+   * @param {Array} [obj.buckets] Histogram buckets in seconds, default is the Prometheus client default buckets
+   */
+  static enable({ slowMS, onSlow, buckets = DEFAULT_BUCKETS }={}) {
+    if (slowMS !== undefined && !(slowMS >= 0)) { throw new Error("invalid-slow-ms"); }
+    if (!Array.isArray(buckets) || !buckets.length || buckets.some(bucket=> !(bucket > 0))) { throw new Error("invalid-metric-buckets"); }
+
+    settings = { slowMS, onSlow: onSlow || (()=> {}), buckets: [...buckets].sort((a, b)=> a - b) };
+  }
+
+  /**
+   * Static method - Disable the slow-operation log and the latency metrics
+   */
+  static disable() {
+    settings = undefined;
+    pending.clear();
+  }
+
+  /**
+   * Static method - Check if the monitor is enabled
+   * 
+   * @returns {boolean}
+   */
+  static isEnabled() { return !!settings; }
+
+  /**
+   * Static method - Listen to the command monitoring events of a client. ConnectionRegistry attaches every client it creates
+   * 
+   * @param {MongoClient} client MongoClient created with `monitorCommands: true`
+   * @param {string} connection Connection name used as metric label
+   */
+  static attach(client, connection) {
+    client.on("commandStarted", event=> onCommandStarted(connection, event));
+    client.on("commandSucceeded", event=> onCommandFinished(connection, event));
+    client.on("commandFailed", event=> onCommandFinished(connection, event, event.failure));
+  }
+
+  /**
+   * Static method - Get the latency metrics in Prometheus text format to be served on a scrape endpoint
+   * {@link https://prometheus.io/docs/instrumenting/exposition_formats/}
+   * 
+   * @returns {string} Metrics `mongodb_ops_command_duration_seconds`, `mongodb_ops_command_errors_total` and `mongodb_ops_slow_commands_total`
+   * labelled by connection, database, collection and command
+   */
+  static getMetrics() {
+    const lines = [
+      "# HELP mongodb_ops_command_duration_seconds Duration of MongoDB commands",
+      "# TYPE mongodb_ops_command_duration_seconds histogram"
+    ];
+    for (const metric of metrics.values()) {
+      const labels = formatLabels(metric.labels);
+      metric.buckets.forEach((count, i)=> lines.push(`mongodb_ops_command_duration_seconds_bucket{${labels},le="${metric.bounds[i]}"} ${count}`));
+      lines.push(`mongodb_ops_command_duration_seconds_bucket{${labels},le="+Inf"} ${metric.count}`);
+      lines.push(`mongodb_ops_command_duration_seconds_sum{${labels}} ${metric.sum}`);
+      lines.push(`mongodb_ops_command_duration_seconds_count{${labels}} ${metric.count}`);
+    }
+
+    lines.push("# HELP mongodb_ops_command_errors_total Failed MongoDB commands", "# TYPE mongodb_ops_command_errors_total counter");
+    for (const metric of metrics.values()) { lines.push(`mongodb_ops_command_errors_total{${formatLabels(metric.labels)}} ${metric.errors}`); }
+
+    lines.push("# HELP mongodb_ops_slow_commands_total MongoDB commands slower than the slow-operation threshold", "# TYPE mongodb_ops_slow_commands_total counter");
+    for (const metric of metrics.values()) { lines.push(`mongodb_ops_slow_commands_total{${formatLabels(metric.labels)}} ${metric.slow}`); }
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Static method - Clear the latency metrics
+   */
+  static resetMetrics() { metrics.clear(); }
+
+  /**
+   * Static method - Summarise explain output of find, aggregate or search, sharded included
+   * {@link https://www.mongodb.com/docs/manual/reference/explain-results/}
+   * 
+   * @param {object} explain Explain output
+   * @returns {object} Summary `{ indexes, stages, isCollScan, docsExamined, keysExamined, nReturned, executionTimeMS, warnings, explain }`.
+   * Counts are undefined for queryPlanner verbosity. nReturned of an aggregate is the no. of documents passed from the query to the pipeline.
+   * Warnings are `collection-scan`, `in-memory-sort` and `low-selectivity` when more than 10 documents are examined per returned document
+   */
+  static summarizeExplain(explain) {
+    const planners = getPlanners(explain);
+    const stages = new Set(), indexes = new Set();
+    for (const { queryPlanner } of planners) {
+      walkPlan(queryPlanner && queryPlanner.winningPlan, node=> {
+        if (node.stage) { stages.add(node.stage); }
+        if (node.indexName) { indexes.add(node.indexName); }
+      });
+    }
+
+    const stats = planners.map(planner=> planner.executionStats).filter(Boolean);
+    const sum = field=> stats.length ? stats.reduce((total, item)=> total + (item[field] || 0), 0) : undefined;
+    const docsExamined = sum("totalDocsExamined"), keysExamined = sum("totalKeysExamined"), nReturned = sum("nReturned");
+    const executionTimeMS = stats.length ? Math.max(...stats.map(item=> item.executionTimeMillis || 0)) : undefined;
+
+    const isCollScan = stages.has("COLLSCAN");
+    const warnings = [];
+    if (isCollScan) { warnings.push("collection-scan"); }
+    if (stages.has("SORT")) { warnings.push("in-memory-sort"); }
+    if (docsExamined > 10 * Math.max(nReturned, 1)) { warnings.push("low-selectivity"); }
+
+    return { indexes: [...indexes], stages: [...stages], isCollScan, docsExamined, keysExamined, nReturned, executionTimeMS, warnings, explain };
+  }
+}
+
+module.exports = QueryMonitor;
+
+/**
+ * Record the command of a started event
+ * 
+ * @param {string} connection Connection name
+ * @param {object} event CommandStartedEvent
+ */
+const onCommandStarted = (connection, event)=> {
+  if (!settings || IGNORED_COMMANDS.includes(event.commandName.toLowerCase())) { return; }
+
+  const command = event.command || {};
+  const collection = typeof command[event.commandName] === "string" ? command[event.commandName] : (command.collection || "");
+  const query = {};
+  for (const field of ["filter", "query", "sort", "pipeline"]) {
+    if (command[field] !== undefined) { query[field] = getShape(command[field]); }
+  }
+
+  pending.set(`${connection}:${event.requestId}`, { connection, database: event.databaseName, collection, command: event.commandName, query });
+}
+
+/**
+ * Record the duration of a succeeded or failed command, and log it if it is slow
+ * 
+ * @param {string} connection Connection name
+ * @param {object} event CommandSucceededEvent or CommandFailedEvent
+ * @param {Error} [error] Error of the failed command
+ */
+const onCommandFinished = (connection, event, error)=> {
+  const key = `${connection}:${event.requestId}`;
+  const started = pending.get(key);
+  if (!started) { return; }
+  pending.delete(key);
+  if (!settings) { return; }
+
+  const { query, ...labels } = started;
+  const metric = getMetric(labels);
+  const seconds = event.duration / 1000;
+  metric.count++;
+  metric.sum += seconds;
+  metric.bounds.forEach((bound, i)=> { if (seconds <= bound) { metric.buckets[i]++; } });
+  if (error) { metric.errors++; }
+
+  if (settings.slowMS !== undefined && event.duration >= settings.slowMS) {
+    metric.slow++;
+    settings.onSlow({ ...labels, durationMS: event.duration, query, ...(error ? { error: error.message } : {}) });
+  }
+}
+
+/**
+ * Get the metric of the labels, created on first use
+ * 
+ * @param {object} labels Labels `{ connection, database, collection, command }`
+ * @returns {object} Metric `{ labels, bounds, buckets, sum, count, errors, slow }`
+ */
+const getMetric = labels=> {
+  const key = JSON.stringify(labels);
+  if (!metrics.has(key)) {
+    metrics.set(key, { labels, bounds: settings.buckets, buckets: settings.buckets.map(()=> 0), sum: 0, count: 0, errors: 0, slow: 0 });
+  }
+  return metrics.get(key);
+}
+
+/**
+ * Format labels in Prometheus text format
+ * 
+ * @param {object} labels Labels
+ * @returns {string}
+ */
+const formatLabels = labels=> Object.entries(labels)
+  .map(([name, value])=> `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`)
+  .join(",");
+
+/**
+ * Get the shape of a filter, sort or pipeline with the values replaced by "?", so it can be logged without the data
+ * 
+ * @param {*} value Value
+ * @returns {*}
+ */
+const getShape = value=> {
+  if (Array.isArray(value)) { return value.some(item=> item && typeof item === "object") ? value.map(getShape) : "?"; }
+  if (value && typeof value === "object" && value.constructor === Object) {
+    const shape = {};
+    for (const [key, item] of Object.entries(value)) { shape[key] = getShape(item); }
+    return shape;
+  }
+  return "?";
+}
+
+/**
+ * Get the query planners and execution stats of explain output
+ * 
+ * @param {object} explain Explain output of find, aggregate or sharded aggregate
+ * @returns {Array} Array of `{ queryPlanner, executionStats }`
+ */
+const getPlanners = explain=> {
+  if (!explain || typeof explain !== "object") { return []; }
+  if (explain.queryPlanner) { return [{ queryPlanner: explain.queryPlanner, executionStats: explain.executionStats }]; }
+  if (Array.isArray(explain.stages)) { return explain.stages.filter(stage=> stage.$cursor).flatMap(stage=> getPlanners(stage.$cursor)); }
+  if (explain.shards) { return Object.values(explain.shards).flatMap(getPlanners); }
+  return [];
+}
+
+/**
+ * Visit the nodes of a query plan
+ * 
+ * @param {object} node Plan node
+ * @param {function} visit Function `(node) => {}`
+ */
+const walkPlan = (node, visit)=> {
+  if (!node || typeof node !== "object") { return; }
+
+  visit(node);
+  for (const child of [node.queryPlan, node.inputStage, node.outerStage, node.innerStage, ...(node.inputStages || [])]) { walkPlan(child, visit); }
+  for (const shard of node.shards || []) { walkPlan(shard.winningPlan, visit); }
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+'use strict';
+
+const { MongoNetworkTimeoutError } = require('mongodb');
+const { ConnectionError, TimeoutError } = require('./errors');
+
+// Server error codes of failover, stepdown, shutdown and network failures {@link https://github.com/mongodb/specifications/blob/master/source/retryable-writes/retryable-writes.md}
+const RETRYABLE_CODES = [6, 7, 89, 91, 134, 189, 262, 9001, 10107, 11600, 11602, 13435, 13436];
+const RETRYABLE_LABELS = ["RetryableWriteError", "ResetPool"];
+
+let defaultPolicy = { maxAttempts: 1, initialDelayMS: 100, maxDelayMS: 5000, factor: 2, jitter: true };
+
+/**
+ * @class
+ * @classdesc Retry policy with exponential backoff and full jitter, with static methods only. The default policy does not retry,
+ * set maxAttempts by MongoDBOps.setRetryPolicy to turn it on. The driver retries a failed read or write once by itself,
+ * so the policy covers longer failovers
+ */
+class RetryPolicy {
+  /**
+   * Static method - Set the default retry policy
+   * 
+   * @param {object} policy
+   * @param {number} [policy.maxAttempts=1] Maximum no. of attempts including the first one
+   * @param {number} [policy.initialDelayMS=100] Delay before the first retry, multiplied by factor on each retry
+   * @param {number} [policy.maxDelayMS=5000] Maximum delay before a retry
+   * @param {number} [policy.factor=2] Backoff factor
+   * @param {boolean} [policy.jitter=true] Set false to wait the full delay instead of a random delay up to it
+   * @param {function} [policy.isRetryable] Function `(err) => boolean`, default is RetryPolicy.isRetryable
+   * @param {function} [policy.onRetry] Function `({ operation, attempt, delayMS, error }) => {}` called before each retry, e.g. to log it
+   */
+  static setDefault(policy) {
+    const { maxAttempts = 1, initialDelayMS = 100, maxDelayMS = 5000, factor = 2, jitter = true, isRetryable, onRetry } = policy || {};
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) { throw new Error("invalid-retry-max-attempts"); }
+
+    defaultPolicy = { maxAttempts, initialDelayMS, maxDelayMS, factor, jitter, isRetryable, onRetry };
+  }
+
+  /**
+   * Static method - Get the default retry policy
+   * 
+   * @returns {object}
+   */
+  static getDefault() { return { ...defaultPolicy }; }
+
+  /**
+   * Static method - Check if an error is transient, i.e. connection failure, network timeout, failover or stepdown.
+   * maxTimeMS / timeoutMS expiry is not retryable
+   * 
+   * @param {Error} err Error
+   * @returns {boolean}
+   */
+  static isRetryable(err) {
+    if (!err) { return false; }
+    if (err instanceof ConnectionError) { return true; }
+    if (err instanceof TimeoutError) { return err.cause instanceof MongoNetworkTimeoutError; }
+    if (RETRYABLE_CODES.includes(err.code)) { return true; }
+    return RETRYABLE_LABELS.some(label=> (err.errorLabels || []).includes(label));
+  }
+
+  /**
+   * Static method - Run an operation with retries
+   * 
+   * @param {string} operation Operation name passed to onRetry
+   * @param {function} fn Async function `(attempt) => {}`
+   * @param {object} [policy] Policy which overrides the default policy for the call
+   * @returns {promise} Promise with the value resolved by the function, rejected with the error of the last attempt
+   */
+  static async run(operation, fn, policy) {
+    const { maxAttempts, initialDelayMS, maxDelayMS, factor, jitter, isRetryable, onRetry } = { ...defaultPolicy, ...policy };
+
+    for (let attempt = 1; ; ++attempt) {
+      try { return Promise.resolve(await fn(attempt)); }
+      catch (err) {
+        if (attempt >= maxAttempts || !(isRetryable || RetryPolicy.isRetryable)(err)) { throw err; }
+
+        const delay = Math.min(initialDelayMS * factor ** (attempt - 1), maxDelayMS);
+        const delayMS = jitter ? Math.round(Math.random() * delay) : delay;
+        if (onRetry) { onRetry({ operation, attempt, delayMS, error: err }); }
+
+        await new Promise(resolve=> setTimeout(resolve, delayMS));
+      }
+    }
+  }
+}
+
+module.exports = RetryPolicy;
\ No newline at end of file
@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * Validate a value against MongoDB $jsonSchema. Supported keywords are bsonType, type, enum, required, properties,
+ * patternProperties, additionalProperties, minProperties, maxProperties, items, additionalItems, minItems, maxItems,
+ * uniqueItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, minLength, maxLength, pattern,
+ * allOf, anyOf, oneOf and not
+ * {@link https://www.mongodb.com/docs/manual/reference/operator/query/jsonSchema/}
+ * 
+ * @param {object} schema $jsonSchema object
+ * @param {*} value Value to validate
+ * @param {string} [path=""] Field path of the value
+ * @returns {Array} Field errors `[{ path, keyword, message }]`, empty if the value is valid
+ */
+const validateSchema = (schema, value, path = "")=> {
+  const errors = [];
+  const addError = (keyword, message, errorPath = path)=> errors.push({ path: errorPath, keyword, message });
+
+  if (!schema || typeof schema !== "object") { return errors; }
+
+  const bsonType = getBsonType(value);
+
+  if (schema.bsonType !== undefined && ![].concat(schema.bsonType).some(type=> isBsonType(bsonType, type))) {
+    addError("bsonType", `must be ${[].concat(schema.bsonType).join(" or ")}`);
+    return errors;
+  }
+  if (schema.type !== undefined && ![].concat(schema.type).some(type=> isJsonType(bsonType, type))) {
+    addError("type", `must be ${[].concat(schema.type).join(" or ")}`);
+    return errors;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(item=> isEqual(item, value))) { addError("enum", "must be one of the allowed values"); }
+
+  if (["int", "long", "double", "decimal"].includes(bsonType)) {
+    const number = Number(value);
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum === true ? number <= schema.minimum : number < schema.minimum)) {
+      addError("minimum", `must be ${schema.exclusiveMinimum === true ? ">" : ">="} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && (schema.exclusiveMaximum === true ? number >= schema.maximum : number > schema.maximum)) {
+      addError("maximum", `must be ${schema.exclusiveMaximum === true ? "<" : "<="} ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === "number" && number <= schema.exclusiveMinimum) { addError("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`); }
+    if (typeof schema.exclusiveMaximum === "number" && number >= schema.exclusiveMaximum) { addError("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`); }
+    if (schema.multipleOf !== undefined && !Number.isInteger(number / schema.multipleOf)) { addError("multipleOf", `must be multiple of ${schema.multipleOf}`); }
+  }
+
+  if (bsonType === "string") {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) { addError("minLength", `must not have fewer than ${schema.minLength} characters`); }
+    if (schema.maxLength !== undefined && length > schema.maxLength) { addError("maxLength", `must not have more than ${schema.maxLength} characters`); }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) { addError("pattern", `must match pattern ${schema.pattern}`); }
+  }
+
+  if (bsonType === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) { addError("minItems", `must not have fewer than ${schema.minItems} items`); }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) { addError("maxItems", `must not have more than ${schema.maxItems} items`); }
+    if (schema.uniqueItems === true && value.some((item, i)=> value.findIndex(other=> isEqual(item, other)) !== i)) { addError("uniqueItems", "must not have duplicate items"); }
+
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, i)=> {
+        if (i < schema.items.length) { errors.push(...validateSchema(schema.items[i], item, joinPath(path, i))); }
+        else if (schema.additionalItems === false) { addError("additionalItems", "is not allowed", joinPath(path, i)); }
+        else if (typeof schema.additionalItems === "object") { errors.push(...validateSchema(schema.additionalItems, item, joinPath(path, i))); }
+      });
+    }
+    else if (schema.items) { value.forEach((item, i)=> errors.push(...validateSchema(schema.items, item, joinPath(path, i)))); }
+  }
+
+  if (bsonType === "object") {
+    const keys = Object.keys(value).filter(key=> value[key] !== undefined);
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) { addError("minProperties", `must not have fewer than ${schema.minProperties} fields`); }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) { addError("maxProperties", `must not have more than ${schema.maxProperties} fields`); }
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) { addError("required", "is required", joinPath(path, key)); }
+    }
+
+    for (const key of keys) {
+      let isDeclared = false;
+
+      if (schema.properties && schema.properties[key]) {
+        isDeclared = true;
+        errors.push(...validateSchema(schema.properties[key], value[key], joinPath(path, key)));
+      }
+      for (const [pattern, subSchema] of Object.entries(schema.patternProperties || {})) {
+        if (new RegExp(pattern, "u").test(key)) {
+          isDeclared = true;
+          errors.push(...validateSchema(subSchema, value[key], joinPath(path, key)));
+        }
+      }
+
+      if (!isDeclared) {
+        if (schema.additionalProperties === false) { addError("additionalProperties", "is not allowed", joinPath(path, key)); }
+        else if (typeof schema.additionalProperties === "object") { errors.push(...validateSchema(schema.additionalProperties, value[key], joinPath(path, key))); }
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) { schema.allOf.forEach(subSchema=> errors.push(...validateSchema(subSchema, value, path))); }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(subSchema=> !validateSchema(subSchema, value, path).length)) { addError("anyOf", "must match at least one schema"); }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.filter(subSchema=> !validateSchema(subSchema, value, path).length).length !== 1) { addError("oneOf", "must match exactly one schema"); }
+  if (schema.not && !validateSchema(schema.not, value, path).length) { addError("not", "must not match the schema"); }
+
+  return errors;
+}
+
+/**
+ * Validate the value set to a field path, e.g. a `$set` field of an update, against the sub-schema of the path
+ * 
+ * @param {object} schema $jsonSchema object of the document
+ * @param {string} path Field path in dot notation. Array index and positional operators `$`, `$[]` and `$[<id>]` are resolved to items
+ * @param {*} value Value to validate
+ * @returns {Array} Field errors `[{ path, keyword, message }]`, empty if the value is valid
+ */
+const validatePath = (schema, path, value)=> {
+  let subSchema = schema;
+
+  for (const key of path.split(".")) {
+    if (!subSchema || typeof subSchema !== "object") { return []; }
+
+    if (/^(\d+|\$|\$\[\w*\])$/.test(key)) {
+      subSchema = Array.isArray(subSchema.items) ? subSchema.items[+key] : subSchema.items;
+      continue;
+    }
+
+    const parent = subSchema;
+    subSchema = parent.properties && parent.properties[key];
+
+    if (!subSchema) {
+      const pattern = Object.keys(parent.patternProperties || {}).find(item=> new RegExp(item, "u").test(key));
+      if (pattern) { subSchema = parent.patternProperties[pattern]; }
+      else if (parent.additionalProperties === false) { return [{ path, keyword: "additionalProperties", message: "is not allowed" }]; }
+      else { subSchema = typeof parent.additionalProperties === "object" ? parent.additionalProperties : undefined; }
+    }
+  }
+
+  return validateSchema(subSchema, value, path);
+}
+
+/**
+ * Get the differences between two schemas
+ * 
+ * @param {*} before Current schema
+ * @param {*} after New schema
+ * @param {string} [path=""] Path of the schemas
+ * @returns {Array} Differences `[{ path, change, before, after }]` where change is added, removed or changed
+ */
+const diffSchema = (before, after, path = "")=> {
+  if (isEqual(before, after)) { return []; }
+  if (before === undefined) { return [{ path, change: "added", after }]; }
+  if (after === undefined) { return [{ path, change: "removed", before }]; }
+
+  const isObject = value=> value && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(before) || !isObject(after)) { return [{ path, change: "changed", before, after }]; }
+
+  const diff = [];
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    diff.push(...diffSchema(before[key], after[key], joinPath(path, key)));
+  }
+  return diff;
+}
+
+module.exports = { validateSchema, validatePath, diffSchema };
+
+/**
+ * Get BSON type alias of a value
+ * 
+ * @param {*} value
+ * @returns {string} BSON type alias {@link https://www.mongodb.com/docs/manual/reference/bson-types/}
+ */
+const getBsonType = value=> {
+  if (value === null || value === undefined) { return "null"; }
+  if (Array.isArray(value)) { return "array"; }
+  if (value instanceof Date) { return "date"; }
+  if (value instanceof RegExp) { return "regex"; }
+
+  switch (typeof value) {
+    case "string": return "string";
+    case "boolean": return "bool";
+    case "bigint": return "long";
+    case "number": return Number.isInteger(value) && value >= -2147483648 && value <= 2147483647 ? "int" : "double";
+  }
+
+  switch (value._bsontype) {
+    case "ObjectId": return "objectId";
+    case "Decimal128": return "decimal";
+    case "Long": return "long";
+    case "Int32": return "int";
+    case "Double": return "double";
+    case "Binary": return "binData";
+    case "BSONRegExp": return "regex";
+    case "Timestamp": return "timestamp";
+    case "MinKey": return "minKey";
+    case "MaxKey": return "maxKey";
+    case "Code": return "javascript";
+  }
+
+  return "object";
+}
+
+/**
+ * Check if the BSON type of a value matches bsonType keyword
+ * 
+ * @param {string} bsonType BSON type of the value
+ * @param {string} type bsonType keyword
+ * @returns {boolean}
+ */
+const isBsonType = (bsonType, type)=> type === bsonType || (type === "number" && ["int", "long", "double", "decimal"].includes(bsonType));
+
+/**
+ * Check if a value matches type keyword. $jsonSchema has no integer type, use bsonType int or long instead
+ * 
+ * @param {string} bsonType BSON type of the value
+ * @param {string} type type keyword
+ * @returns {boolean}
+ */
+const isJsonType = (bsonType, type)=> {
+  switch (type) {
+    case "number": return ["int", "long", "double", "decimal"].includes(bsonType);
+    case "boolean": return bsonType === "bool";
+    default: return bsonType === type;
+  }
+}
+
+/**
+ * Check if two values are deeply equal, BSON values are compared by their string form
+ * 
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const isEqual = (a, b)=> {
+  if (a === b) { return true; }
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") { return false; }
+  if (a instanceof Date || b instanceof Date) { return a instanceof Date && b instanceof Date && a.getTime() === b.getTime(); }
+  if (a._bsontype || b._bsontype) { return a._bsontype === b._bsontype && String(a) === String(b); }
+  if (Array.isArray(a) !== Array.isArray(b)) { return false; }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key=> isEqual(a[key], b[key]));
+}
+
+/**
+ * Join field path
+ * 
+ * @param {string} path Parent path
+ * @param {string|number} key Field name or array index
+ * @returns {string}
+ */
+const joinPath = (path, key)=> path === "" ? String(key) : `${path}.${key}`;
\ No newline at end of file
@@ -0,0 +1,222 @@
+'use strict';
+
+const BACKEND_TYPES = ["atlas", "text", "regex"];
+const QUERY_OPERATORS = ["text", "phrase", "autocomplete"];
+const COMPOUND_CLAUSES = ["must", "should", "filter"];
+const SEARCH_OPTIONS = ["index", "highlight", "count", "sort", "searchAfter", "searchBefore", "returnStoredSource", "scoreDetails", "concurrent", "tracking"];
+
+let defaultBackend = { type: "atlas" };
+
+/**
+ * @class
+ * @classdesc Search backends of MongoDBOps search, with static methods only. The default backend is Atlas Search, set it to `text`
+ * to run on a `$text` index, or to `regex` to match any term by case-insensitive regex over the configured fields, e.g. on local and CI
+ * instances and self-hosted clusters. The regex score is the no. of matching terms and fields. The same search can run on all backends, a string query or the text, phrase and autocomplete operators of
+ * an Atlas `$search` object, compound included. Facets, highlights, count and searchAfter / searchBefore paging are Atlas only
+ */
+class SearchBackend {
+  /**
+   * Static method - Set the default search backend
+   * 
+   * @param {string|object} backend Backend type - atlas, text or regex, or object `{ type, ... }` with the options of the type.
+   * text - language, caseSensitive, diacriticSensitive. regex - fields, caseSensitive
+   */
+  static setDefault(backend) { defaultBackend = parseBackend(backend); }
+
+  /**
+   * Static method - Get the default search backend
+   * 
+   * @returns {object}
+   */
+  static getDefault() { return { ...defaultBackend }; }
+
+  /**
+   * Static method - Get the search stages of a backend
+   * 
+   * @param {string|object} search String query, or Atlas `$search` object {@link https://www.mongodb.com/docs/atlas/atlas-search/query-syntax/}
+   * @param {string|object} [backend] Backend which overrides the default backend for the call
+   * @param {object} [obj] Atlas options
+   * @param {object} [obj.filter] Query filter, added to the search as compound filter clauses if facets or count is set, as the search metadata
+   * does not see a `$match` after the search stage. Equality, `$eq`, `$ne`, `$in`, `$nin` and `$and` are supported
+   * @param {object} [obj.facets] Facet definitions of the facet collector {@link https://www.mongodb.com/docs/atlas/atlas-search/facet/}
+   * @param {object} [obj.highlight] Highlight options `{ path, maxCharsToExamine, maxNumPassages }` {@link https://www.mongodb.com/docs/atlas/atlas-search/highlighting/}
+   * @param {object} [obj.count] Count options `{ type, threshold }` where type is total or lowerBound {@link https://www.mongodb.com/docs/atlas/atlas-search/counting/}
+   * @param {object} [obj.sort] Sort of the search stage
+   * @param {object} [obj.pagination] Keyset pagination `{ limit, after, before }` where after and before are search sequence tokens
+   * @returns {object} Object `{ stages, score, isSortedByScore }`. stages go first in the pipeline, score is the expression of the relevance score,
+   * and isSortedByScore is false if the stages do not sort by relevance
+   */
+  static getStages(search, backend, { filter, facets, highlight, count, sort, pagination }={}) {
+    const { type, ...settings } = backend === undefined ? defaultBackend : parseBackend(backend);
+    if (type !== "atlas" && [facets, highlight, count, pagination].some(option=> option !== undefined)) { throw new Error("unsupported-search-option"); }
+
+    switch (type) {
+      case "atlas": {
+        const stage = getAtlasStage(search, { filter, facets, highlight, count, sort, pagination });
+        return { stages: [{ $search: stage }], score: { $meta: "searchScore" }, isSortedByScore: true };
+      }
+      case "text": {
+        const { language, caseSensitive, diacriticSensitive } = settings;
+        const text = { $search: getTerms(search).join(" ") };
+        if (language !== undefined) { text.$language = language; }
+        if (caseSensitive !== undefined) { text.$caseSensitive = caseSensitive; }
+        if (diacriticSensitive !== undefined) { text.$diacriticSensitive = diacriticSensitive; }
+        return { stages: [{ $match: { $text: text }}], score: { $meta: "textScore" }, isSortedByScore: false };
+      }
+      default: {
+        const { caseSensitive = false } = settings;
+        const fields = settings.fields || getPaths(search);
+        if (!fields.length) { throw new Error("missing-search-fields"); }
+
+        const patterns = getTerms(search).map(term=> term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+        const regexOptions = caseSensitive ? "" : "i";
+        const filter = { $or: patterns.flatMap(pattern=> fields.map(field=> ({ [field]: { $regex: pattern, $options: regexOptions }}))) };
+        const score = { $add: patterns.flatMap(pattern=> fields.map(field=> ({
+          $cond: [{ $and: [{ $eq: [{ $type: `$${field}` }, "string"] }, { $regexMatch: { input: `$${field}`, regex: pattern, options: regexOptions }}] }, 1, 0]
+        }))) };
+        return { stages: [{ $match: filter }], score, isSortedByScore: false };
+      }
+    }
+  }
+}
+
+module.exports = SearchBackend;
+
+/**
+ * Parse and check a search backend
+ * 
+ * @param {string|object} backend Backend type or object `{ type, ... }`
+ * @returns {object} Backend `{ type, ... }`
+ */
+const parseBackend = backend=> {
+  const parsed = typeof backend === "string" ? { type: backend } : { ...backend };
+  if (!BACKEND_TYPES.includes(parsed.type)) { throw new Error("invalid-search-backend"); }
+  if (parsed.fields !== undefined && (!Array.isArray(parsed.fields) || !parsed.fields.length)) { throw new Error("invalid-search-fields"); }
+  return parsed;
+}
+
+/**
+ * Get the Atlas `$search` stage with the facet collector, highlight, count, sort and searchAfter / searchBefore of the options
+ * 
+ * @param {string|object} search String query or Atlas `$search` object
+ * @param {object} obj Atlas options - filter, facets, highlight, count, sort, pagination
+ * @returns {object} `$search` stage
+ */
+const getAtlasStage = (search, { filter, facets, highlight, count, sort, pagination })=> {
+  const searchOptions = {}, operator = {};
+  for (const [key, value] of Object.entries(typeof search === "string" ? { text: { query: search, path: { wildcard: "*" }}} : search)) {
+    (SEARCH_OPTIONS.includes(key) ? searchOptions : operator)[key] = value;
+  }
+
+  let query = Object.keys(operator).length ? operator : undefined;
+  if ((facets || count) && filter && Object.keys(filter).length) {
+    const { filters, mustNot } = getSearchFilters(filter);
+    query = { compound: { ...(query ? { must: [query] } : {}), ...(filters.length ? { filter: filters } : {}), ...(mustNot.length ? { mustNot } : {}) }};
+  }
+
+  const stage = { ...searchOptions, ...(facets ? { facet: { ...(query ? { operator: query } : {}), facets }} : query) };
+  if (highlight) { stage.highlight = highlight; }
+  if (count) { stage.count = count; }
+  if (sort) { stage.sort = sort; }
+  if (pagination && pagination.after) { stage.searchAfter = pagination.after; }
+  if (pagination && pagination.before) { stage.searchBefore = pagination.before; }
+  return stage;
+}
+
+/**
+ * Convert a query filter to Atlas compound filter and mustNot clauses of equals and in operators
+ * 
+ * @param {object} filter Query filter
+ * @returns {object} Object `{ filters, mustNot }`
+ */
+const getSearchFilters = filter=> {
+  const filters = [], mustNot = [];
+  for (const [field, condition] of Object.entries(filter)) {
+    if (field === "$and" && Array.isArray(condition)) {
+      for (const item of condition) {
+        const clauses = getSearchFilters(item);
+        filters.push(...clauses.filters);
+        mustNot.push(...clauses.mustNot);
+      }
+      continue;
+    }
+    if (field.startsWith("$")) { throw new Error("unsupported-search-filter"); }
+
+    const isOperators = !!condition && condition.constructor === Object && Object.keys(condition).some(key=> key.startsWith("$"));
+    for (const [operator, value] of isOperators ? Object.entries(condition) : [["$eq", condition]]) {
+      switch (operator) {
+        case "$eq": filters.push({ equals: { path: field, value: getSearchValue(value) }}); break;
+        case "$ne": mustNot.push({ equals: { path: field, value: getSearchValue(value) }}); break;
+        case "$in": filters.push({ in: { path: field, value: getSearchValues(value) }}); break;
+        case "$nin": mustNot.push({ in: { path: field, value: getSearchValues(value) }}); break;
+        default: throw new Error("unsupported-search-filter");
+      }
+    }
+  }
+  return { filters, mustNot };
+}
+
+/**
+ * Check a value of the equals operator - null, string, number, boolean, date or ObjectId
+ * 
+ * @param {*} value Value
+ * @returns {*} The value
+ */
+const getSearchValue = value=> {
+  const isValid = value === null || ["string", "number", "boolean"].includes(typeof value) || value instanceof Date || (!!value && value._bsontype === "ObjectId");
+  if (!isValid) { throw new Error("unsupported-search-filter"); }
+  return value;
+}
+
+/**
+ * Check the values of the in operator
+ * 
+ * @param {Array} values Values
+ * @returns {Array} The values
+ */
+const getSearchValues = values=> {
+  if (!Array.isArray(values) || !values.length || values.includes(null)) { throw new Error("unsupported-search-filter"); }
+  return values.map(getSearchValue);
+}
+
+/**
+ * Get the query operators of an Atlas `$search` object, compound clauses included
+ * 
+ * @param {object} search Atlas `$search` object
+ * @returns {Array} Array of operator objects `{ query, path }`
+ */
+const getOperators = search=> {
+  if (!search || typeof search !== "object") { return []; }
+
+  const operators = QUERY_OPERATORS.filter(name=> search[name]).map(name=> search[name]);
+  if (search.compound) {
+    for (const clause of COMPOUND_CLAUSES) { operators.push(...[].concat(search.compound[clause] || []).flatMap(getOperators)); }
+  }
+  return operators;
+}
+
+/**
+ * Get the terms of a search
+ * 
+ * @param {string|object} search String query or Atlas `$search` object
+ * @returns {Array} Array of terms
+ */
+const getTerms = search=> {
+  const queries = typeof search === "string" ? [search] : getOperators(search).flatMap(operator=> [].concat(operator.query));
+  const terms = queries.filter(query=> typeof query === "string").flatMap(query=> query.split(/\s+/)).filter(Boolean);
+  if (!terms.length) { throw new Error("invalid-search-query"); }
+  return terms;
+}
+
+/**
+ * Get the field paths of the query operators of an Atlas `$search` object. Wildcard and multi-analyzer paths are left out
+ * 
+ * @param {string|object} search String query or Atlas `$search` object
+ * @returns {Array} Array of field paths
+ */
+const getPaths = search=> {
+  if (typeof search === "string") { return []; }
+
+  const paths = getOperators(search).flatMap(operator=> [].concat(operator.path || [])).filter(path=> typeof path === "string");
+  return [...new Set(paths)];
+}
\ No newline at end of file
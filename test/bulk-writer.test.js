@@ -0,0 +1,142 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BulkWriter = require("../lib/bulk-writer");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { BulkWriteError } = require("../lib/errors");
+const { getCollection, mockClient } = require("./helpers");
+
+const getDocs = count=> Array.from({ length: count }, (value, index)=> ({ n: index }));
+const getResult = docs=> ({ insertedCount: docs.length, insertedIds: Object.fromEntries(docs.map((doc, index)=> [index, `id-${doc.n}`])) });
+
+test("splits the input by count and by estimated BSON size", async ()=> {
+  const sizes = [];
+  const writer = new BulkWriter(async docs=> { sizes.push(docs.length); return getResult(docs); }, { batchSize: 3 });
+  const result = await writer.write(getDocs(7));
+  assert.deepEqual(sizes, [3, 3, 1]);
+  assert.equal(result.insertedCount, 7);
+  assert.equal(result.insertedIds[6], "id-6");
+
+  sizes.length = 0;
+  const large = [{ text: "a".repeat(100) }, { text: "b".repeat(100) }, { text: "c".repeat(300) }, { text: "d" }];
+  await new BulkWriter(async docs=> { sizes.push(docs.length); return getResult(docs); }, { maxBatchBytes: 250 }).write(large);
+  assert.deepEqual(sizes, [2, 1, 1]);
+  assert.throws(()=> new BulkWriter(async ()=> {}, { batchSize: 0 }), /invalid-bulk-writer-options/);
+});
+
+test("writes an async iterable and emits progress and checkpoints in input order", async ()=> {
+  const source = async function* () { yield* getDocs(5); };
+  const delays = [30, 0, 0];
+  const writer = new BulkWriter(async docs=> {
+    await new Promise(resolve=> setTimeout(resolve, delays.shift()));
+    return getResult(docs);
+  }, { batchSize: 2, concurrency: 3 });
+
+  const progress = [], checkpoints = [];
+  writer.on("progress", ({ processed, total })=> progress.push([processed, total]));
+  writer.on("checkpoint", ({ position })=> checkpoints.push(position));
+  await writer.write(source());
+  assert.deepEqual(progress, [[2, undefined], [3, undefined], [5, undefined]]);
+  assert.deepEqual(checkpoints, [5]);
+});
+
+test("ordered writer stops at the failed document and resumes from the checkpoint", async ()=> {
+  const written = [];
+  const bulkWrite = async docs=> {
+    const failed = docs.findIndex(doc=> doc.n === 3 && !doc.isFixed);
+    if (failed < 0) {
+      written.push(...docs.map(doc=> doc.n));
+      return getResult(docs);
+    }
+
+    written.push(...docs.slice(0, failed).map(doc=> doc.n));
+    throw new BulkWriteError("bulk-write-failed", [{ index: failed, code: 11000, message: "duplicate" }], getResult(docs.slice(0, failed)));
+  };
+
+  const docs = getDocs(6);
+  const err = await new BulkWriter(bulkWrite, { ordered: true, batchSize: 2 }).write(docs).catch(err=> err);
+  assert.ok(err instanceof BulkWriteError);
+  assert.deepEqual(err.writeErrors.map(item=> item.index), [3]);
+  assert.deepEqual(err.checkpoint, { position: 3 });
+  assert.deepEqual(written, [0, 1, 2]);
+
+  docs[3].isFixed = true;
+  const result = await new BulkWriter(bulkWrite, { ordered: true, batchSize: 2 }).write(docs, { checkpoint: err.checkpoint });
+  assert.equal(result.insertedCount, 3);
+  assert.equal(result.insertedIds[3], "id-3");
+  assert.deepEqual(written, [0, 1, 2, 3, 4, 5]);
+});
+
+test("unordered writer goes on after a failed chunk and keeps the checkpoint before it", async ()=> {
+  const chunks = [];
+  const writer = new BulkWriter(async docs=> {
+    chunks.push(docs);
+    if (docs[0].n === 2) { throw new Error("connection-lost"); }
+    return getResult(docs);
+  }, { batchSize: 2, concurrency: 1 });
+
+  const err = await writer.write(getDocs(10)).catch(err=> err);
+  assert.equal(chunks.length, 5);
+  assert.deepEqual(err.chunkErrors.map(({ start, end, error })=> [start, end, error.message]), [[2, 4, "connection-lost"]]);
+  assert.deepEqual(err.checkpoint, { position: 2 });
+  assert.equal(err.result.insertedCount, 8);
+});
+
+test("unordered writer keeps the checkpoint before the first failed document of a chunk", async ()=> {
+  const writer = new BulkWriter(async docs=> {
+    const failed = docs.map((doc, index)=> [3, 5].includes(doc.n) ? index : -1).filter(index=> index >= 0);
+    if (!failed.length) { return getResult(docs); }
+
+    const errors = failed.map(index=> ({ index, code: 11000, message: "duplicate" }));
+    throw new BulkWriteError("bulk-write-failed", errors, getResult(docs.filter((doc, index)=> !failed.includes(index))));
+  }, { batchSize: 2, concurrency: 1 });
+
+  const progress = [], checkpoints = [];
+  writer.on("progress", ({ processed })=> progress.push(processed));
+  writer.on("checkpoint", ({ position })=> checkpoints.push(position));
+  const err = await writer.write(getDocs(8)).catch(err=> err);
+  assert.deepEqual(err.writeErrors.map(item=> item.index), [3, 5]);
+  assert.deepEqual(err.checkpoint, { position: 3 });
+  assert.deepEqual(checkpoints, [2, 3]);
+  assert.deepEqual(progress, [2, 4, 6, 8]);
+  assert.equal(err.result.insertedCount, 6);
+});
+
+test("a listener error does not fail the write", async ()=> {
+  const writer = new BulkWriter(async docs=> getResult(docs), { batchSize: 2 });
+  writer.on("progress", ()=> { throw new Error("listener"); });
+  writer.on("checkpoint", ()=> { throw new Error("listener"); });
+
+  const result = await writer.write(getDocs(4));
+  assert.equal(result.insertedCount, 4);
+});
+
+test("toolset bulkWriter writes the chunks by the bulk write methods of the instance", async t=> {
+  const client = mockClient(t, { products: getCollection({ bulkWrite: ops=> ({ insertedCount: ops.length, insertedIds: {} }) }) });
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setAudit();
+  const docs = getDocs(3);
+
+  const result = await products.bulkWriter("insertBulk", { ordered: true, batchSize: 2, actor: "ann" }).write(docs);
+  assert.equal(result.insertedCount, 3);
+  const { calls } = client.collections.products;
+  assert.deepEqual(calls.map(({ args })=> args[0].length), [2, 1]);
+  assert.equal(calls[0].args[0][0].insertOne.document.createdBy, "ann");
+  assert.equal(calls[0].args[1].ordered, true);
+  assert.deepEqual(docs[0], { n: 0 });
+  assert.throws(()=> products.bulkWriter("insertOne"), /invalid-bulk-writer-type/);
+});
+
+test("releases the documents of a chunk once it is written", async ()=> {
+  const writer = new BulkWriter(async docs=> getResult(docs), { batchSize: 2 });
+  const chunks = [];
+  const writeChunk = writer.writeChunk.bind(writer);
+  writer.writeChunk = (chunk, range, state)=> {
+    chunks.push(chunk);
+    return writeChunk(chunk, range, state);
+  };
+
+  await writer.write(getDocs(6));
+  assert.equal(chunks.length, 3);
+  assert.ok(chunks.every(chunk=> chunk.docs === null));
+});
\ No newline at end of file
@@ -0,0 +1,165 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ConnectionRegistry = require("../lib/connection-registry");
+const ChangeStreamWatcher = require("../lib/change-stream-watcher");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { getCollection } = require("./helpers");
+
+/**
+ * Fake change stream of the changes, which then waits until it is closed
+ * 
+ * @param {Array} changes Change events
+ * @returns {object} Change stream
+ */
+const getStream = changes=> {
+  let close;
+  const closed = new Promise(resolve=> { close = resolve; });
+  return {
+    close: async ()=> close(),
+    async *[Symbol.asyncIterator]() {
+      yield* changes;
+      await closed;
+    }
+  };
+}
+
+/**
+ * Mock the client of the watcher. Each watch call takes the next stream and is recorded in `watches` as `{ name, pipeline, options }`,
+ * the resume tokens are kept in `tokens` by `<collection>:<_id>`, and the operation time of the server is `ts0`
+ * 
+ * @param {object} t Test context
+ * @param {Array} streams Fake change streams
+ * @returns {object} `{ watches, tokens }`
+ */
+const mockWatchClient = (t, streams)=> {
+  const watches = [], tokens = new Map();
+  const collection = name=> getCollection({
+    watch: (pipeline, options)=> {
+      watches.push({ name, pipeline, options });
+      return streams.shift() || getStream([]);
+    },
+    findOne: async ({ _id })=> tokens.get(`${name}:${_id}`) || null,
+    updateOne: async ({ _id }, { $set })=> { tokens.set(`${name}:${_id}`, { _id, ...$set }); }
+  });
+  const db = {
+    collection,
+    watch: (pipeline, options)=> collection(undefined).watch(pipeline, options),
+    command: async ()=> ({ ok: 1, operationTime: "ts0" })
+  };
+  t.mock.method(ConnectionRegistry, "getClient", async ()=> ({ db: ()=> db }));
+  return { watches, tokens };
+}
+
+const waitFor = async condition=> {
+  for (let i = 0; i < 100 && !condition(); i++) { await new Promise(resolve=> setTimeout(resolve, 5)); }
+  assert.ok(condition());
+}
+
+test("handles the changes in order and saves the resume token after each", async t=> {
+  const { watches, tokens } = mockWatchClient(t, [getStream([{ _id: "t1", n: 1 }, { _id: "t2", n: 2 }])]);
+  const handled = [];
+  const orders = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop");
+  const watcher = orders.watch([{ $match: { operationType: "insert" }}], async change=> { handled.push(change.n); }, { resumeTokenCollection: "tokens", fullDocument: "updateLookup" });
+
+  await waitFor(()=> handled.length === 2);
+  await watcher.close();
+  assert.deepEqual(handled, [1, 2]);
+  assert.deepEqual(watches, [{ name: "orders", pipeline: [{ $match: { operationType: "insert" }}], options: { fullDocument: "updateLookup", startAtOperationTime: "ts0" }}]);
+  assert.equal(tokens.get("tokens:orders").token, "t2");
+});
+
+test("resumes after the saved token of the watcher", async t=> {
+  const { watches, tokens } = mockWatchClient(t, []);
+  tokens.set("tokens:order-sync", { token: "t9" });
+  const watcher = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").watch([], async ()=> {}, { resumeTokenCollection: "tokens", resumeTokenId: "order-sync" });
+
+  await waitFor(()=> watches.length === 1);
+  await watcher.close();
+  assert.deepEqual(watches[0].options, { resumeAfter: "t9" });
+});
+
+test("leaves the resume token collection out of a database stream", async t=> {
+  const { watches } = mockWatchClient(t, []);
+  const watcher = new ChangeStreamWatcher("mongodb://localhost:27017/shop", undefined, [{ $match: { operationType: "insert" }}], async ()=> {}, { resumeTokenCollection: "tokens" });
+
+  await waitFor(()=> watches.length === 1);
+  await watcher.close();
+  assert.deepEqual(watches[0].pipeline, [{ $match: { "ns.coll": { $ne: "tokens" }}}, { $match: { operationType: "insert" }}]);
+  assert.throws(()=> new ChangeStreamWatcher("mongodb://localhost:27017/shop", "orders", [], async ()=> {}, { resumeTokenCollection: "orders" }), /invalid-resume-token-collection/);
+});
+
+test("reopens the stream from the last token after a handler error", async t=> {
+  const { watches } = mockWatchClient(t, [getStream([{ _id: "t1", n: 1 }, { _id: "t2", n: 2 }]), getStream([{ _id: "t2", n: 2 }])]);
+  const handled = [], errors = [];
+  const watcher = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").watch([], async change=> {
+    if (change.n === 2 && !handled.includes("failed")) {
+      handled.push("failed");
+      throw new Error("handler-failed");
+    }
+    handled.push(change.n);
+  }, { retryDelayMS: 1, onError: err=> errors.push(err.message) });
+
+  await waitFor(()=> handled.length === 3);
+  await watcher.close();
+  assert.deepEqual(handled, [1, "failed", 2]);
+  assert.deepEqual(errors, ["handler-failed"]);
+  assert.deepEqual(watches[1].options, { resumeAfter: "t1" });
+});
+
+test("reopens the stream at the operation time of the first open if no change is handled yet", async t=> {
+  const { watches } = mockWatchClient(t, [getStream([{ _id: "t1", n: 1 }]), getStream([{ _id: "t1", n: 1 }])]);
+  const handled = [];
+  const watcher = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").watch([], async change=> {
+    if (!handled.length) {
+      handled.push("failed");
+      throw new Error("handler-failed");
+    }
+    handled.push(change.n);
+  }, { retryDelayMS: 1 });
+
+  await waitFor(()=> handled.length === 2);
+  await watcher.close();
+  assert.deepEqual(handled, ["failed", 1]);
+  assert.deepEqual(watches.map(({ options })=> options), [{ startAtOperationTime: "ts0" }, { startAtOperationTime: "ts0" }]);
+
+  const started = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").watch([], async ()=> {}, { startAtOperationTime: "ts5" });
+  await waitFor(()=> watches.length === 3);
+  await started.close();
+  assert.deepEqual(watches[2].options, { startAtOperationTime: "ts5" });
+});
+
+test("stops on invalidate", async t=> {
+  mockWatchClient(t, [getStream([{ _id: "t1", operationType: "invalidate" }])]);
+  const errors = [];
+  const watcher = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").watch([], async ()=> {}, { onError: err=> errors.push(err.message) });
+
+  await watcher.done;
+  assert.equal(watcher.isClosed, true);
+  assert.deepEqual(errors, ["change-stream-invalidated"]);
+  assert.throws(()=> new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").watch([]), /invalid-watch-handler/);
+});
+
+test("an onError which throws or rejects does not stop the watcher", async t=> {
+  const { watches } = mockWatchClient(t, [getStream([{ _id: "t1", n: 1 }]), getStream([{ _id: "t1", n: 1 }]), getStream([{ _id: "t1", n: 1 }])]);
+  const errors = [];
+  let unhandled;
+  const onUnhandled = err=> { unhandled = err; };
+  process.on("unhandledRejection", onUnhandled);
+  t.after(()=> process.off("unhandledRejection", onUnhandled));
+
+  const watcher = new ChangeStreamWatcher("mongodb://localhost:27017/shop", "orders", [], async ()=> {
+    if (errors.length < 2) { throw new Error("handler-failed"); }
+  }, { retryDelayMS: 1, onError: err=> {
+    errors.push(err.message);
+    if (errors.length === 1) { throw new Error("on-error-failed"); }
+    return Promise.reject(new Error("on-error-rejected"));
+  }});
+
+  await waitFor(()=> watches.length === 3);
+  await watcher.close();
+  await new Promise(resolve=> setImmediate(resolve));
+  assert.deepEqual(errors, ["handler-failed", "handler-failed"]);
+  assert.equal(unhandled, undefined);
+});
\ No newline at end of file
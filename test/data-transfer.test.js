@@ -0,0 +1,153 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId, Decimal128, Long, MongoBulkWriteError } = require("mongodb");
+const DataTransfer = require("../lib/data-transfer");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { getCollection, mockClient } = require("./helpers");
+
+const connString = "mongodb://localhost:27017/shop";
+
+/**
+ * Parse a source and collect the items, errors as their message
+ * 
+ * @param {string|Array} source Text or chunks
+ * @param {object} [options] Parse options
+ * @returns {Promise<Array>} Items `{ line, doc }` or `{ line, error }`
+ */
+const parse = async (source, options)=> {
+  const items = [];
+  for await (const item of DataTransfer.parse(source, options)) { items.push(item.error ? { line: item.line, error: item.error.message } : item); }
+  return items;
+}
+
+/**
+ * Format documents and join the chunks
+ * 
+ * @param {Array} docs Documents
+ * @param {object} [options] Format options
+ * @returns {Promise<string>} Text
+ */
+const format = async (docs, options)=> {
+  let text = "";
+  for await (const chunk of DataTransfer.format(docs, options)) { text += chunk; }
+  return text;
+}
+
+/**
+ * Split a text into Buffer chunks of a few bytes, so values and multi-byte characters are split across chunks
+ * 
+ * @param {string} text Text
+ * @param {number} [size=3] Chunk size in bytes
+ * @returns {Array} Buffers
+ */
+const getChunks = (text, size = 3)=> {
+  const buffer = Buffer.from(text);
+  return Array.from({ length: Math.ceil(buffer.length / size) }, (value, i)=> buffer.subarray(i * size, (i + 1) * size));
+}
+
+test("parses NDJSON line by line and reports a broken line", async ()=> {
+  const id = new ObjectId();
+  const text = `﻿{"_id":{"$oid":"${id}"},"name":"café"}\r\n\n{"broken"\n{"n":{"$numberLong":"5"}}`;
+  const items = await parse(getChunks(text));
+  assert.deepEqual(items.map(item=> item.line), [1, 3, 4]);
+  assert.ok(items[0].doc._id.equals(id));
+  assert.equal(items[0].doc.name, "café");
+  assert.ok(items[1].error);
+  assert.ok(items[2].doc.n instanceof Long);
+});
+
+test("parses CSV with quoted values, line breaks, field mapping and types", async ()=> {
+  const text = "sku,name,price,tags,ignored\nA-1,\"Chair, \"\"red\"\"\",12.5,\"[\"\"a\"\"]\",x\n\nA-2,\"Two\nlines\",abc,,y\n";
+  const items = await parse(getChunks(text, 4), {
+    format: "csv",
+    fields: { sku: "_id", name: "info.name", price: "price", tags: "tags" },
+    types: { price: "decimal", tags: "json" },
+    ignoreBlanks: true
+  });
+  assert.equal(items.length, 2);
+  assert.equal(items[0].line, 2);
+  assert.deepEqual(items[0].doc.info, { name: "Chair, \"red\"" });
+  assert.ok(items[0].doc.price instanceof Decimal128);
+  assert.deepEqual(items[0].doc.tags, ["a"]);
+  assert.deepEqual(items[1], { line: 4, error: "invalid-decimal-value: price" });
+});
+
+test("parses CSV without a header row by the columns option", async ()=> {
+  const items = await parse("1,yes\n2,no", { format: "csv", header: false, columns: ["n", "isActive"], types: { n: "int", isActive: "boolean" }});
+  assert.deepEqual(items, [{ line: 1, doc: { n: 1, isActive: true }}, { line: 2, doc: { n: 2, isActive: false }}]);
+  await assert.rejects(parse("1", { format: "csv", header: false }), /missing-csv-columns/);
+});
+
+test("parses an Extended JSON array document by document across chunks", async ()=> {
+  const text = `[\n{"a":"x, ]} \\" y","b":["1",{"c":["2"]}]},\n{"n":{"$numberDecimal":"1.5"}},\n{"broken":},\n"five",\n{"d":{"$date":{"$numberLong":"0"}}}\n]\n`;
+  const items = await parse(getChunks(text, 2), { format: "ejson" });
+  assert.deepEqual(items.map(item=> item.line), [1, 2, 3, 4, 5]);
+  assert.deepEqual(items[0].doc, { a: "x, ]} \" y", b: ["1", { c: ["2"] }] });
+  assert.ok(items[1].doc.n instanceof Decimal128);
+  assert.ok(items[2].error);
+  assert.equal(items[3].error, "invalid-import-document");
+  assert.equal(items[4].doc.d.getTime(), 0);
+});
+
+test("parses an empty array, a single document and reports a broken array", async ()=> {
+  assert.deepEqual(await parse(" [ ] ", { format: "ejson" }), []);
+  assert.deepEqual(await parse("{\"a\":\"1\"}", { format: "ejson" }), [{ line: 1, doc: { a: "1" }}]);
+  assert.deepEqual(await parse("[{\"a\":\"1\"},{\"a\":\"2\"}", { format: "ejson" }), [{ line: 1, doc: { a: "1" }}, { line: 2, doc: { a: "2" }}, { line: 3, error: "invalid-ejson-array" }]);
+  assert.deepEqual(await parse("[{\"a\":\"1\"}] x", { format: "ejson" }), [{ line: 1, doc: { a: "1" }}, { line: 2, error: "invalid-ejson-array" }]);
+  assert.deepEqual(await parse("[{\"a\":\"1\"},]", { format: "ejson" }), [{ line: 1, doc: { a: "1" }}, { line: 2, error: "Unexpected end of JSON input" }]);
+});
+
+test("formats documents which parse back to the same values", async ()=> {
+  const docs = [{ _id: new ObjectId(), price: Decimal128.fromString("9.99"), at: new Date(0), info: { name: "a,b" }}];
+  for (const type of ["ndjson", "ejson"]) {
+    const [{ doc }] = await parse(await format(docs, { format: type }), { format: type });
+    assert.ok(doc._id.equals(docs[0]._id));
+    assert.equal(doc.price.toString(), "9.99");
+    assert.deepEqual(doc.info, { name: "a,b" });
+  }
+
+  const csv = await format(docs, { format: "csv", fields: { id: "_id", name: "info.name", price: "price" }});
+  assert.equal(csv, `id,name,price\n${docs[0]._id},"a,b",9.99\n`);
+  assert.deepEqual(DataTransfer.getProjection({ id: "_id", name: "info.name" }), { _id: 1, "info.name": 1 });
+});
+
+test("export streams the documents of the filter in the format", async t=> {
+  const client = mockClient(t, { products: getCollection({ find: [{ _id: 1, info: { name: "Chair" }, price: 5 }, { _id: 2, info: { name: "Desk" }, price: 9 }] }) });
+  const products = new MongoDBToolSet("products", connString);
+
+  let text = "";
+  for await (const chunk of products.export({ price: { $gt: 1 }}, { format: "csv", fields: { id: "_id", name: "info.name" }, sort: { _id: 1 }})) { text += chunk; }
+  assert.equal(text, "id,name\n1,Chair\n2,Desk\n");
+  const [{ args }] = client.collections.products.calls;
+  assert.deepEqual(args[0], { price: { $gt: 1 }});
+  assert.deepEqual(args[1].projection, { _id: 1, "info.name": 1 });
+});
+
+test("import writes the parsed documents by mode and reports the failed lines", async t=> {
+  const bulkWrite = async ops=> {
+    const index = ops.findIndex(op=> op.insertOne && op.insertOne.document.sku === "dup");
+    if (index < 0) {
+      return { insertedCount: ops.filter(op=> op.insertOne).length, matchedCount: 0, modifiedCount: 0, upsertedCount: ops.filter(op=> !op.insertOne).length };
+    }
+    throw new MongoBulkWriteError({ message: "E11000", code: 11000, writeErrors: [{ index, code: 11000, errmsg: "E11000", getOperation: ()=> ops[index].insertOne.document }] }, { insertedCount: ops.length - 1, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 });
+  };
+  const client = mockClient(t, { products: getCollection({ bulkWrite }) });
+  const products = new MongoDBToolSet("products", connString);
+
+  const inserted = await products.import("{\"sku\":\"a\"}\n{\"sku\"\n{\"sku\":\"dup\"}\n{\"sku\":\"b\"}");
+  assert.deepEqual(inserted, {
+    processed: 4, insertedCount: 2, matchedCount: 0, modifiedCount: 0, upsertedCount: 0,
+    errors: [inserted.errors[0], { line: 3, code: 11000, message: "E11000" }]
+  });
+  assert.equal(inserted.errors[0].line, 2);
+
+  const merged = await products.import("sku,price\na,5\n,6", { format: "csv", mode: "merge", upsertFields: ["sku"], types: { price: "int" }, ignoreBlanks: true });
+  assert.deepEqual(merged.errors, [{ line: 3, message: "missing-upsert-field: sku" }]);
+  assert.equal(merged.upsertedCount, 1);
+  const { args } = client.collections.products.calls.at(-1);
+  assert.deepEqual(args[0], [{ updateOne: { filter: { sku: "a" }, update: { $set: { sku: "a", price: 5 }}, upsert: true }}]);
+
+  await assert.rejects(products.import("", { mode: "delete" }), /invalid-import-mode/);
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MongoServerError, MongoNetworkError, MongoNetworkTimeoutError, MongoServerSelectionError, MongoBulkWriteError } = require("mongodb");
+const MongoDBOps = require("../lib/mongodb-ops");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { MongoDBOpsError, DuplicateKeyError, ValidationError, ConnectionError, TimeoutError, BulkWriteError, VersionConflictError, wrapError } = require("../lib/errors");
+const { getCollection, mockClient } = require("./helpers");
+
+test("wrapError converts driver errors to the error class of their kind", ()=> {
+  const duplicate = wrapError(new MongoServerError({ message: "E11000 duplicate key error collection: db.users index: email_1 dup key", code: 11000, keyValue: { email: "a" }}));
+  assert.ok(duplicate instanceof DuplicateKeyError);
+  assert.equal(duplicate.indexName, "email_1");
+  assert.deepEqual(duplicate.keyValue, { email: "a" });
+  assert.equal(duplicate.code, 11000);
+
+  assert.ok(wrapError(new MongoServerError({ message: "Document failed validation", code: 121 })) instanceof ValidationError);
+  assert.ok(wrapError(new MongoServerError({ message: "operation exceeded time limit", code: 50 })) instanceof TimeoutError);
+  assert.ok(wrapError(new MongoNetworkTimeoutError("timed out")) instanceof TimeoutError);
+  assert.ok(wrapError(new MongoNetworkError("closed")) instanceof ConnectionError);
+  assert.ok(wrapError(new MongoServerSelectionError("no server", {})) instanceof ConnectionError);
+});
+
+test("wrapError keeps the driver error as cause with its labels", ()=> {
+  const driverError = new MongoServerError({ message: "write conflict", code: 112, codeName: "WriteConflict", errorLabels: ["TransientTransactionError"] });
+  const err = wrapError(driverError);
+
+  assert.equal(err.constructor, MongoDBOpsError);
+  assert.equal(err.cause, driverError);
+  assert.equal(err.codeName, "WriteConflict");
+  assert.ok(err.hasErrorLabel("TransientTransactionError"));
+});
+
+test("wrapError returns other errors as they are", ()=> {
+  const err = new Error("invalid-pagination-limit");
+  assert.equal(wrapError(err), err);
+
+  const wrapped = new TimeoutError("timeout");
+  assert.equal(wrapError(wrapped), wrapped);
+});
+
+test("wrapError does not depend on MongoOperationTimeoutError of the driver", ()=> {
+  const mongodb = require("mongodb");
+  const errorsPath = require.resolve("../lib/errors");
+  const descriptor = Object.getOwnPropertyDescriptor(mongodb, "MongoOperationTimeoutError");
+  delete require.cache[errorsPath];
+  Object.defineProperty(mongodb, "MongoOperationTimeoutError", { value: undefined, configurable: true, enumerable: true });
+  try {
+    const errors = require("../lib/errors");
+    const err = errors.wrapError(new MongoServerError({ message: "not primary", code: 10107 }));
+    assert.ok(err instanceof errors.MongoDBOpsError);
+  }
+  finally {
+    if (descriptor) { Object.defineProperty(mongodb, "MongoOperationTimeoutError", descriptor); }
+    else { delete mongodb.MongoOperationTimeoutError; }
+    delete require.cache[errorsPath];
+  }
+});
+
+test("writes reject typed errors, and bulk writes keep the partial result", async t=> {
+  const duplicate = new MongoServerError({ message: "E11000 duplicate key error collection: shop.users index: email_1 dup key", code: 11000 });
+  const bulkError = new MongoBulkWriteError({ message: "E11000 duplicate key error", code: 11000, writeErrors: [{ index: 1, code: 11000, errmsg: "E11000", getOperation: ()=> ({ email: "a" }) }] }, { insertedCount: 1 });
+  mockClient(t, { users: getCollection({ insertOne: async ()=> { throw duplicate; }, bulkWrite: async ()=> { throw bulkError; }}) });
+
+  await assert.rejects(MongoDBOps.writeData("insertOne", "users", { email: "a" }, undefined, "mongodb://localhost:27017/shop"), err=> {
+    assert.ok(err instanceof DuplicateKeyError);
+    assert.equal(err.cause, duplicate);
+    return true;
+  });
+  await assert.rejects(MongoDBToolSet.insertBulkUnOrdered("users", [{ email: "a" }, { email: "a" }], "mongodb://localhost:27017/shop"), err=> {
+    assert.ok(err instanceof BulkWriteError);
+    assert.deepEqual(err.writeErrors, [{ index: 1, code: 11000, message: "E11000", op: { email: "a" }}]);
+    assert.equal(err.result.insertedCount, 1);
+    return true;
+  });
+});
+
+test("toolset validation and version conflicts reject typed errors", async t=> {
+  mockClient(t, { products: getCollection({ updateOne: { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null }}) });
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setSchema({ required: ["name"] }).setVersioning();
+
+  await assert.rejects(products.insertOne({}), err=> err instanceof ValidationError && err.errors[0].keyword === "required");
+  await assert.rejects(products.updateOne({ $set: { name: "Ink" }}, { _id: 1 }, { expectedVersion: 2 }), err=> {
+    assert.ok(err instanceof VersionConflictError && err instanceof MongoDBOpsError);
+    assert.deepEqual(err.conflicts, [{ index: 0, filter: { _id: 1 }, expectedVersion: 2 }]);
+    return true;
+  });
+});
\ No newline at end of file
@@ -0,0 +1,155 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const FieldEncryption = require("../lib/field-encryption");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { getCollection, mockClient } = require("./helpers");
+
+const key1 = crypto.randomBytes(32), key2 = crypto.randomBytes(32).toString("base64");
+
+/**
+ * Field encryption of the test fields with the first key
+ * 
+ * @param {object} [obj] Options which replace the defaults
+ * @returns {FieldEncryption}
+ */
+const getEncryption = (obj = {})=> new FieldEncryption({ fields: { email: "deterministic", "profile.ssn": "random", "addresses.phone": "deterministic" }, keys: { k1: key1 }, ...obj })
+
+test("encryptDoc encrypts the fields and decrypt restores them", ()=> {
+  const encryption = getEncryption();
+  const doc = { _id: 1, email: "a@example.com", profile: { ssn: "123", name: "A" }, age: 30 };
+  const encrypted = encryption.encryptDoc(doc);
+
+  assert.ok(encryption.isEncrypted(encrypted.email));
+  assert.ok(encryption.isEncrypted(encrypted.profile.ssn));
+  assert.equal(encrypted.profile.name, "A");
+  assert.equal(doc.email, "a@example.com");
+  assert.deepEqual(encryption.decrypt(encrypted), doc);
+});
+
+test("encryptDoc encrypts the fields of the embedded documents of arrays", ()=> {
+  const encryption = getEncryption();
+  const encrypted = encryption.encryptDoc({ addresses: [{ phone: "555-1234", city: "X" }, { city: "Y" }, "note"] });
+
+  assert.ok(encryption.isEncrypted(encrypted.addresses[0].phone));
+  assert.equal(encrypted.addresses[0].city, "X");
+  assert.deepEqual(encrypted.addresses.slice(1), [{ city: "Y" }, "note"]);
+  assert.deepEqual(encryption.decrypt(encrypted), { addresses: [{ phone: "555-1234", city: "X" }, { city: "Y" }, "note"] });
+});
+
+test("deterministic mode gives the same ciphertext and random mode does not", ()=> {
+  const encryption = getEncryption();
+  const [a, b] = [1, 2].map(()=> encryption.encryptDoc({ email: "a@example.com", profile: { ssn: "123" }}));
+
+  assert.deepEqual(a.email.buffer, b.email.buffer);
+  assert.notDeepEqual(a.profile.ssn.buffer, b.profile.ssn.buffer);
+});
+
+test("encryptUpdate encrypts $set of fields, parents, array indexes and positional operators", ()=> {
+  const encryption = getEncryption();
+  const update = encryption.encryptUpdate({
+    $set: { email: "b@example.com", profile: { ssn: "456" }, "addresses.0.phone": "555", "addresses.$[].phone": "556", "addresses.$[item].phone": "557", "addresses.$": { phone: "558" }},
+    $setOnInsert: { addresses: [{ phone: "559" }] },
+    $unset: { "profile.ssn": "" },
+    $inc: { age: 1 }
+  });
+
+  for (const field of ["email", "addresses.0.phone", "addresses.$[].phone", "addresses.$[item].phone"]) { assert.ok(encryption.isEncrypted(update.$set[field]), field); }
+  assert.ok(encryption.isEncrypted(update.$set.profile.ssn));
+  assert.ok(encryption.isEncrypted(update.$set["addresses.$"].phone));
+  assert.ok(encryption.isEncrypted(update.$setOnInsert.addresses[0].phone));
+  assert.deepEqual(update.$unset, { "profile.ssn": "" });
+  assert.equal(encryption.decrypt(update.$set["addresses.0.phone"]), "555");
+  assert.deepEqual(update.$set["addresses.0.phone"].buffer, encryption.encryptDoc({ addresses: [{ phone: "555" }] }).addresses[0].phone.buffer);
+});
+
+test("encryptUpdate rejects the updates which cannot be encrypted", ()=> {
+  const encryption = getEncryption();
+  const updates = [
+    { $inc: { email: 1 }},
+    { $push: { addresses: { phone: "555" }}},
+    { $set: { "profile.ssn.last4": "1234" }},
+    { $rename: { other: "email" }},
+    [{ $set: { "addresses.phone": "555" }}],
+    [{ $replaceWith: { email: "a" }}]
+  ];
+  for (const update of updates) { assert.throws(()=> encryption.encryptUpdate(update), /unsupported-encrypted-update/, JSON.stringify(update)); }
+});
+
+test("encryptFilter matches deterministic fields by the ciphertexts of all keys", ()=> {
+  const old = getEncryption();
+  const encryption = getEncryption({ keys: { k1: key1, k2: key2 }, keyId: "k2" });
+  const stored = old.encryptDoc({ email: "a@example.com" }).email;
+  const filter = encryption.encryptFilter({ $or: [{ email: "a@example.com" }, { "addresses.0.phone": { $in: ["555"] }}], age: { $gt: 1 }});
+
+  assert.equal(filter.$or[0].email.$in.length, 2);
+  assert.ok(filter.$or[0].email.$in.some(value=> Buffer.compare(Buffer.from(value.buffer), Buffer.from(stored.buffer)) === 0));
+  assert.equal(filter.$or[1]["addresses.0.phone"].$in.length, 2);
+  assert.deepEqual(filter.age, { $gt: 1 });
+});
+
+test("encryptFilter rejects the conditions which cannot be encrypted", ()=> {
+  const encryption = getEncryption();
+  for (const filter of [{ "profile.ssn": "123" }, { email: /a/ }, { email: { $gt: "a" }}, { profile: { ssn: "123" }}]) {
+    assert.throws(()=> encryption.encryptFilter(filter), /unsupported-encrypted-filter/, JSON.stringify(filter));
+  }
+  assert.deepEqual(encryption.encryptFilter({ "profile.ssn": { $exists: true }}), { "profile.ssn": { $exists: true }});
+});
+
+test("reencryptDoc rotates values of other keys and plaintext values, in arrays included", ()=> {
+  const old = getEncryption();
+  const encryption = getEncryption({ keys: { k1: key1, k2: key2 }, keyId: "k2" });
+  const doc = { ...old.encryptDoc({ email: "a@example.com", addresses: [{ phone: "555" }] }), profile: { ssn: "123" }, age: 30 };
+  const rotated = encryption.reencryptDoc(doc);
+
+  assert.equal(encryption.getKeyId(rotated.email), "k2");
+  assert.equal(encryption.getKeyId(rotated.addresses[0].phone), "k2");
+  assert.equal(encryption.getKeyId(rotated.profile.ssn), "k2");
+  assert.equal(rotated.age, doc.age);
+  assert.deepEqual(encryption.decrypt(rotated), { email: "a@example.com", addresses: [{ phone: "555" }], profile: { ssn: "123" }, age: 30 });
+  assert.equal(encryption.reencryptDoc(rotated), rotated);
+});
+
+test("decrypt fails for a tampered value or a missing key", ()=> {
+  const encryption = getEncryption();
+  const { email } = encryption.encryptDoc({ email: "a@example.com" });
+  const other = new FieldEncryption({ fields: ["email"], keys: { k9: key1 }});
+
+  assert.throws(()=> other.decrypt(email), /unknown-encryption-key: k1/);
+  const tampered = Buffer.from(email.buffer);
+  tampered[tampered.length - 1] ^= 1;
+  assert.throws(()=> encryption.decrypt(new email.constructor(tampered, 0x80)), /decryption-failed/);
+});
+
+test("constructor checks the fields and keys", ()=> {
+  assert.throws(()=> new FieldEncryption({ fields: { a: "other" }, keys: { k1: key1 }}), /invalid-encrypted-fields/);
+  assert.throws(()=> new FieldEncryption({ fields: ["a", "a.b"], keys: { k1: key1 }}), /invalid-encrypted-fields/);
+  assert.throws(()=> new FieldEncryption({ fields: ["a"] }), /missing-encryption-key/);
+  assert.throws(()=> new FieldEncryption({ fields: ["a"], keys: { k1: key1, k2: key2 }}), /missing-encryption-key-id/);
+  assert.throws(()=> new FieldEncryption({ fields: ["a"], keys: { k1: Buffer.alloc(16) }}), /invalid-encryption-key: k1/);
+});
+
+test("toolset writes encrypt the fields, reads decrypt them and rotateEncryptionKey re-encrypts with the current key", async t=> {
+  const old = getEncryption();
+  const stored = [{ _id: 1, ...old.encryptDoc({ email: "a@example.com", profile: { ssn: "123", name: "A" }})}, { _id: 2, email: "b@example.com" }];
+  const client = mockClient(t, { users: getCollection({ find: stored, bulkWrite: { modifiedCount: 2 }}) });
+  const users = new MongoDBToolSet("users", "mongodb://localhost:27017/shop")
+    .setEncryption({ fields: { email: "deterministic", "profile.ssn": "random" }, keys: { k1: key1, k2: key2 }, keyId: "k2" });
+
+  await users.insertOne({ email: "c@example.com", profile: { name: "C" }});
+  assert.deepEqual(await users.find({ email: "a@example.com" }), [{ _id: 1, email: "a@example.com", profile: { ssn: "123", name: "A" }}, { _id: 2, email: "b@example.com" }]);
+  assert.deepEqual(await users.rotateEncryptionKey(), { scanned: 2, rotated: 2 });
+
+  const [insertOne, find, iterate, bulkWrite] = client.collections.users.calls;
+  assert.equal(users.encryption.getKeyId(insertOne.args[0].email), "k2");
+  assert.deepEqual(insertOne.args[0].profile, { name: "C" });
+  assert.equal(find.args[0].email.$in.length, 2);
+  assert.deepEqual(iterate.args[1].projection, { email: 1, profile: 1 });
+  const [first, second] = bulkWrite.args[0].map(op=> op.updateOne);
+  assert.deepEqual(Object.keys(first.update.$set), ["email", "profile"]);
+  assert.equal(first.filter.email, stored[0].email);
+  assert.equal(users.encryption.decrypt(second.update.$set.email), "b@example.com");
+  await assert.rejects(users.setEncryption(false).rotateEncryptionKey(), /encryption-not-enabled/);
+});
\ No newline at end of file
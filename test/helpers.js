@@ -0,0 +1,117 @@
+"use strict";
+
+const MongoDBOps = require("../lib/mongodb-ops");
+
+const CURSOR_METHODS = ["find", "aggregate", "listIndexes", "listCollections"];
+
+/**
+ * Fake find or aggregate cursor of the documents. Each read gets copies of the documents as the driver does, and the chained
+ * cursor methods record their values in `cursor.options`
+ * 
+ * @param {Array} docs Documents
+ * @returns {object} Cursor
+ */
+const getCursor = (docs = [])=> {
+  const copy = ()=> docs.map(doc=> doc && doc.constructor === Object ? { ...doc } : doc);
+  const cursor = {
+    options: {},
+    isClosed: false,
+    toArray: async ()=> copy(),
+    explain: async verbosity=> ({ verbosity }),
+    close: async ()=> { cursor.isClosed = true; },
+    async *[Symbol.asyncIterator]() { yield* copy(); }
+  };
+  for (const method of ["sort", "skip", "limit", "collation", "project"]) {
+    cursor[method] = value=> {
+      cursor.options[method] = value;
+      return cursor;
+    };
+  }
+  return cursor;
+}
+
+/**
+ * Fake collection which records the calls of its methods in `calls` as `{ method, args }`. A method returns `results[method]`,
+ * called with the arguments if it is a function. The cursor methods return a fake cursor of the `results[method]` documents
+ * 
+ * @param {object} [results] Results by method name
+ * @returns {object} Collection
+ */
+const getCollection = (results = {})=> {
+  const calls = [];
+  return new Proxy({ calls }, {
+    get: (target, method)=> {
+      if (method in target || typeof method !== "string" || method === "then") { return target[method]; }
+
+      return (...args)=> {
+        calls.push({ method, args });
+        const result = results[method];
+        if (typeof result === "function") { return result(...args); }
+        return CURSOR_METHODS.includes(method) ? getCursor(result) : Promise.resolve(result);
+      };
+    }
+  });
+}
+
+/**
+ * Fake client session. withTransaction runs the callback once with the transaction options in `transactionOptions`
+ * 
+ * @returns {object} Session
+ */
+const getSession = ()=> {
+  const session = {
+    isActive: false,
+    isEnded: false,
+    inTransaction: ()=> session.isActive,
+    withTransaction: async (fn, options)=> {
+      session.transactionOptions = options;
+      session.isActive = true;
+      try { return await fn(); }
+      finally { session.isActive = false; }
+    },
+    endSession: async ()=> { session.isEnded = true; }
+  };
+  return session;
+}
+
+/**
+ * Mock the db client of MongoDBOps by a fake client. Collections which are not provided are created by getCollection
+ * 
+ * @param {object} t Test context
+ * @param {object} [collections] Fake collections by name
+ * @returns {object} Client `{ collections, collectionOptions, commands, dbNames, sessions }` where dbNames are the database names of the db calls,
+ * commands are the `{ command, options }` of the command calls
+ * and collectionOptions are the options of listCollections results by collection name
+ */
+const mockClient = (t, collections = {})=> {
+  const client = {
+    collections,
+    collectionOptions: {},
+    commands: [],
+    dbNames: [],
+    sessions: [],
+    db: name=> {
+      client.dbNames.push(name);
+      return {
+        collection: collectionName=> collections[collectionName] || (collections[collectionName] = getCollection()),
+        listCollections: (filter = {})=> getCursor(Object.keys(collections)
+          .filter(collectionName=> !filter.name || filter.name === collectionName)
+          .map(collectionName=> ({ name: collectionName, type: "collection", options: client.collectionOptions[collectionName] || {} }))),
+        command: async (command, options)=> {
+          client.commands.push({ command, options });
+          return { ok: 1 };
+        },
+        admin: ()=> ({ listDatabases: async options=> ({ databases: [{ name: "shop", options }] }) })
+      };
+    },
+    startSession: ()=> {
+      const session = getSession();
+      client.sessions.push(session);
+      return session;
+    }
+  };
+  t.mock.method(MongoDBOps, "getDbClient", async ()=> client);
+  return client;
+}
+
+module.exports = { getCursor, getCollection, getSession, mockClient };
\ No newline at end of file
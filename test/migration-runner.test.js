@@ -0,0 +1,127 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MongoServerError } = require("mongodb");
+const MigrationRunner = require("../lib/migration-runner");
+const { getCursor, getCollection, mockClient } = require("./helpers");
+
+const connString = "mongodb://localhost:27017/shop";
+
+/**
+ * Fake migrations collection of the documents. The lock upsert fails on the duplicate _id while another owner holds an unexpired lock
+ * 
+ * @param {Array} [docs] Documents, changed by the writes
+ * @returns {object} Collection
+ */
+const getMigrationCollection = (docs = [])=> getCollection({
+  find: ()=> getCursor(docs.filter(doc=> doc._id !== "_lock")),
+  updateOne: async (filter, update)=> {
+    const lock = docs.find(doc=> doc._id === "_lock");
+    if (lock && lock.owner !== filter.$or[0].owner && lock.expiresAt > filter.$or[1].expiresAt.$lte) {
+      throw new MongoServerError({ message: "E11000 duplicate key error collection: shop._migrations index: _id_ dup key", code: 11000 });
+    }
+    if (lock) { Object.assign(lock, update.$set); }
+    else { docs.push({ _id: "_lock", ...update.$set }); }
+    return { matchedCount: lock ? 1 : 0, upsertedCount: lock ? 0 : 1 };
+  },
+  insertOne: async doc=> {
+    docs.push(doc);
+    return { insertedId: doc._id };
+  },
+  deleteOne: async filter=> {
+    const index = docs.findIndex(doc=> doc._id === filter._id && (!filter.owner || doc.owner === filter.owner));
+    if (index >= 0) { docs.splice(index, 1); }
+    return { deletedCount: index < 0 ? 0 : 1 };
+  }
+})
+
+/**
+ * Migration which records its runs
+ * 
+ * @param {string} name Migration name
+ * @param {Array} runs Runs `[direction, name]`
+ * @returns {object} Migration
+ */
+const getMigration = (name, runs)=> ({
+  name,
+  up: async ()=> { runs.push(["up", name]); },
+  down: async ()=> { runs.push(["down", name]); }
+})
+
+test("up applies the pending migrations in name order and down reverts them in reverse order", async t=> {
+  const docs = [];
+  mockClient(t, { _migrations: getMigrationCollection(docs) });
+  const runs = [];
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  t.after(()=> fs.rmSync(directory, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(directory, "002-b.js"), "module.exports = { up: async ()=> {}, down: async ()=> {} };");
+  fs.writeFileSync(path.join(directory, "notes.md"), "");
+
+  const runner = new MigrationRunner(connString, { directory, migrations: [getMigration("003-c", runs), getMigration("001-a", runs)] });
+  assert.deepEqual(await runner.up({ to: "002-b" }), ["001-a", "002-b"]);
+  assert.deepEqual(await runner.up(), ["003-c"]);
+  assert.deepEqual(await runner.up(), []);
+  assert.deepEqual((await runner.status()).map(({ name, isApplied })=> [name, isApplied]), [["001-a", true], ["002-b", true], ["003-c", true]]);
+
+  assert.deepEqual(await runner.down(), ["003-c"]);
+  assert.deepEqual(await runner.down({ all: true }), ["002-b", "001-a"]);
+  assert.deepEqual(runs, [["up", "001-a"], ["up", "003-c"], ["down", "003-c"], ["down", "001-a"]]);
+  assert.deepEqual(docs, []);
+  await assert.rejects(runner.up({ to: "004-d" }), /unknown-migration: 004-d/);
+  assert.throws(()=> new MigrationRunner(connString), /missing-migrations/);
+});
+
+test("a run is rejected while another owner holds the lock and takes over an expired lock", async t=> {
+  const lock = { _id: "_lock", owner: "other", lockedAt: new Date(), expiresAt: new Date(Date.now() + 60000) };
+  const docs = [lock];
+  mockClient(t, { _migrations: getMigrationCollection(docs) });
+  const runs = [];
+  const runner = new MigrationRunner(connString, { migrations: [getMigration("001-a", runs)] });
+
+  await assert.rejects(runner.up(), /migration-locked/);
+  assert.deepEqual(runs, []);
+  assert.equal(docs[0].owner, "other");
+
+  lock.expiresAt = new Date(Date.now() - 1);
+  assert.deepEqual(await runner.up(), ["001-a"]);
+  assert.deepEqual(docs.map(doc=> doc._id), ["001-a"]);
+});
+
+test("transaction mode runs each migration and its record in a session", async t=> {
+  const docs = [];
+  const client = mockClient(t, { _migrations: getMigrationCollection(docs) });
+  const sessions = [];
+  const migration = name=> ({ name, up: async ({ session, options })=> { sessions.push([name, session, options.session]); } });
+  const concerns = { readConcern: { level: "majority" }, writeConcern: { w: "majority" }};
+  const runner = new MigrationRunner(connString, { transaction: true, migrations: [migration("001-a"), { ...migration("002-b"), transaction: false }] }, concerns);
+
+  await runner.up();
+  assert.equal(client.sessions.length, 1);
+  assert.deepEqual(client.sessions[0].transactionOptions, concerns);
+  assert.deepEqual(sessions, [["001-a", client.sessions[0], client.sessions[0]], ["002-b", undefined, undefined]]);
+  const inserts = client.collections._migrations.calls.filter(({ method })=> method === "insertOne");
+  assert.equal(inserts[0].args[1].session, client.sessions[0]);
+  assert.equal("writeConcern" in inserts[0].args[1], false);
+  assert.equal(inserts[1].args[1].session, undefined);
+  assert.deepEqual(inserts[1].args[1].writeConcern, { w: "majority" });
+  await assert.rejects(runner.down(), /missing-migration-down: 002-b/);
+  assert.equal(docs.some(doc=> doc._id === "_lock"), false);
+});
+
+test("the error of a run is kept if the lock cannot be released", async t=> {
+  const docs = [];
+  const collection = getMigrationCollection(docs);
+  mockClient(t, { _migrations: collection });
+  const runner = new MigrationRunner(connString, { migrations: [{ name: "001-a", up: async ()=> { throw new Error("up-failed"); }}] });
+
+  Object.assign(collection, { deleteOne: async ()=> { throw new Error("unlock-failed"); }});
+  await assert.rejects(runner.up(), /up-failed/);
+  assert.deepEqual(docs.map(doc=> doc._id), ["_lock"]);
+
+  docs.length = 0;
+  await assert.rejects(runner.down(), /unlock-failed/);
+});
\ No newline at end of file
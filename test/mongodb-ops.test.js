@@ -0,0 +1,142 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const MongoDBOps = require("../lib/mongodb-ops");
+const { getCursor, getCollection, mockClient } = require("./helpers");
+
+test("withTransaction runs the callback with its session and ends the session", async t=> {
+  const client = mockClient(t);
+  const ops = new MongoDBOps("conn");
+
+  const result = await ops.withTransaction(async session=> {
+    assert.equal(session.inTransaction(), true);
+    await ops.writeData("insertOne", "orders", { n: 1 }, undefined, { session });
+    return "done";
+  }, { writeConcern: { w: "majority" }});
+
+  const [session] = client.sessions;
+  assert.equal(result, "done");
+  assert.deepEqual(session.transactionOptions, { writeConcern: { w: "majority" }});
+  assert.equal(client.collections.orders.calls[0].args[1].session, session);
+  assert.equal(session.isEnded, true);
+});
+
+test("withTransaction ends the session when the callback rejects", async t=> {
+  const client = mockClient(t);
+
+  await assert.rejects(MongoDBOps.withTransaction(async ()=> { throw new Error("failed"); }, "conn"), /failed/);
+  assert.equal(client.sessions[0].isEnded, true);
+  await assert.rejects(MongoDBOps.withTransaction(undefined, "conn"), /invalid-transaction-callback/);
+});
+
+test("reads and writes pass the session options to the driver", async t=> {
+  const client = mockClient(t, { orders: getCollection({ find: [{ n: 1 }], countDocuments: 1, bulkWrite: { insertedCount: 1 }}) });
+  const session = client.startSession();
+
+  assert.deepEqual(await MongoDBOps.getData("orders", { n: 1 }, false, { n: 1 }, undefined, undefined, false, "conn", undefined, { session }), [{ n: 1 }]);
+  assert.equal(await MongoDBOps.getData("orders", { n: 1 }, false, undefined, undefined, undefined, true, "conn", undefined, { session }), 1);
+  await MongoDBOps.writeData("updateOne", "orders", { $set: { n: 2 }}, { n: 1 }, "conn", { session });
+  await MongoDBOps.writeBulkData("insertBulk", "orders", [{ n: 3 }], true, "conn", { session });
+
+  const [find, count, update, bulkWrite] = client.collections.orders.calls;
+  assert.deepEqual(find.args, [{ n: 1 }, { session, projection: { n: 1 }}]);
+  assert.deepEqual(count.args, [{ n: 1 }, { session }]);
+  assert.deepEqual(update.args, [{ n: 1 }, { $set: { n: 2 }}, { session }]);
+  assert.equal(bulkWrite.args[1].session, session);
+  assert.equal(bulkWrite.args[1].ordered, true);
+});
+
+test("instance default options are merged under the per-call options", async t=> {
+  const client = mockClient(t);
+  const ops = new MongoDBOps("conn", { writeConcern: { w: "majority" }, readPreference: "secondaryPreferred", maxTimeMS: 1000 });
+
+  await ops.getData("orders", {}, false, undefined, undefined, undefined, true, undefined, { maxTimeMS: 50 });
+  await ops.writeData("deleteMany", "orders", undefined, { n: 1 }, { writeConcern: { w: 1 }});
+
+  const [count, remove] = client.collections.orders.calls;
+  assert.deepEqual(count.args[1], { writeConcern: { w: "majority" }, readPreference: "secondaryPreferred", maxTimeMS: 50 });
+  assert.deepEqual(remove.args[1], { writeConcern: { w: 1 }, readPreference: "secondaryPreferred", maxTimeMS: 1000 });
+});
+
+test("default concerns apply to the transaction instead of the operations in it", async t=> {
+  const client = mockClient(t);
+  const ops = new MongoDBOps("conn", { writeConcern: { w: "majority" }, readConcern: { level: "majority" }, maxTimeMS: 1000 });
+
+  await ops.withTransaction(async session=> ops.writeData("insertOne", "orders", { n: 1 }, undefined, { session }), { maxCommitTimeMS: 500 });
+
+  const [session] = client.sessions;
+  assert.deepEqual(session.transactionOptions, { writeConcern: { w: "majority" }, readConcern: { level: "majority" }, maxCommitTimeMS: 500 });
+  assert.deepEqual(client.collections.orders.calls[0].args[1], { maxTimeMS: 1000, session });
+});
+
+test("iterateData reads through the cursor and closes it on an early break", async t=> {
+  const cursor = getCursor([{ n: 1 }, { n: 2 }, { n: 3 }]);
+  mockClient(t, { orders: getCollection({ find: ()=> cursor }) });
+
+  const docs = [];
+  for await (const doc of MongoDBOps.iterateData("orders", { n: { $gt: 0 }}, false, undefined, { n: 1 }, { startIndex: 1, endIndex: 10 }, "conn")) {
+    docs.push(doc.n);
+    if (docs.length === 2) { break; }
+  }
+  assert.deepEqual(docs, [1, 2]);
+  assert.deepEqual(cursor.options, { sort: { n: 1 }, skip: 0, limit: 10 });
+  assert.equal(cursor.isClosed, true);
+});
+
+test("streamData streams the documents of an aggregate", async t=> {
+  const client = mockClient(t, { orders: getCollection({ aggregate: [{ n: 1 }, { n: 2 }] }) });
+
+  const docs = [];
+  for await (const doc of MongoDBOps.streamData("orders", [{ $match: {} }], true, undefined, undefined, undefined, "conn")) { docs.push(doc); }
+  assert.deepEqual(docs, [{ n: 1 }, { n: 2 }]);
+  assert.deepEqual(client.collections.orders.calls[0].args[0], [{ $match: {} }]);
+});
+
+test("getDataPage pages by the sort keys with _id as the tie-breaker", async t=> {
+  const docs = [{ _id: 1, price: 9, name: "a" }, { _id: 2, price: 9, name: "b" }, { _id: 3, price: 5, name: "c" }];
+  let cursor;
+  mockClient(t, { products: getCollection({ find: (filter, options)=> {
+    cursor = Object.assign(getCursor(docs), { filter, findOptions: options });
+    return cursor;
+  }}) });
+
+  const first = await MongoDBOps.getDataPage("products", { active: true }, { name: 1 }, { price: -1 }, { limit: 2 }, "conn");
+  assert.deepEqual(first.data, [{ _id: 1, name: "a" }, { _id: 2, name: "b" }]);
+  assert.equal(first.prevCursor, null);
+  assert.deepEqual(cursor.options, { sort: { price: -1, _id: 1 }, skip: 0, limit: 3 });
+  assert.deepEqual(cursor.findOptions.projection, { name: 1, price: 1 });
+
+  await MongoDBOps.getDataPage("products", { active: true }, undefined, { price: -1 }, { limit: 2, after: first.nextCursor }, "conn");
+  assert.deepEqual(cursor.filter, { $and: [{ active: true }, { $or: [{ price: { $lt: 9 }}, { price: 9, _id: { $gt: 2 }}] }] });
+
+  const back = await MongoDBOps.getDataPage("products", {}, undefined, { price: -1 }, { limit: 2, before: first.nextCursor }, "conn");
+  assert.deepEqual(cursor.options.sort, { price: 1, _id: -1 });
+  assert.deepEqual(cursor.filter, { $or: [{ price: { $gt: 9 }}, { price: 9, _id: { $lt: 2 }}] });
+  assert.deepEqual(back.data.map(doc=> doc._id), [2, 1]);
+  assert.notEqual(back.prevCursor, null);
+});
+
+test("getDataPage rejects a cursor of another sort", async t=> {
+  mockClient(t, { products: getCollection({ find: [{ _id: 1, price: 9 }, { _id: 2, price: 8 }] }) });
+
+  const { nextCursor } = await MongoDBOps.getDataPage("products", {}, undefined, { price: -1 }, { limit: 1 }, "conn");
+  await assert.rejects(MongoDBOps.getDataPage("products", {}, undefined, { name: 1 }, { limit: 1, after: nextCursor }, "conn"), /invalid-pagination-cursor/);
+  await assert.rejects(MongoDBOps.getDataPage("products", {}, undefined, undefined, { limit: 1, after: "broken" }, "conn"), /invalid-pagination-cursor/);
+  await assert.rejects(MongoDBOps.getDataPage("products", {}, undefined, undefined, { limit: "x" }, "conn"), /invalid-pagination-limit/);
+});
+
+test("dbName of the instance or the call selects the database and is not passed to the driver", async t=> {
+  const client = mockClient(t);
+  const ops = new MongoDBOps("mongodb://localhost:27017/shop", { dbName: "catalog" });
+
+  await ops.getData("products", { active: true }, false, undefined, undefined, undefined, false, undefined, { maxTimeMS: 1000 });
+  await MongoDBOps.writeData("insertOne", "products", { name: "pen" }, undefined, "mongodb://localhost:27017/shop", { dbName: "orders" });
+  await MongoDBOps.getData("products", {}, false, undefined, undefined, undefined, true, "mongodb://localhost:27017/shop");
+  assert.deepEqual(client.dbNames, ["catalog", "orders", undefined]);
+  assert.deepEqual(client.collections.products.calls.map(({ args })=> args.at(-1)), [{ maxTimeMS: 1000, projection: {}}, {}, {}]);
+
+  assert.deepEqual(await ops.listCollections({ name: "products" }), [{ name: "products", type: "collection", options: {}}]);
+  assert.equal(client.dbNames.at(-1), "catalog");
+  assert.deepEqual(await ops.listDatabases({ nameOnly: true }), [{ name: "shop", options: { nameOnly: true }}]);
+});
\ No newline at end of file
@@ -0,0 +1,327 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MongoServerError } = require("mongodb");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { getCollection, mockClient } = require("./helpers");
+
+/**
+ * Fake collection of versioned documents by `_id`, whose updateOne supports the version filter `{ $and: [{ _id }, { __v }] }`.
+ * The upsert of an existing document at another version fails on the unique `_id`
+ * 
+ * @param {Map} docs Documents by `_id`
+ * @returns {object} Collection
+ */
+const getVersionedCollection = docs=> getCollection({
+  insertOne: async doc=> {
+    docs.set(doc._id, doc);
+    return { insertedId: doc._id };
+  },
+  updateOne: async (filter, update, options)=> {
+    const [{ _id }, { __v }] = filter.$and;
+    const doc = docs.get(_id);
+    if (doc && doc.__v === __v) {
+      doc.__v += 1;
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+    if (!options.upsert) { return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null }; }
+    if (doc) { throw new MongoServerError({ message: "E11000 duplicate key error collection: shop.products index: _id_ dup key", code: 11000 }); }
+
+    docs.set(_id, { _id, __v: __v + 1 });
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: _id };
+  }
+})
+
+test("toolset reads and writes pass the options to the driver", async t=> {
+  const client = mockClient(t, { orders: getCollection({ find: [{ _id: 1 }], countDocuments: 1 }) });
+  const orders = new MongoDBToolSet("orders", "conn");
+  const session = client.startSession();
+
+  assert.deepEqual(await orders.getDataByID(1, undefined, { session }), [{ _id: 1 }]);
+  assert.deepEqual(await orders.list({ n: 1 }, undefined, undefined, undefined, true, { session }), { total_count: 1, data: [{ _id: 1 }] });
+  await orders.updateMany({ $inc: { qty: -1 }}, { sku: "A" }, { session });
+
+  const { calls } = client.collections.orders;
+  assert.deepEqual(calls.map(({ method })=> method), ["find", "countDocuments", "find", "updateMany"]);
+  assert.ok(calls.every(({ args })=> args[args.length - 1].session === session));
+});
+
+test("ensureIndexes creates the missing indexes and reports conflicts and undeclared indexes", async t=> {
+  const client = mockClient(t, { products: getCollection({ listIndexes: [
+    { v: 2, key: { _id: 1 }, name: "_id_" },
+    { v: 2, key: { sku: 1 }, name: "sku_1" },
+    { v: 2, key: { name: 1 }, name: "name_1", collation: { locale: "en", strength: 1, caseLevel: false }},
+    { v: 2, key: { _fts: "text", _ftsx: 1 }, name: "title_text", weights: { title: 1 }},
+    { v: 2, key: { legacy: 1 }, name: "legacy_1" }
+  ]})});
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setIndexes([
+    { key: { sku: 1 }, unique: true },
+    { key: { name: 1 }, collation: { locale: "en", strength: 1 }},
+    { key: { title: "text" }},
+    { key: { createdAt: 1 }, name: "ttl", expireAfterSeconds: 86400 }
+  ]);
+
+  const dryRun = await products.ensureIndexes({ dryRun: true, dropUndeclared: true });
+  assert.deepEqual(dryRun, {
+    dryRun: true,
+    created: ["ttl"],
+    dropped: ["legacy_1"],
+    unchanged: ["name_1", "title_text"],
+    undeclared: ["legacy_1"],
+    conflicts: [{ name: "sku_1", existingName: "sku_1", diff: [{ path: "unique", change: "changed", before: false, after: true }] }]
+  });
+  assert.deepEqual(client.collections.products.calls.map(({ method })=> method), ["listIndexes"]);
+
+  await products.ensureIndexes({ dropUndeclared: true });
+  const [, , createIndexes, dropIndex] = client.collections.products.calls;
+  assert.deepEqual(createIndexes.args[0], [{ key: { createdAt: 1 }, name: "ttl", expireAfterSeconds: 86400 }]);
+  assert.equal(dropIndex.args[0], "legacy_1");
+  assert.throws(()=> products.setIndexes([{ key: {} }]), /invalid-index-key/);
+});
+
+test("ensureIndexes creates all declared indexes of a collection which does not exist", async t=> {
+  const client = mockClient(t, { events: getCollection({
+    listIndexes: ()=> { throw Object.assign(new Error("ns does not exist"), { codeName: "NamespaceNotFound" }); }
+  })});
+  const events = new MongoDBToolSet("events", "mongodb://localhost:27017/shop").setIndexes([{ key: { type: 1, createdAt: -1 }}]);
+
+  const report = await events.ensureIndexes();
+  assert.deepEqual(report.created, ["type_1_createdAt_-1"]);
+  assert.deepEqual(client.collections.events.calls[1].args[0], [{ key: { type: 1, createdAt: -1 }, name: "type_1_createdAt_-1" }]);
+  await assert.rejects(new MongoDBToolSet("events", "mongodb://localhost:27017/shop").ensureIndexes(), /missing-indexes/);
+});
+
+test("soft-delete mode updates the deleted fields and reads exclude the soft-deleted documents", async t=> {
+  const client = mockClient(t, { orders: getCollection({ find: [{ _id: 1 }], updateOne: { modifiedCount: 1 }, bulkWrite: { modifiedCount: 2 }}) });
+  const orders = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").setSoftDelete({ deletedByField: "removedBy" });
+
+  const result = await orders.deleteOne({ _id: 1 }, { actor: "ann" });
+  assert.equal(result.deletedCount, 1);
+  await orders.deleteBulkOrdered([{ filter: { _id: 2 }}, { filter: { _id: 3 }}]);
+  await orders.getDataByFilter({ status: "open" });
+  await orders.getDataByID(1, undefined, { withDeleted: true });
+  await orders.getDataByAggregate([{ $search: { text: { query: "pen", path: "name" }}}, { $limit: 5 }]);
+
+  const [updateOne, bulkWrite, find, findWithDeleted, aggregate] = client.collections.orders.calls;
+  assert.deepEqual(updateOne.args.slice(0, 2), [{ $and: [{ _id: 1 }, { deletedAt: null }] }, { $set: { deletedAt: updateOne.args[1].$set.deletedAt, removedBy: "ann" }}]);
+  assert.ok(updateOne.args[1].$set.deletedAt instanceof Date);
+  assert.deepEqual(bulkWrite.args[0].map(op=> Object.keys(op)[0]), ["updateOne", "updateOne"]);
+  assert.deepEqual(bulkWrite.args[0][1].updateOne.filter, { $and: [{ _id: 3 }, { deletedAt: null }] });
+  assert.equal(bulkWrite.args[1].ordered, true);
+  assert.deepEqual(find.args[0], { $and: [{ status: "open" }, { deletedAt: null }] });
+  assert.deepEqual(findWithDeleted.args[0], { _id: 1 });
+  assert.equal("withDeleted" in findWithDeleted.args[1], false);
+  assert.deepEqual(aggregate.args[0].map(stage=> Object.keys(stage)[0]), ["$search", "$match", "$limit"]);
+});
+
+test("restore and purgeDeleted act on the soft-deleted documents only", async t=> {
+  const client = mockClient(t);
+  const orders = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").setSoftDelete(true);
+  const date = new Date("2026-01-01");
+
+  await orders.restore({ _id: 1 });
+  await orders.purgeDeleted(date);
+  const [updateMany, deleteMany] = client.collections.orders.calls;
+  assert.deepEqual(updateMany.args.slice(0, 2), [{ $and: [{ _id: 1 }, { deletedAt: { $ne: null }}] }, { $unset: { deletedAt: "", deletedBy: "" }}]);
+  assert.deepEqual(deleteMany.args[0], { deletedAt: { $lte: date }});
+
+  await assert.rejects(orders.purgeDeleted(NaN), /invalid-purge-date/);
+  await assert.rejects(orders.setSoftDelete(false).restore(), /soft-delete-not-enabled/);
+  await orders.deleteOne({ _id: 1 });
+  assert.equal(client.collections.orders.calls[2].method, "deleteOne");
+});
+
+test("audit mode stamps the created and updated fields with the actor", async t=> {
+  const client = mockClient(t);
+  const orders = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").setAudit({ createdByField: null });
+
+  await orders.insertOne({ sku: "A" }, { actor: "ann" });
+  await MongoDBToolSet.runWithActor("bob", ()=> orders.updateOne({ $set: { qty: 2 }}, { sku: "A" }, { upsert: true }));
+  await orders.replaceOne({ sku: "A", qty: 3 }, { sku: "A" });
+  await orders.insertBulkUnOrdered([{ sku: "B" }], { actor: "ann" });
+
+  const [insertOne, updateOne, replaceOne, bulkWrite] = client.collections.orders.calls;
+  const { createdAt, updatedAt, ...inserted } = insertOne.args[0];
+  assert.deepEqual(inserted, { sku: "A", updatedBy: "ann" });
+  assert.ok(createdAt instanceof Date && createdAt === updatedAt);
+  assert.equal("actor" in insertOne.args[1], false);
+
+  assert.deepEqual(Object.keys(updateOne.args[1].$set), ["qty", "updatedAt", "updatedBy"]);
+  assert.equal(updateOne.args[1].$set.updatedBy, "bob");
+  assert.deepEqual(Object.keys(updateOne.args[1].$setOnInsert), ["createdAt"]);
+  assert.equal(updateOne.args[2].upsert, true);
+
+  assert.equal(replaceOne.method, "updateOne");
+  const [{ $replaceWith: { $mergeObjects: [doc, created, updated] }}] = replaceOne.args[1];
+  assert.deepEqual(doc, { $literal: { sku: "A", qty: 3 }});
+  assert.equal(created.createdAt.$ifNull[0], "$createdAt");
+  assert.deepEqual(updated.updatedBy, { $literal: null });
+
+  assert.equal(bulkWrite.args[0][0].insertOne.document.updatedBy, "ann");
+  assert.equal(bulkWrite.args[1].ordered, false);
+});
+
+test("versioning starts inserts at version 0 and writes updates only at the expected version", async t=> {
+  const docs = new Map();
+  const client = mockClient(t, { products: getVersionedCollection(docs) });
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setVersioning();
+
+  await products.insertOne({ _id: "A", price: 10 });
+  assert.equal(docs.get("A").__v, 0);
+
+  const result = await products.updateOne({ $set: { price: 20, __v: 5 }}, { _id: "A" }, { expectedVersion: 0 });
+  assert.equal(result.matchedCount, 1);
+  const [, updateOne] = client.collections.products.calls;
+  assert.deepEqual(updateOne.args.slice(0, 2), [{ $and: [{ _id: "A" }, { __v: 0 }] }, { $set: { price: 20 }, $inc: { __v: 1 }}]);
+  assert.equal("expectedVersion" in updateOne.args[2], false);
+
+  await products.replaceOne({ _id: "A", price: 30, __v: 1 }, { _id: "A" });
+  assert.equal(docs.get("A").__v, 2);
+  assert.deepEqual(client.collections.products.calls[2].args[1][0].$replaceWith.$mergeObjects.at(-1), { __v: { $add: [{ $ifNull: ["$__v", 0] }, 1] }});
+
+  await assert.rejects(products.replaceOne({ _id: "A", price: 40, __v: 1 }, { _id: "A" }), err=> {
+    assert.equal(err.message, "version-conflict");
+    assert.deepEqual(err.conflicts, [{ index: 0, filter: { _id: "A" }, expectedVersion: 1 }]);
+    return true;
+  });
+  await assert.rejects(products.updateOne({ $set: { price: 50 }}, { _id: "A" }), /missing-expected-version/);
+});
+
+test("versioned bulk writes report the conflicts, and ordered writes stop at the first", async t=> {
+  const docs = new Map([["A", { _id: "A", __v: 3 }], ["B", { _id: "B", __v: 7 }], ["C", { _id: "C", __v: 1 }]]);
+  const client = mockClient(t, { products: getVersionedCollection(docs) });
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setVersioning();
+  const items = [
+    { filter: { _id: "A" }, update: { $set: { stock: 0 }}, expectedVersion: 3 },
+    { filter: { _id: "B" }, update: { $set: { stock: 0 }}, expectedVersion: 6 },
+    { filter: { _id: "C" }, update: { $set: { stock: 0 }}, expectedVersion: 1 }
+  ];
+
+  await assert.rejects(products.updateBulkOrdered(items), err=> {
+    assert.deepEqual(err.conflicts, [{ index: 1, filter: { _id: "B" }, expectedVersion: 6 }]);
+    assert.equal(err.results.length, 2);
+    return true;
+  });
+  assert.equal(docs.get("C").__v, 1);
+
+  docs.get("A").__v = 3;
+  await assert.rejects(products.updateBulkUnOrdered(items), err=> {
+    assert.deepEqual(err.conflicts.map(({ index })=> index), [1]);
+    assert.equal(err.results.length, 3);
+    return true;
+  });
+  assert.equal(docs.get("C").__v, 2);
+
+  const summary = await products.updateBulkUnOrdered([{ filter: { _id: "D" }, update: { $set: { stock: 5 }}, expectedVersion: 0, upsert: true }]);
+  assert.deepEqual(summary, { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedIds: { 0: "D" }});
+  assert.equal(client.collections.products.calls.at(-1).args[2].upsert, true);
+});
+
+test("versioned upsert reports an existing document at another version as a conflict", async t=> {
+  const docs = new Map([["A", { _id: "A", __v: 2 }], ["B", { _id: "B", __v: 1 }]]);
+  mockClient(t, { products: getVersionedCollection(docs) });
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setVersioning();
+
+  await assert.rejects(products.updateBulkUnOrdered([
+    { filter: { _id: "A" }, update: { $set: { price: 20 }}, expectedVersion: 0, upsert: true },
+    { filter: { _id: "B" }, update: { $set: { price: 30 }}, expectedVersion: 1 }
+  ]), err=> {
+    assert.deepEqual(err.conflicts, [{ index: 0, filter: { _id: "A" }, expectedVersion: 0 }]);
+    assert.equal(err.results[1].matchedCount, 1);
+    return true;
+  });
+  assert.deepEqual([...docs.values()], [{ _id: "A", __v: 2 }, { _id: "B", __v: 2 }]);
+});
+
+test("versioned upsert rejects an expected version other than the initial version", async t=> {
+  const client = mockClient(t, { products: getVersionedCollection(new Map()) });
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setVersioning();
+
+  await assert.rejects(products.updateOne({ $set: { price: 20 }}, { _id: "A" }, { expectedVersion: 2, upsert: true }), /invalid-versioned-upsert/);
+  await assert.rejects(products.replaceOne({ _id: "A", __v: 2, price: 20 }, { _id: "A" }, { upsert: true }), /invalid-versioned-upsert/);
+  assert.equal(client.collections.products.calls.length, 0);
+});
+
+test("pre hooks rewrite the arguments or short-circuit, and post hooks get or replace the result", async t=> {
+  const client = mockClient(t, { orders: getCollection({ find: [{ _id: 1, total: "5" }], countDocuments: 9, insertOne: { insertedId: 2 }}) });
+  const posts = [];
+  const orders = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").setSoftDelete()
+    .pre(["find", "count"], ctx=> { ctx.filter = { ...ctx.filter, tenantId: "t1" }; })
+    .pre("insertOne", ctx=> { ctx.doc = { ...ctx.doc, tenantId: "t1" }; })
+    .pre("count", ctx=> ctx.filter.status === "cached" ? 42 : undefined)
+    .post("*", ({ operation, result, isShortCircuited, durationMS })=> { posts.push({ operation, result, isShortCircuited, hasDuration: durationMS >= 0 }); })
+    .post("find", ctx=> ctx.result.map(order=> ({ ...order, total: Number(order.total) })));
+
+  assert.deepEqual(await orders.find({ status: "open" }), [{ _id: 1, total: 5 }]);
+  assert.equal(await orders.getDataCount({ status: "cached" }), 42);
+  await orders.insertOne({ sku: "A" });
+
+  const [find, insertOne] = client.collections.orders.calls;
+  assert.deepEqual(find.args[0], { $and: [{ status: "open", tenantId: "t1" }, { deletedAt: null }] });
+  assert.deepEqual(insertOne.args[0], { sku: "A", tenantId: "t1" });
+  assert.deepEqual(posts, [
+    { operation: "find", result: [{ _id: 1, total: "5" }], isShortCircuited: false, hasDuration: true },
+    { operation: "count", result: 42, isShortCircuited: true, hasDuration: true },
+    { operation: "insertOne", result: { insertedId: 2 }, isShortCircuited: false, hasDuration: true }
+  ]);
+  assert.throws(()=> orders.pre("upsert", ()=> {}), /invalid-hook-operation/);
+  assert.throws(()=> orders.post("find"), /invalid-hook/);
+});
+
+test("global hooks run before the instance hooks, and post hooks run on errors", async t=> {
+  mockClient(t, { audits: getCollection({ deleteOne: async ()=> { throw new Error("delete-failed"); }}) });
+  const calls = [];
+  MongoDBToolSet.pre("*", ({ collectionName })=> { if (collectionName === "audits") { calls.push("global pre"); } });
+  MongoDBToolSet.post("deleteOne", ({ collectionName, error })=> { if (collectionName === "audits") { calls.push(`global post ${error.message}`); } });
+  const audits = new MongoDBToolSet("audits", "mongodb://localhost:27017/shop").pre("deleteOne", ()=> { calls.push("pre"); });
+
+  await assert.rejects(audits.deleteOne({ _id: 1 }), /delete-failed/);
+  assert.deepEqual(calls, ["global pre", "pre", "global post delete-failed"]);
+});
+
+test("forTenant scopes the reads, aggregates and search of a copy to the tenant", async t=> {
+  const client = mockClient(t, { orders: getCollection({ find: [{ _id: 1 }], aggregate: [] }) });
+  const orders = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").setSoftDelete(true);
+  const merchant = orders.forTenant("m1", { tenantField: "merchantId" });
+
+  await merchant.find({ status: "open" });
+  await merchant.getDataByID(1, undefined, { withDeleted: true });
+  await merchant.getDataByAggregate([{ $search: { text: { query: "pen", path: "name" }}}, { $limit: 5 }]);
+  await merchant.search("orders", { text: { query: "pen", path: "name" }}, { filter: { status: "open" }}, false);
+  await orders.getDataByFilter({ status: "open" });
+
+  const [find, findWithDeleted, aggregate, search, unscoped] = client.collections.orders.calls;
+  assert.deepEqual(find.args[0], { $and: [{ $and: [{ status: "open" }, { deletedAt: null }] }, { merchantId: "m1" }] });
+  assert.deepEqual(findWithDeleted.args[0], { $and: [{ _id: 1 }, { merchantId: "m1" }] });
+  assert.deepEqual(aggregate.args[0][1], { $match: { $and: [{ deletedAt: null }, { merchantId: "m1" }] }});
+  assert.deepEqual(search.args[0][1], { $match: { $and: [{ $and: [{ status: "open" }, { deletedAt: null }] }, { merchantId: "m1" }] }});
+  assert.deepEqual(unscoped.args[0], { $and: [{ status: "open" }, { deletedAt: null }] });
+
+  assert.equal(orders.tenant, undefined);
+  assert.throws(()=> orders.forTenant(""), /invalid-tenant-id/);
+  assert.throws(()=> merchant.forTenant("m2"), /tenant-already-scoped/);
+  assert.throws(()=> merchant.watch([], ()=> {}), /tenant-watch-not-supported/);
+});
+
+test("writes of a tenant-scoped copy match the tenant and stamp the tenant field", async t=> {
+  const client = mockClient(t, { orders: getCollection({ updateOne: { matchedCount: 1 }, bulkWrite: { insertedCount: 1 }}) });
+  const orders = new MongoDBToolSet("orders", "mongodb://localhost:27017/shop").forTenant("m1")
+    .pre("insertOne", ctx=> { ctx.doc = { ...ctx.doc, tenantId: "m2" }; });
+
+  await orders.updateOne({ $set: { qty: 2, tenantId: "m1" }}, { _id: 1 }, { upsert: true });
+  await orders.deleteMany({ status: "void" });
+  await orders.updateOne([{ $set: { qty: 3 }}], { _id: 1 });
+  await orders.allBulkUnOrdered([{ insertOne: { document: { sku: "A" }}}, { deleteOne: { filter: { _id: 2 }}}]);
+
+  const [updateOne, deleteMany, pipelineUpdate, bulkWrite] = client.collections.orders.calls;
+  assert.deepEqual(updateOne.args.slice(0, 2), [{ $and: [{ _id: 1 }, { tenantId: "m1" }] }, { $set: { qty: 2 }, $setOnInsert: { tenantId: "m1" }}]);
+  assert.deepEqual(deleteMany.args[0], { $and: [{ status: "void" }, { tenantId: "m1" }] });
+  assert.deepEqual(pipelineUpdate.args[1].at(-1), { $set: { tenantId: { $literal: "m1" }}});
+  assert.deepEqual(bulkWrite.args[0], [{ insertOne: { document: { sku: "A", tenantId: "m1" }}}, { deleteOne: { filter: { $and: [{ _id: 2 }, { tenantId: "m1" }] }}}]);
+
+  await assert.rejects(orders.insertOne({ sku: "B" }), /tenant-field-immutable/);
+  await assert.rejects(orders.updateOne({ $unset: { tenantId: "" }}, { _id: 1 }), /tenant-field-immutable/);
+  await assert.rejects(orders.updateMany({ $rename: { merchant: "tenantId" }}, {}), /tenant-field-immutable/);
+  assert.equal(client.collections.orders.calls.length, 4);
+});
\ No newline at end of file
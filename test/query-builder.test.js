@@ -0,0 +1,90 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const QueryBuilder = require("../lib/query-builder");
+const { getCursor, getCollection, mockClient } = require("./helpers");
+
+const connString = "mongodb://localhost:27017/shop";
+
+/**
+ * Fake collection of the documents whose find cursors are kept in `cursors`
+ * 
+ * @param {Array} docs Documents
+ * @returns {object} Collection with `cursors`
+ */
+const getQueryCollection = docs=> {
+  const cursors = [];
+  const collection = getCollection({
+    find: ()=> {
+      cursors.push(getCursor(docs));
+      return cursors.at(-1);
+    },
+    countDocuments: docs.length,
+    distinct: ["a"]
+  });
+  return Object.assign(collection, { cursors });
+}
+
+test("awaiting the builder runs find with the chained parts", async t=> {
+  const products = getQueryCollection([{ _id: 1 }]);
+  const client = mockClient(t, { products });
+
+  const data = await MongoDBToolSet.find("products", { status: "A" }, connString, { dbName: "catalog" })
+    .project({ name: 1 }).sort({ name: 1 }).page({ startIndex: 11, endIndex: 20 }).collation({ locale: "en" }).hint("name_1").maxTime(500);
+  assert.deepEqual(data, [{ _id: 1 }]);
+  assert.deepEqual(products.calls[0].args, [{ status: "A" }, { hint: "name_1", maxTimeMS: 500, projection: { name: 1 }}]);
+  assert.deepEqual(products.cursors[0].options, { sort: { name: 1 }, skip: 10, limit: 10, collation: { locale: "en" }});
+  assert.deepEqual(client.dbNames, ["catalog"]);
+});
+
+test("terminal methods run their own queries", async t=> {
+  const products = getQueryCollection([]);
+  mockClient(t, { products });
+  const builder = MongoDBToolSet.find("products", { status: "A" }, connString).project({ name: 1 }).sort({ name: -1 }).collation({ locale: "en" });
+
+  assert.equal(await builder.count(), 0);
+  assert.equal(await builder.first(), null);
+  assert.equal(await builder.exists(), false);
+  assert.deepEqual(await builder.distinct("tags"), ["a"]);
+  assert.deepEqual(await builder.explain("executionStats"), { verbosity: "executionStats" });
+
+  const [count, first, exists, distinct] = products.calls;
+  assert.deepEqual(count.args, [{ status: "A" }, { collation: { locale: "en" }}]);
+  assert.deepEqual(first.args[1].projection, { name: 1 });
+  assert.deepEqual(products.cursors[0].options, { sort: { name: -1 }, skip: 0, limit: 1, collation: { locale: "en" }});
+  assert.deepEqual(exists.args[1].projection, { _id: 1 });
+  assert.deepEqual(products.cursors[1].options, { skip: 0, limit: 1, collation: { locale: "en" }});
+  assert.deepEqual(distinct.args, ["tags", { status: "A" }, { collation: { locale: "en" }}]);
+});
+
+test("instance find scopes the query to the documents which are not soft-deleted", async t=> {
+  const products = getQueryCollection([{ _id: 1, name: "Ink" }]);
+  mockClient(t, { products });
+  const toolset = new MongoDBToolSet("products", connString, { maxTimeMS: 1000 }).setSoftDelete();
+
+  assert.deepEqual(await toolset.find({ name: "Ink" }).project({ name: 1 }).first(), { _id: 1, name: "Ink" });
+  assert.equal(await toolset.find({}, { withDeleted: true }).count(), 1);
+  await toolset.getDataByID(1);
+
+  const [find, count, findByID] = products.calls;
+  assert.deepEqual(find.args, [{ $and: [{ name: "Ink" }, { deletedAt: null }] }, { maxTimeMS: 1000, projection: { name: 1 }}]);
+  assert.deepEqual(count.args, [{}, { maxTimeMS: 1000 }]);
+  assert.deepEqual(findByID.args[0], { $and: [{ _id: 1 }, { deletedAt: null }] });
+});
+
+test("the runner gets the operation and the context, and can rewrite it", async t=> {
+  const products = getQueryCollection([{ _id: 1 }]);
+  mockClient(t, { products });
+  const operations = [];
+  const runner = async (operation, ctx, fn)=> {
+    operations.push(operation);
+    return fn({ ...ctx, filter: { ...ctx.filter, tenantId: "t1" }});
+  };
+
+  await new QueryBuilder("products", { status: "A" }, connString, {}, runner).first();
+  await new QueryBuilder("products", { status: "A" }, connString, {}, runner).distinct("tags");
+  assert.deepEqual(operations, ["find", "distinct"]);
+  assert.deepEqual(products.calls.map(({ args })=> args.at(-2)), [{ status: "A", tenantId: "t1" }, { status: "A", tenantId: "t1" }]);
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const MongoDBOps = require("../lib/mongodb-ops");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const QueryCache = require("../lib/query-cache");
+const LRUCache = require("../lib/lru-cache");
+const { getCursor, getCollection, mockClient } = require("./helpers");
+
+const connString = "mongodb://localhost:27017/shop";
+
+/**
+ * Fake collection whose find returns the current documents
+ * 
+ * @param {Array} docs Documents, changed by the test
+ * @returns {object} Collection
+ */
+const getProductCollection = docs=> getCollection({
+  find: ()=> getCursor(docs),
+  updateOne: { matchedCount: 1, modifiedCount: 1 },
+  countDocuments: ()=> Promise.resolve(docs.length)
+});
+
+test("LRUCache evicts the least recently used entry and expires entries by TTL", async ()=> {
+  const cache = new LRUCache({ maxEntries: 2 });
+  await cache.set("products:a", "A", 60000, "products");
+  await cache.set("orders:b", "B", 60000, "orders");
+  await cache.get("products:a");
+  await cache.set("products:c", "C", 60000, "products");
+  assert.equal(await cache.get("orders:b"), undefined);
+  assert.equal(await cache.get("products:a"), "A");
+
+  await cache.invalidate("products");
+  assert.equal(cache.entries.size, 0);
+
+  await cache.set("orders:d", "D", 1, "orders");
+  await new Promise(resolve=> setTimeout(resolve, 5));
+  assert.equal(await cache.get("orders:d"), undefined);
+  assert.throws(()=> new LRUCache({ maxEntries: 0 }), /invalid-cache-max-entries/);
+});
+
+test("getKey ignores the key order of filter and projection but not of sort", ()=> {
+  const id = new ObjectId();
+  const key = QueryCache.getKey("products", { filter: { a: 1, b: { c: 2, d: id }}, projection: { x: 1, y: 1 }, sort: { a: 1, b: -1 }});
+  assert.match(key, /^products:[0-9a-f]{40}$/);
+  assert.equal(QueryCache.getKey("products", { projection: { y: 1, x: 1 }, filter: { b: { d: id, c: 2 }, a: 1 }, sort: { a: 1, b: -1 }}), key);
+  assert.notEqual(QueryCache.getKey("products", { filter: { a: 1, b: { c: 2, d: id }}, projection: { x: 1, y: 1 }, sort: { b: -1, a: 1 }}), key);
+  assert.notEqual(QueryCache.getKey("products", { filter: { a: 1, b: { c: 2, d: new ObjectId() }}, projection: { x: 1, y: 1 }, sort: { a: 1, b: -1 }}), key);
+});
+
+test("cached reads are served from the cache until a write to the collection", async t=> {
+  const docs = [{ _id: 1, price: 10 }];
+  const client = mockClient(t, { products: getProductCollection(docs) });
+  const products = new MongoDBToolSet("products", connString).setCache({ adapter: new LRUCache() });
+  const finds = ()=> client.collections.products.calls.filter(({ method })=> method === "find").length;
+
+  const [first] = await products.getDataByID(1);
+  first.price = 0;
+  assert.deepEqual(await products.getDataByID(1), [{ _id: 1, price: 10 }]);
+  assert.equal(finds(), 1);
+
+  docs[0] = { _id: 1, price: 20 };
+  await MongoDBOps.writeData("updateOne", "products", { $set: { price: 20 }}, { _id: 1 }, connString);
+  assert.deepEqual(await products.getDataByID(1), [{ _id: 1, price: 20 }]);
+  assert.equal(finds(), 2);
+
+  await products.getDataByID(1, undefined, { cache: false });
+  await products.find({ _id: 1 }, { cache: false });
+  await products.find({ price: 20 });
+  await products.find({ price: 20 });
+  await products.getDataByID(1, undefined, { session: client.startSession() });
+  assert.equal(finds(), 6);
+
+  const counts = ()=> client.collections.products.calls.filter(({ method })=> method === "countDocuments").length;
+  assert.equal(await products.getDataCount({ price: 20 }), 1);
+  assert.equal(await products.getDataCount({ price: 20 }), 1);
+  assert.equal(counts(), 1);
+});
+
+test("a read is not cached if the collection is written while it runs", async t=> {
+  const docs = [{ _id: 1, price: 10 }];
+  let release;
+  const client = mockClient(t, { products: getCollection({
+    find: ()=> Object.assign(getCursor(), { toArray: async ()=> {
+      const result = docs.map(doc=> ({ ...doc }));
+      await new Promise(resolve=> { release = resolve; });
+      return result;
+    }})
+  })});
+  const products = new MongoDBToolSet("products", connString).setCache({ adapter: new LRUCache() });
+
+  const read = products.getDataByID(1);
+  await new Promise(resolve=> setImmediate(resolve));
+  docs[0].price = 20;
+  await MongoDBOps.writeData("updateOne", "products", { $set: { price: 20 }}, { _id: 1 }, connString);
+  release();
+  assert.deepEqual(await read, [{ _id: 1, price: 10 }]);
+
+  const next = products.getDataByID(1);
+  await new Promise(resolve=> setImmediate(resolve));
+  release();
+  assert.deepEqual(await next, [{ _id: 1, price: 20 }]);
+  assert.equal(client.collections.products.calls.filter(({ method })=> method === "find").length, 2);
+});
+
+test("writes in a transaction invalidate the collection again when the transaction ends", async t=> {
+  const docs = [{ _id: 1, price: 10 }];
+  const client = mockClient(t, { products: getProductCollection(docs) });
+  const products = new MongoDBToolSet("products", connString).setCache({ adapter: new LRUCache() });
+
+  await MongoDBOps.withTransaction(async session=> {
+    await MongoDBOps.writeData("updateOne", "products", { $set: { price: 20 }}, { _id: 1 }, connString, { session });
+    assert.deepEqual(await products.list({}), [{ _id: 1, price: 10 }]);
+    docs[0] = { _id: 1, price: 20 };
+  }, connString);
+
+  assert.deepEqual(await products.list({}), [{ _id: 1, price: 20 }]);
+  assert.equal(client.collections.products.calls.filter(({ method })=> method === "find").length, 2);
+});
+
+test("adapter failures are cache misses", async t=> {
+  const client = mockClient(t, { products: getProductCollection([{ _id: 1 }]) });
+  const adapter = { get: async ()=> { throw new Error("down"); }, set: ()=> { throw new Error("down"); }, invalidate: async ()=> { throw new Error("down"); }};
+  const products = new MongoDBToolSet("products", connString).setCache({ adapter });
+
+  assert.deepEqual(await products.getDataByID(1), [{ _id: 1 }]);
+  assert.deepEqual(await products.getDataByID(1), [{ _id: 1 }]);
+  await products.updateOne({ $set: { price: 1 }}, { _id: 1 });
+  assert.equal(client.collections.products.calls.length, 3);
+  assert.throws(()=> products.setCache({ adapter: {} }), /invalid-cache-adapter/);
+  assert.throws(()=> products.setCache({ ttlMS: 0 }), /invalid-cache-ttl/);
+});
\ No newline at end of file
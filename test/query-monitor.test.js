@@ -0,0 +1,123 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const MongoDBOps = require("../lib/mongodb-ops");
+const QueryMonitor = require("../lib/query-monitor");
+const { getCursor, getCollection, mockClient } = require("./helpers");
+
+/**
+ * Emit the started and the succeeded or failed event of a command on a client
+ * 
+ * @param {EventEmitter} client Client
+ * @param {object} obj
+ * @param {number} obj.requestId Request ID
+ * @param {object} obj.command Command
+ * @param {number} obj.duration Duration in milliseconds
+ * @param {Error} [obj.failure] Error of a failed command
+ */
+const emitCommand = (client, { requestId, command, duration, failure })=> {
+  const commandName = Object.keys(command)[0];
+  client.emit("commandStarted", { requestId, commandName, databaseName: "shop", command });
+  client.emit(failure ? "commandFailed" : "commandSucceeded", { requestId, commandName, duration, failure });
+}
+
+test("logs the commands at or above the slow threshold with the shape of the query", t=> {
+  t.after(()=> {
+    QueryMonitor.disable();
+    QueryMonitor.resetMetrics();
+  });
+  const slow = [];
+  QueryMonitor.enable({ slowMS: 100, onSlow: info=> slow.push(info) });
+  const client = new EventEmitter();
+  QueryMonitor.attach(client, "main");
+
+  emitCommand(client, { requestId: 1, command: { find: "orders", filter: { status: "open", total: { $gt: 5 }}, sort: { createdAt: -1 }}, duration: 100 });
+  emitCommand(client, { requestId: 2, command: { find: "orders", filter: { status: "open" }}, duration: 99 });
+  emitCommand(client, { requestId: 3, command: { aggregate: "orders", pipeline: [{ $match: { sku: "A" }}] }, duration: 250, failure: new Error("exceeded time limit") });
+  emitCommand(client, { requestId: 4, command: { ping: 1 }, duration: 500 });
+
+  assert.deepEqual(slow, [
+    { connection: "main", database: "shop", collection: "orders", command: "find", durationMS: 100, query: { filter: { status: "?", total: { $gt: "?" }}, sort: { createdAt: "?" }}},
+    { connection: "main", database: "shop", collection: "orders", command: "aggregate", durationMS: 250, query: { pipeline: [{ $match: { sku: "?" }}] }, error: "exceeded time limit" }
+  ]);
+  assert.throws(()=> QueryMonitor.enable({ slowMS: -1 }), /invalid-slow-ms/);
+});
+
+test("slow commands are only counted without onSlow", t=> {
+  t.after(()=> {
+    QueryMonitor.disable();
+    QueryMonitor.resetMetrics();
+  });
+  const warn = t.mock.method(console, "warn", ()=> {});
+  QueryMonitor.enable({ slowMS: 100 });
+  const client = new EventEmitter();
+  QueryMonitor.attach(client, "main");
+
+  emitCommand(client, { requestId: 1, command: { find: "orders", filter: { status: "open" }}, duration: 150 });
+
+  assert.equal(warn.mock.callCount(), 0);
+  assert.ok(QueryMonitor.getMetrics().includes("mongodb_ops_slow_commands_total{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\"} 1"));
+});
+
+test("getMetrics returns the latency histogram and the counters in Prometheus text format", t=> {
+  t.after(()=> {
+    QueryMonitor.disable();
+    QueryMonitor.resetMetrics();
+  });
+  MongoDBOps.enableQueryMonitor({ slowMS: 400, onSlow: ()=> {}, buckets: [1, 0.25] });
+  const client = new EventEmitter();
+  QueryMonitor.attach(client, "main");
+
+  emitCommand(client, { requestId: 1, command: { find: "orders" }, duration: 250 });
+  emitCommand(client, { requestId: 2, command: { find: "orders" }, duration: 1500, failure: new Error("failed") });
+  assert.equal(MongoDBOps.getMetrics(), [
+    "# HELP mongodb_ops_command_duration_seconds Duration of MongoDB commands",
+    "# TYPE mongodb_ops_command_duration_seconds histogram",
+    "mongodb_ops_command_duration_seconds_bucket{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\",le=\"0.25\"} 1",
+    "mongodb_ops_command_duration_seconds_bucket{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\",le=\"1\"} 1",
+    "mongodb_ops_command_duration_seconds_bucket{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\",le=\"+Inf\"} 2",
+    "mongodb_ops_command_duration_seconds_sum{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\"} 1.75",
+    "mongodb_ops_command_duration_seconds_count{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\"} 2",
+    "# HELP mongodb_ops_command_errors_total Failed MongoDB commands",
+    "# TYPE mongodb_ops_command_errors_total counter",
+    "mongodb_ops_command_errors_total{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\"} 1",
+    "# HELP mongodb_ops_slow_commands_total MongoDB commands slower than the slow-operation threshold",
+    "# TYPE mongodb_ops_slow_commands_total counter",
+    "mongodb_ops_slow_commands_total{connection=\"main\",database=\"shop\",collection=\"orders\",command=\"find\"} 1",
+    ""
+  ].join("\n"));
+
+  QueryMonitor.disable();
+  emitCommand(client, { requestId: 3, command: { find: "orders" }, duration: 10 });
+  assert.match(QueryMonitor.getMetrics(), /_count\{.*\} 2\n/);
+});
+
+test("explain option returns the summarised plan instead of the documents", async t=> {
+  const explain = {
+    queryPlanner: { winningPlan: { stage: "SORT", inputStage: { stage: "COLLSCAN" }}},
+    executionStats: { nReturned: 2, totalDocsExamined: 50, totalKeysExamined: 0, executionTimeMillis: 7 }
+  };
+  const cursor = Object.assign(getCursor([]), { explain: async ()=> explain });
+  mockClient(t, { orders: getCollection({ find: ()=> cursor }) });
+
+  const plan = await MongoDBOps.getData("orders", { status: "open" }, false, undefined, { createdAt: -1 }, undefined, false, "mongodb://localhost:27017/shop", undefined, { explain: true });
+  assert.deepEqual(plan, {
+    indexes: [], stages: ["SORT", "COLLSCAN"], isCollScan: true, docsExamined: 50, keysExamined: 0, nReturned: 2, executionTimeMS: 7,
+    warnings: ["collection-scan", "in-memory-sort", "low-selectivity"], explain
+  });
+});
+
+test("summarizeExplain collects the indexes and stats of the shards", ()=> {
+  const shard = name=> ({
+    queryPlanner: { winningPlan: { stage: "FETCH", inputStage: { stage: "IXSCAN", indexName: "status_1" }}},
+    executionStats: { nReturned: 5, totalDocsExamined: 5, totalKeysExamined: 5, executionTimeMillis: name === "a" ? 3 : 4 }
+  });
+  const summary = QueryMonitor.summarizeExplain({ shards: { a: shard("a"), b: shard("b") }});
+
+  assert.deepEqual(summary.indexes, ["status_1"]);
+  assert.deepEqual([summary.docsExamined, summary.nReturned, summary.executionTimeMS, summary.isCollScan], [10, 10, 4, false]);
+  assert.deepEqual(summary.warnings, []);
+  assert.equal(QueryMonitor.summarizeExplain({ queryPlanner: { winningPlan: { stage: "IXSCAN" }}}).docsExamined, undefined);
+});
\ No newline at end of file
@@ -0,0 +1,177 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MongoNetworkError, MongoNetworkTimeoutError, MongoServerError } = require("mongodb");
+const MongoDBOps = require("../lib/mongodb-ops");
+const RetryPolicy = require("../lib/retry-policy");
+const { ConnectionError, TimeoutError, DuplicateKeyError, wrapError } = require("../lib/errors");
+const { getCursor, getCollection, mockClient } = require("./helpers");
+
+const getServerError = (code, errorLabels)=> {
+  const err = new MongoServerError({ message: "server error", code });
+  for (const label of errorLabels || []) { err.addErrorLabel(label); }
+  return err;
+}
+
+/**
+ * Fake collection whose methods fail by a network error on their first call
+ * 
+ * @param {object} results Results by method name
+ * @returns {object} Collection
+ */
+const getFlakyCollection = results=> {
+  const failed = new Set();
+  return getCollection(Object.fromEntries(Object.entries(results).map(([method, result])=> [method, async ()=> {
+    if (failed.has(method)) { return result; }
+
+    failed.add(method);
+    throw new MongoNetworkError("lost");
+  }])));
+}
+
+test("isRetryable accepts transient failures only", ()=> {
+  assert.equal(RetryPolicy.isRetryable(new ConnectionError("lost")), true);
+  assert.equal(RetryPolicy.isRetryable(wrapError(new MongoNetworkTimeoutError("socket timeout"))), true);
+  assert.equal(RetryPolicy.isRetryable(wrapError(getServerError(50))), false);
+  assert.equal(RetryPolicy.isRetryable(wrapError(getServerError(11600))), true);
+  assert.equal(RetryPolicy.isRetryable(wrapError(getServerError(2, ["RetryableWriteError"]))), true);
+  assert.equal(RetryPolicy.isRetryable(new DuplicateKeyError("E11000")), false);
+  assert.equal(RetryPolicy.isRetryable(new Error("other")), false);
+  assert.equal(RetryPolicy.isRetryable(undefined), false);
+});
+
+test("run retries with exponential backoff up to maxAttempts", async ()=> {
+  const retries = [];
+  let attempts = 0;
+  const result = await RetryPolicy.run("find", async attempt=> {
+    attempts = attempt;
+    if (attempt < 3) { throw wrapError(new MongoNetworkError("lost")); }
+    return "ok";
+  }, { maxAttempts: 3, initialDelayMS: 2, factor: 3, jitter: false, onRetry: ({ operation, attempt, delayMS })=> retries.push([operation, attempt, delayMS]) });
+
+  assert.equal(result, "ok");
+  assert.equal(attempts, 3);
+  assert.deepEqual(retries, [["find", 1, 2], ["find", 2, 6]]);
+
+  attempts = 0;
+  await assert.rejects(RetryPolicy.run("find", async ()=> { attempts++; throw new ConnectionError("lost"); }, { maxAttempts: 2, initialDelayMS: 1 }), ConnectionError);
+  assert.equal(attempts, 2);
+});
+
+test("run does not retry an error which is not retryable, or by the default policy", async ()=> {
+  let attempts = 0;
+  await assert.rejects(RetryPolicy.run("find", async ()=> { attempts++; throw new TimeoutError("maxTimeMS expired"); }, { maxAttempts: 3, initialDelayMS: 1 }), TimeoutError);
+  assert.equal(attempts, 1);
+
+  attempts = 0;
+  await assert.rejects(RetryPolicy.run("find", async ()=> { attempts++; throw new ConnectionError("lost"); }), ConnectionError);
+  assert.equal(attempts, 1);
+
+  attempts = 0;
+  await RetryPolicy.run("find", async ()=> { if (++attempts < 2) { throw new Error("custom"); } }, { maxAttempts: 2, initialDelayMS: 1, isRetryable: err=> err.message === "custom" });
+  assert.equal(attempts, 2);
+});
+
+test("setDefault checks maxAttempts and fills the defaults", t=> {
+  const policy = RetryPolicy.getDefault();
+  t.after(()=> RetryPolicy.setDefault(policy));
+
+  assert.throws(()=> RetryPolicy.setDefault({ maxAttempts: 0 }), /invalid-retry-max-attempts/);
+  RetryPolicy.setDefault({ maxAttempts: 4 });
+  assert.deepEqual(RetryPolicy.getDefault(), { maxAttempts: 4, initialDelayMS: 100, maxDelayMS: 5000, factor: 2, jitter: true, isRetryable: undefined, onRetry: undefined });
+});
+
+test("reads and idempotent writes by _id are retried, other writes only with idempotent option", async t=> {
+  const retry = { maxAttempts: 2, initialDelayMS: 1 };
+  const connString = "mongodb://localhost:27017/shop";
+  const results = {
+    countDocuments: 3, updateOne: { matchedCount: 1 }, updateMany: { matchedCount: 2 }, replaceOne: { matchedCount: 1 }, insertOne: { insertedId: 1 },
+    deleteOne: { deletedCount: 1 }, deleteMany: { deletedCount: 2 }
+  };
+  const client = mockClient(t);
+  const retried = async (collectionName, write)=> {
+    client.collections[collectionName] = getFlakyCollection(results);
+    const result = await write().then(()=> true, err=> { assert.ok(err instanceof ConnectionError); return false; });
+    return result && client.collections[collectionName].calls.length === 2;
+  };
+
+  assert.equal(await retried("products", ()=> MongoDBOps.getData("products", {}, false, undefined, undefined, undefined, true, connString, undefined, { retry })), true);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateOne", "products", { $set: { price: 2 }}, { _id: 1 }, connString, { retry })), true);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("replaceOne", "products", { price: 2 }, { _id: 1 }, connString, { retry })), true);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("deleteOne", "products", undefined, { _id: 1 }, connString, { retry })), true);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateOne", "products", { $set: { price: 2 }}, { $and: [{ _id: 1 }, { tenantId: "t1" }] }, connString, { retry })), true);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateOne", "products", { $set: { price: 2 }}, { sku: "A-1" }, connString, { retry })), false);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateOne", "products", { $set: { price: 2 }}, { _id: { $in: [1, 2] }}, connString, { retry })), false);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateMany", "products", { $set: { price: 2 }}, { _id: 1 }, connString, { retry })), false);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("deleteMany", "products", undefined, { price: 2 }, connString, { retry })), false);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateMany", "products", { $inc: { stock: 1 }}, {}, connString, { retry })), false);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateOne", "products", [{ $set: { price: 2 }}], { _id: 1 }, connString, { retry })), false);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("insertOne", "products", { _id: 1 }, undefined, connString, { retry })), false);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("insertOne", "products", { _id: 1 }, undefined, connString, { retry, idempotent: true })), true);
+  assert.equal(await retried("products", ()=> MongoDBOps.writeData("updateOne", "products", { $set: { price: 2 }}, { _id: 1 }, connString, { retry: false })), false);
+  assert.equal("retry" in client.collections.products.calls[0].args.at(-1), false);
+});
+
+test("aggregates with $out or $merge are not retried", async t=> {
+  const retry = { maxAttempts: 2, initialDelayMS: 1 };
+  const connString = "mongodb://localhost:27017/shop";
+  let attempts = 0;
+  const client = mockClient(t);
+  client.collections.orders = getCollection({ aggregate: ()=> ({ ...getCursor(), toArray: async ()=> {
+    if (attempts++ === 0) { throw new MongoNetworkError("lost"); }
+    return [];
+  }})});
+
+  await MongoDBOps.getData("orders", [{ $match: { status: "paid" }}], true, undefined, undefined, undefined, false, connString, undefined, { retry });
+  assert.equal(attempts, 2);
+
+  attempts = 0;
+  await assert.rejects(MongoDBOps.getData("orders", [{ $match: { status: "paid" }}, { $out: "paid_orders" }], true, undefined, undefined, undefined, false, connString, undefined, { retry }), ConnectionError);
+  assert.equal(attempts, 1);
+
+  attempts = 0;
+  await assert.rejects(MongoDBOps.getData("orders", [{ $merge: { into: "paid_orders" }}], true, undefined, undefined, undefined, false, connString, undefined, { retry }), ConnectionError);
+  assert.equal(attempts, 1);
+});
+
+test("writes in a transaction are not retried as the transaction is retried as a whole", async t=> {
+  const retry = { maxAttempts: 2, initialDelayMS: 1 };
+  const client = mockClient(t, { products: getFlakyCollection({ updateOne: { matchedCount: 1 }}) });
+
+  await assert.rejects(MongoDBOps.withTransaction(session=> (
+    MongoDBOps.writeData("updateOne", "products", { $set: { price: 2 }}, { _id: 1 }, "mongodb://localhost:27017/shop", { session, retry })
+  ), "mongodb://localhost:27017/shop"), ConnectionError);
+  assert.equal(client.collections.products.calls.length, 1);
+});
+
+test("bulk writes are retried if all their operations are idempotent writes by _id, and so are the chunks of bulk writer", async t=> {
+  const retry = { maxAttempts: 2, initialDelayMS: 1 };
+  const connString = "mongodb://localhost:27017/shop";
+  const client = mockClient(t, { products: getFlakyCollection({ bulkWrite: { matchedCount: 1 }}) });
+
+  await assert.rejects(MongoDBOps.writeBulkData("allBulk", "products", [{ updateOne: { filter: { _id: 1 }, update: { $set: { n: 1 }}}}, { insertOne: { document: {}}}], false, connString, { retry }), ConnectionError);
+  assert.equal(client.collections.products.calls.length, 1);
+
+  client.collections.products = getFlakyCollection({ bulkWrite: { matchedCount: 1 }});
+  await MongoDBOps.writeBulkData("updateBulk", "products", [{ filter: { _id: 1 }, update: { $set: { n: 1 }}}], false, connString, { retry });
+  assert.equal(client.collections.products.calls.length, 2);
+
+  client.collections.products = getFlakyCollection({ bulkWrite: { matchedCount: 1 }});
+  await assert.rejects(MongoDBOps.writeBulkData("updateBulk", "products", [{ filter: { _id: 1 }, update: { $set: { n: 1 }}}, { filter: { sku: "A-1" }, update: { $set: { n: 1 }}}], false, connString, { retry }), ConnectionError);
+  assert.equal(client.collections.products.calls.length, 1);
+
+  client.collections.products = getFlakyCollection({ bulkWrite: { matchedCount: 1 }});
+  await MongoDBOps.writeBulkData("replaceBulk", "products", [{ filter: { _id: 1 }, replacement: { n: 1 }}], false, connString, { retry });
+  assert.equal(client.collections.products.calls.length, 2);
+
+  client.collections.products = getFlakyCollection({ bulkWrite: { insertedCount: 1 }});
+  const err = await MongoDBOps.bulkWriter("insertBulk", "products", connString, { retry }).write([{ n: 1 }]).catch(err=> err);
+  assert.deepEqual(err.chunkErrors.map(({ start, end })=> [start, end]), [[0, 1]]);
+  assert.equal(client.collections.products.calls.length, 1);
+
+  client.collections.products = getFlakyCollection({ bulkWrite: { insertedCount: 1 }});
+  const result = await MongoDBOps.bulkWriter("insertBulk", "products", connString, { retry, idempotent: true }).write([{ _id: "A-1" }]);
+  assert.equal(result.insertedCount, 1);
+  assert.equal(client.collections.products.calls.length, 2);
+});
\ No newline at end of file
@@ -0,0 +1,124 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId, Decimal128 } = require("mongodb");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { validateSchema, validatePath, diffSchema } = require("../lib/schema-validator");
+const { getCollection, mockClient } = require("./helpers");
+
+const schema = {
+  bsonType: "object",
+  required: ["name", "price"],
+  additionalProperties: false,
+  properties: {
+    _id: { bsonType: "objectId" },
+    name: { bsonType: "string", minLength: 2, maxLength: 20 },
+    price: { bsonType: "number", minimum: 0, exclusiveMaximum: 1000 },
+    status: { enum: ["draft", "active"] },
+    tags: { bsonType: "array", maxItems: 3, uniqueItems: true, items: { bsonType: "string", pattern: "^[a-z]+$" }},
+    dimensions: { bsonType: "object", patternProperties: { "^(width|height)$": { bsonType: ["int", "double"] }}, additionalProperties: false }
+  }
+};
+
+test("validateSchema returns no error for a valid document", ()=> {
+  const doc = { _id: new ObjectId(), name: "Toner", price: Decimal128.fromString("9.99"), status: "active", tags: ["office"], dimensions: { width: 2.5 }};
+  assert.deepEqual(validateSchema(schema, doc), []);
+});
+
+test("validateSchema returns the field errors with their paths", ()=> {
+  const doc = { name: "T", price: 1000, status: "sold", tags: ["ink", "ink", "Red"], dimensions: { depth: 1 }, sku: "t-1" };
+  assert.deepEqual(validateSchema(schema, doc), [
+    { path: "name", keyword: "minLength", message: "must not have fewer than 2 characters" },
+    { path: "price", keyword: "exclusiveMaximum", message: "must be < 1000" },
+    { path: "status", keyword: "enum", message: "must be one of the allowed values" },
+    { path: "tags", keyword: "uniqueItems", message: "must not have duplicate items" },
+    { path: "tags.2", keyword: "pattern", message: "must match pattern ^[a-z]+$" },
+    { path: "dimensions.depth", keyword: "additionalProperties", message: "is not allowed" },
+    { path: "sku", keyword: "additionalProperties", message: "is not allowed" }
+  ]);
+  assert.deepEqual(validateSchema(schema, { name: 12 }), [
+    { path: "price", keyword: "required", message: "is required" },
+    { path: "name", keyword: "bsonType", message: "must be string" }
+  ]);
+});
+
+test("validateSchema checks the JSON types of type keyword", ()=> {
+  assert.deepEqual(validateSchema({ type: ["number", "null"] }, 1.5), []);
+  assert.deepEqual(validateSchema({ type: "boolean" }, true), []);
+  assert.deepEqual(validateSchema({ type: "integer" }, 1), [{ path: "", keyword: "type", message: "must be integer" }]);
+});
+
+test("validateSchema checks the combining keywords", ()=> {
+  const contact = { oneOf: [{ required: ["email"] }, { required: ["phone"] }], not: { required: ["fax"] }};
+  assert.deepEqual(validateSchema(contact, { email: "a@b.c" }), []);
+  assert.deepEqual(validateSchema(contact, { email: "a@b.c", phone: "1" }).map(({ keyword })=> keyword), ["oneOf"]);
+  assert.deepEqual(validateSchema(contact, { phone: "1", fax: "2" }).map(({ keyword })=> keyword), ["not"]);
+  assert.deepEqual(validateSchema({ anyOf: [{ bsonType: "string" }, { bsonType: "null" }] }, 1).map(({ keyword })=> keyword), ["anyOf"]);
+});
+
+test("validatePath validates the value against the sub-schema of the field path", ()=> {
+  assert.deepEqual(validatePath(schema, "price", 5), []);
+  assert.deepEqual(validatePath(schema, "price", -1), [{ path: "price", keyword: "minimum", message: "must be >= 0" }]);
+  assert.deepEqual(validatePath(schema, "tags.$", "Ink"), [{ path: "tags.$", keyword: "pattern", message: "must match pattern ^[a-z]+$" }]);
+  assert.deepEqual(validatePath(schema, "dimensions.height", "tall"), [{ path: "dimensions.height", keyword: "bsonType", message: "must be int or double" }]);
+  assert.deepEqual(validatePath(schema, "sku", "t-1"), [{ path: "sku", keyword: "additionalProperties", message: "is not allowed" }]);
+});
+
+test("diffSchema lists the added, removed and changed paths", ()=> {
+  const before = { validator: { $jsonSchema: { required: ["name"], properties: { name: { bsonType: "string" }, sku: { bsonType: "string" }}}}, validationLevel: "strict" };
+  const after = { validator: { $jsonSchema: { required: ["name", "price"], properties: { name: { bsonType: "string" }, price: { bsonType: "number" }}}}, validationLevel: "strict" };
+  assert.deepEqual(diffSchema(before, before), []);
+  assert.deepEqual(diffSchema(before, after), [
+    { path: "validator.$jsonSchema.required", change: "changed", before: ["name"], after: ["name", "price"] },
+    { path: "validator.$jsonSchema.properties.sku", change: "removed", before: { bsonType: "string" }},
+    { path: "validator.$jsonSchema.properties.price", change: "added", after: { bsonType: "number" }}
+  ]);
+});
+
+test("toolset writes reject invalid documents before reaching the driver", async t=> {
+  const client = mockClient(t);
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setSchema(schema);
+
+  await assert.rejects(products.insertOne({ name: "Toner" }), err=> {
+    assert.equal(err.message, "schema-validation-failed");
+    assert.deepEqual(err.errors, [{ path: "price", keyword: "required", message: "is required" }]);
+    return true;
+  });
+  await assert.rejects(products.updateOne({ $set: { price: -1 }, $inc: { stock: 1 }}, { name: "Toner" }), err=> {
+    assert.deepEqual(err.errors, [{ path: "price", keyword: "minimum", message: "must be >= 0" }]);
+    return true;
+  });
+  await assert.rejects(products.allBulkUnOrdered([{ insertOne: { document: { name: "Ink", price: 2 }}}, { replaceOne: { filter: {}, replacement: { name: "Pen" }}}]), err=> {
+    assert.deepEqual(err.errors, [{ path: "price", keyword: "required", message: "is required", index: 1 }]);
+    return true;
+  });
+  assert.equal((client.collections.products || { calls: [] }).calls.length, 0);
+
+  await products.insertOne({ name: "Toner", price: 5 });
+  assert.equal(client.collections.products.calls[0].method, "insertOne");
+  assert.throws(()=> new MongoDBToolSet("products", "mongodb://localhost:27017/shop").validate({}), /missing-schema/);
+});
+
+test("syncSchema applies the schema as collection validator only if it has changed", async t=> {
+  const client = mockClient(t);
+  const products = new MongoDBToolSet("products", "mongodb://localhost:27017/shop").setSchema(schema, { validationLevel: "moderate" });
+
+  const created = await products.syncSchema();
+  assert.deepEqual([created.isChanged, created.isApplied], [true, true]);
+  assert.deepEqual(client.commands.map(({ command })=> command), [{ create: "products", validator: { $jsonSchema: schema }, validationLevel: "moderate", validationAction: "error" }]);
+
+  client.collections.products = getCollection();
+  client.collectionOptions.products = { validator: { $jsonSchema: { ...schema, required: ["name"] }}, validationLevel: "moderate", validationAction: "error" };
+  const dryRun = await products.syncSchema({ dryRun: true });
+  assert.deepEqual([dryRun.isChanged, dryRun.isApplied], [true, false]);
+  assert.deepEqual(dryRun.diff, [{ path: "validator.$jsonSchema.required", change: "changed", before: ["name"], after: ["name", "price"] }]);
+  assert.equal(client.commands.length, 1);
+
+  await products.syncSchema();
+  assert.equal(client.commands[1].command.collMod, "products");
+
+  client.collectionOptions.products = { validator: { $jsonSchema: schema }, validationLevel: "moderate", validationAction: "error" };
+  assert.deepEqual(await products.syncSchema(), { isChanged: false, isApplied: false, diff: [] });
+  assert.equal(client.commands.length, 2);
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const SearchBackend = require("../lib/search-backend");
+const MongoDBOps = require("../lib/mongodb-ops");
+const MongoDBToolSet = require("../lib/mongodb-tool-set");
+const { getCollection, mockClient } = require("./helpers");
+
+const connString = "mongodb://localhost:27017/shop";
+const compound = { compound: { must: [{ text: { query: "red chair", path: "name" }}], should: { phrase: { query: "a+b", path: ["name", "tags"] }}}};
+
+test("atlas backend runs $search on a wildcard path for a string query", ()=> {
+  assert.deepEqual(SearchBackend.getDefault(), { type: "atlas" });
+  assert.deepEqual(SearchBackend.getStages("chair"), {
+    stages: [{ $search: { text: { query: "chair", path: { wildcard: "*" }}}}],
+    score: { $meta: "searchScore" },
+    isSortedByScore: true
+  });
+  assert.deepEqual(SearchBackend.getStages(compound).stages, [{ $search: compound }]);
+});
+
+test("text backend matches the terms of the query operators by $text", ()=> {
+  assert.deepEqual(SearchBackend.getStages(compound, { type: "text", language: "en", caseSensitive: false }), {
+    stages: [{ $match: { $text: { $search: "red chair a+b", $language: "en", $caseSensitive: false }}}],
+    score: { $meta: "textScore" },
+    isSortedByScore: false
+  });
+});
+
+test("regex backend matches any escaped term on the fields and scores the matches", ()=> {
+  const { stages, score } = SearchBackend.getStages(compound, "regex");
+  assert.deepEqual(stages[0].$match.$or.map(item=> Object.entries(item)[0]), [
+    ["name", { $regex: "red", $options: "i" }], ["tags", { $regex: "red", $options: "i" }],
+    ["name", { $regex: "chair", $options: "i" }], ["tags", { $regex: "chair", $options: "i" }],
+    ["name", { $regex: "a\\+b", $options: "i" }], ["tags", { $regex: "a\\+b", $options: "i" }]
+  ]);
+  assert.equal(score.$add.length, 6);
+  assert.deepEqual(score.$add[0].$cond[0].$and[1], { $regexMatch: { input: "$name", regex: "red", options: "i" }});
+
+  const [{ $match }] = SearchBackend.getStages("Pen", { type: "regex", fields: ["sku"], caseSensitive: true }).stages;
+  assert.deepEqual($match, { $or: [{ sku: { $regex: "Pen", $options: "" }}] });
+  assert.throws(()=> SearchBackend.getStages("pen", "regex"), /missing-search-fields/);
+  assert.throws(()=> SearchBackend.getStages({ text: { query: " ", path: "name" }}, "regex"), /invalid-search-query/);
+  assert.throws(()=> SearchBackend.setDefault("lucene"), /invalid-search-backend/);
+  assert.throws(()=> SearchBackend.setDefault({ type: "regex", fields: [] }), /invalid-search-fields/);
+});
+
+test("search runs the stages of the default or the call backend and sorts by score", async t=> {
+  t.after(()=> MongoDBOps.setSearchBackend("atlas"));
+  const client = mockClient(t, { products: getCollection({ aggregate: [] }) });
+  MongoDBOps.setSearchBackend("text");
+
+  await MongoDBOps.search(connString, "products", "chair", { filter: { isActive: true }}, false);
+  await new MongoDBToolSet("products", connString, { searchBackend: { type: "regex", fields: ["name"] }}).search("products", "pen", { sort: { price: 1 }}, false);
+  await MongoDBOps.search(connString, "products", "desk", {}, false, { searchBackend: "atlas" });
+
+  const [text, regex, atlas] = client.collections.products.calls;
+  assert.deepEqual(text.args[0].slice(0, 4), [
+    { $match: { $text: { $search: "chair" }}},
+    { $match: { isActive: true }},
+    { $addFields: { score: { $meta: "textScore" }}},
+    { $sort: { score: -1, _id: 1 }}
+  ]);
+  assert.equal("searchBackend" in text.args[1], false);
+  assert.deepEqual(regex.args[0][0], { $match: { $or: [{ name: { $regex: "pen", $options: "i" }}] }});
+  assert.deepEqual(regex.args[0].filter(stage=> stage.$sort), [{ $sort: { price: 1 }}]);
+  assert.equal("searchBackend" in regex.args[1], false);
+  assert.deepEqual(atlas.args[0].slice(0, 2), [{ $search: { text: { query: "desk", path: { wildcard: "*" }}}}, { $addFields: { score: { $meta: "searchScore" }}}]);
+});
+
+test("atlas options go to the $search stage, and the filter to the facet operator", ()=> {
+  const filter = { $and: [{ category: "chairs" }, { status: { $ne: "void", $in: ["open", "paid"] }}] };
+  const { stages: [{ $search }] } = SearchBackend.getStages({ index: "products", text: { query: "red", path: "name" }}, undefined, {
+    filter, facets: { category: { type: "string", path: "category" }}, highlight: { path: "name" }, count: { type: "total" }, sort: { price: 1, _id: 1 }, pagination: { limit: 2, after: "t1" }
+  });
+
+  assert.deepEqual($search, {
+    index: "products",
+    facet: {
+      operator: { compound: {
+        must: [{ text: { query: "red", path: "name" }}],
+        filter: [{ equals: { path: "category", value: "chairs" }}, { in: { path: "status", value: ["open", "paid"] }}],
+        mustNot: [{ equals: { path: "status", value: "void" }}]
+      }},
+      facets: { category: { type: "string", path: "category" }}
+    },
+    highlight: { path: "name" },
+    count: { type: "total" },
+    sort: { price: 1, _id: 1 },
+    searchAfter: "t1"
+  });
+  assert.deepEqual(SearchBackend.getStages("red", undefined, { filter, highlight: { path: "name" }}).stages[0].$search.text, { query: "red", path: { wildcard: "*" }});
+  assert.throws(()=> SearchBackend.getStages("red", undefined, { filter: { price: { $gt: 1 }}, count: { type: "total" }}), /unsupported-search-filter/);
+  assert.throws(()=> SearchBackend.getStages("red", "text", { facets: {} }), /unsupported-search-option/);
+});
+
+test("search returns the facets and the count of the search metadata", async t=> {
+  const data = [{ _id: 1, score: 2, highlights: [] }];
+  const client = mockClient(t, { products: getCollection({ aggregate: [{ data, meta: [{ count: { lowerBound: 40 }, facet: { category: { buckets: [{ _id: "chairs", count: 40 }] }}}] }] }) });
+
+  const result = await MongoDBOps.search(connString, "products", "red", {
+    pagination: { startIndex: 11, endIndex: 20 }, facets: { category: { type: "string", path: "category" }}, highlight: { path: "name" }, count: { type: "lowerBound" }
+  });
+  assert.deepEqual(result, { metadata: [{ total: 40, page: 2 }], data, facets: { category: { buckets: [{ _id: "chairs", count: 40 }] }}});
+
+  const [{ args: [pipeline] }] = client.collections.products.calls;
+  assert.deepEqual(pipeline[1], { $addFields: { score: { $meta: "searchScore" }, highlights: { $meta: "searchHighlights" }}});
+  assert.deepEqual(pipeline.at(-1), { $facet: { data: [{ $skip: 10 }, { $limit: 10 }], meta: [{ $limit: 1 }, { $replaceWith: "$$SEARCH_META" }] }});
+});
+
+test("searchAfter and searchBefore pagination return the page with its cursors", async t=> {
+  const docs = [1, 2, 3].map(n=> ({ _id: n, score: 1, searchSequenceToken: `t${n}` }));
+  const client = mockClient(t, { products: getCollection({ aggregate: [{ data: docs }] }) });
+
+  const next = await MongoDBOps.search(connString, "products", "red", { sort: { price: 1, _id: 1 }, pagination: { limit: 2, after: "t0" }, projection: { name: 1 }});
+  assert.deepEqual(next, { data: [{ _id: 1, score: 1 }, { _id: 2, score: 1 }], nextCursor: "t2", prevCursor: "t1" });
+  const previous = await MongoDBOps.search(connString, "products", "red", { sort: { price: 1, _id: 1 }, pagination: { limit: 2, before: "t4" }});
+  assert.deepEqual(previous, { data: [{ _id: 2, score: 1 }, { _id: 1, score: 1 }], nextCursor: "t1", prevCursor: "t2" });
+
+  const [{ args: [pipeline] }] = client.collections.products.calls;
+  assert.deepEqual(pipeline[0].$search, { text: { query: "red", path: { wildcard: "*" }}, sort: { price: 1, _id: 1 }, searchAfter: "t0" });
+  assert.deepEqual(pipeline.slice(1, 3), [{ $addFields: { score: { $meta: "searchScore" }, searchSequenceToken: { $meta: "searchSequenceToken" }}}, { $project: { name: 1, searchSequenceToken: 1 }}]);
+  assert.deepEqual(pipeline.at(-1), { $facet: { data: [{ $limit: 3 }] }});
+  assert.deepEqual(await MongoDBOps.search(connString, "products", "red", { pagination: { limit: 0 }}), { data: [], nextCursor: null, prevCursor: null });
+  await assert.rejects(MongoDBOps.search(connString, "products", "red", { pagination: { limit: 2, after: "t1", before: "t2" }}), /invalid-pagination-cursor/);
+});
+
+test("toolset search adds the soft-delete and tenant filters to the facet operator", async t=> {
+  const client = mockClient(t, { products: getCollection({ aggregate: [{ data: [], meta: [] }] }) });
+  const products = new MongoDBToolSet("products", connString).setSoftDelete(true).forTenant("m1");
+
+  assert.deepEqual(await products.search("products", "red", { facets: { category: { type: "string", path: "category" }}}, false), { data: [], facets: {}});
+  const [{ args: [pipeline] }] = client.collections.products.calls;
+  assert.deepEqual(pipeline[0].$search.facet.operator.compound.filter, [{ equals: { path: "deletedAt", value: null }}, { equals: { path: "tenantId", value: "m1" }}]);
+  assert.deepEqual(pipeline[1], { $match: { $and: [{ deletedAt: null }, { tenantId: "m1" }] }});
+});
\ No newline at end of file